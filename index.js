@@ -17,6 +17,7 @@ const Tokens = require('./lib/tokens')
 const AdapterRouter = require('./lib/adapters/router')
 const OpReturn = require('./lib/op-return')
 const ConsolidateUtxos = require('./lib/consolidate-utxos.js')
+const HdWallet = require('./lib/hd-wallet')
 
 // let this
 
@@ -53,6 +54,42 @@ class MinimalBCHWallet {
     if (this.advancedOptions.fee) {
       this.fee = this.advancedOptions.fee
     }
+
+    // Multi-address mode. Scan the receive chain of the HD wallet for used
+    // addresses, instead of only using the address at hdPath.
+    this.multiAddress = !!this.advancedOptions.multiAddress
+
+    // Change-address mode. Send change to a fresh address on the change chain
+    // (.../1/n) of the HD wallet, instead of back to the address at hdPath.
+    this.changeAddresses = !!this.advancedOptions.changeAddresses
+
+    // Donation policy. See lib/donation.js.
+    if (this.advancedOptions.donation !== undefined) {
+      bchjsOptions.donation = this.advancedOptions.donation
+    }
+
+    // Name of the coin-selection strategy used to choose the UTXOs to spend.
+    // It can be overridden for each transaction with opts.coinSelection.
+    if (this.advancedOptions.coinSelection) {
+      bchjsOptions.coinSelection = this.advancedOptions.coinSelection
+    }
+
+    // Maximum length of a chain of unconfirmed transactions. UTXOs that would
+    // exceed it are not spent.
+    if (this.advancedOptions.chainLimit) {
+      bchjsOptions.chainLimit = this.advancedOptions.chainLimit
+    }
+
+    // Number of unused addresses in a row that ends an HD address scan.
+    if (this.advancedOptions.gapLimit) {
+      bchjsOptions.gapLimit = this.advancedOptions.gapLimit
+    }
+
+    // Storage for the list of frozen UTXOs, like window.localStorage. See
+    // lib/utxos.js.
+    if (this.advancedOptions.storage) {
+      bchjsOptions.storage = this.advancedOptions.storage
+    }
     // END Handle advanced options.
 
     // Encapsulae the external libraries.
@@ -61,9 +98,17 @@ class MinimalBCHWallet {
     this.bchjs = new BCHJS(bchjsOptions)
     bchjsOptions.bchjs = this.bchjs
 
-    // Instantiate the adapter router.
-    if (advancedOptions.interface === 'consumer-api') {
-      bchjsOptions.interface = 'consumer-api'
+    // Instantiate the adapter router. interface is the name of a built-in
+    // network adapter, or of one added with registerAdapter().
+    if (advancedOptions.interface) {
+      // The default restURL is a bch-api server, not a Chronik indexer.
+      if (advancedOptions.interface === 'chronik' && !advancedOptions.restURL) {
+        throw new Error(
+          'The chronik interface requires the URL of a Chronik server as the restURL option.'
+        )
+      }
+
+      bchjsOptions.interface = advancedOptions.interface
       // bchjsOptions.walletService = advancedOptions.walletService
       // bchjsOptions.bchWalletApi = advancedOptions.bchWalletApi
     }
@@ -71,11 +116,13 @@ class MinimalBCHWallet {
     bchjsOptions.ar = this.ar
 
     // Instantiate local libraries.
-    this.sendBch = new SendBCH(bchjsOptions)
     this.utxos = new Utxos(bchjsOptions)
+    bchjsOptions.utxos = this.utxos
+    this.sendBch = new SendBCH(bchjsOptions)
     this.tokens = new Tokens(bchjsOptions)
     this.opReturn = new OpReturn(bchjsOptions)
     this.consolidateUtxos = new ConsolidateUtxos(this)
+    this.hdWallet = new HdWallet(bchjsOptions)
 
     this.temp = []
     this.isInitialized = false
@@ -98,12 +145,19 @@ class MinimalBCHWallet {
     this.burnTokens = this.burnTokens.bind(this)
     this.listTokens = this.listTokens.bind(this)
     this.sendAll = this.sendAll.bind(this)
+    this.getMaxSendable = this.getMaxSendable.bind(this)
     this.burnAll = this.burnAll.bind(this)
     this.getUsd = this.getUsd.bind(this)
     this.sendOpReturn = this.sendOpReturn.bind(this)
     this.utxoIsValid = this.utxoIsValid.bind(this)
     this.getTokenData = this.getTokenData.bind(this)
     this.getKeyPair = this.getKeyPair.bind(this)
+    this.scanAddresses = this.scanAddresses.bind(this)
+    this.getAddresses = this.getAddresses.bind(this)
+    this.setChangeAddress = this.setChangeAddress.bind(this)
+    this.advanceChangeAddress = this.advanceChangeAddress.bind(this)
+    this.signTransaction = this.signTransaction.bind(this)
+    this.broadcastSignedTx = this.broadcastSignedTx.bind(this)
   }
 
   // Create a new wallet. Returns a promise that resolves into a wallet object.
@@ -120,8 +174,63 @@ class MinimalBCHWallet {
 
       const walletInfo = {}
 
-      // No input. Generate a new mnemonic.
-      if (!mnemonicOrWif) {
+      // Watch-only wallet from a list of addresses.
+      if (Array.isArray(mnemonicOrWif)) {
+        if (!mnemonicOrWif.length) {
+          throw new Error('Address list for a watch-only wallet is empty.')
+        }
+
+        walletInfo.addresses = mnemonicOrWif.map(addr => {
+          const cashAddress = this.bchjs.Address.toCashAddress(
+            this.bchjs.Address.ecashtoCashAddress(addr)
+          )
+
+          return {
+            hdIndex: null,
+            chain: null,
+            hdPath: null,
+            cashAddress,
+            address: this.bchjs.Address.toEcashAddress(cashAddress)
+          }
+        })
+
+        walletInfo.watchOnly = true
+        walletInfo.xpub = null
+        walletInfo.privateKey = null
+        walletInfo.publicKey = null
+        walletInfo.mnemonic = null
+        walletInfo.cashAddress = walletInfo.addresses[0].cashAddress
+        walletInfo.address = walletInfo.eCashAddress = walletInfo.addresses[0].address
+        walletInfo.legacyAddress = this.bchjs.Address.toLegacyAddress(
+          walletInfo.cashAddress
+        )
+        walletInfo.hdPath = null
+
+        //
+      } else if (this.isXPub(mnemonicOrWif)) {
+        // Watch-only wallet from an extended public key. The xpub is expected
+        // to be at the account level (e.g. m/44'/1899'/0'). The paths of the
+        // derived addresses are relative to the xpub.
+        const accountNode = this.bchjs.HDNode.fromXPub(mnemonicOrWif)
+        const addrObj = this.hdWallet.deriveAddress(accountNode, 'm', 0, 0)
+        const childNode = this.bchjs.HDNode.derivePath(accountNode, '0/0')
+
+        walletInfo.watchOnly = true
+        walletInfo.xpub = mnemonicOrWif
+        walletInfo.privateKey = null
+        walletInfo.publicKey = this.bchjs.HDNode.toPublicKey(
+          childNode
+        ).toString('hex')
+        walletInfo.mnemonic = null
+        walletInfo.cashAddress = addrObj.cashAddress
+        walletInfo.address = walletInfo.eCashAddress = addrObj.address
+        walletInfo.legacyAddress = this.bchjs.HDNode.toLegacyAddress(childNode)
+        walletInfo.hdPath = null
+        walletInfo.addresses = [addrObj]
+
+        //
+      } else if (!mnemonicOrWif) {
+        // No input. Generate a new mnemonic.
         const mnemonic = this.bchjs.Mnemonic.generate(128)
         const rootSeedBuffer = await this.bchjs.Mnemonic.toSeed(mnemonic)
         const masterHDNode = this.bchjs.HDNode.fromSeed(rootSeedBuffer)
@@ -190,7 +299,7 @@ class MinimalBCHWallet {
       }
 
       // Encrypt the mnemonic if a password is provided.
-      if (this.advancedOptions.password) {
+      if (this.advancedOptions.password && !walletInfo.watchOnly) {
         walletInfo.mnemonicEncrypted = this.encrypt(
           mnemonicOrWif,
           this.advancedOptions.password
@@ -205,6 +314,12 @@ class MinimalBCHWallet {
       this.walletInfoCreated = true
       this.walletInfo = walletInfo
 
+      // Assign the first change address. initialize() will move it past any
+      // change addresses that have already been used.
+      if (this.changeAddresses && walletInfo.mnemonic) {
+        await this.setChangeAddress(0)
+      }
+
       return walletInfo
     } catch (err) {
       // return reject(err)
@@ -219,13 +334,182 @@ class MinimalBCHWallet {
   async initialize () {
     await this.walletInfoPromise
 
-    await this.utxos.initUtxoStore(this.walletInfo.address)
+    if (this.isMultiAddress()) {
+      // Find all the used addresses of the HD wallet, and combine their UTXOs.
+      await this.scanAddresses()
+      await this.utxos.initUtxoStore(this.walletInfo.addresses)
+    } else {
+      await this.utxos.initUtxoStore(this.walletInfo.address)
+    }
 
     this.isInitialized = true
 
     return true
   }
 
+  // Returns true if the wallet spans multiple addresses. This is the case for
+  // watch-only wallets, and for multi-address or change-address mode with a
+  // mnemonic.
+  isMultiAddress () {
+    if (!this.walletInfo) return false
+    if (this.walletInfo.watchOnly) return true
+
+    return !!(
+      (this.multiAddress || this.changeAddresses) &&
+      this.walletInfo.mnemonic
+    )
+  }
+
+  // Returns true if the input is an extended public key.
+  isXPub (input) {
+    return typeof input === 'string' && /^[xt]pub/.test(input)
+  }
+
+  // Throws an error if this is a watch-only wallet, which can not sign
+  // transactions. Exporting an unsigned transaction (opts.unsigned) or a
+  // preview (opts.dryRun) is allowed.
+  checkCanSign (opts = {}) {
+    if (opts.unsigned || opts.dryRun) return
+
+    if (this.walletInfo && this.walletInfo.watchOnly) {
+      throw new Error('Watch-only wallet can not sign transactions.')
+    }
+  }
+
+  // Scan the receive chain of the HD wallet for addresses with a transaction
+  // history. The address at hdPath is always included. In change-address
+  // mode, the change chain is scanned too, and the next unused change address
+  // is assigned. The result is saved to walletInfo.addresses and returned.
+  // A watch-only wallet created from an xpub scans both chains. One created
+  // from a list of addresses has nothing to scan.
+  async scanAddresses () {
+    try {
+      await this.walletInfoPromise
+
+      const { mnemonic, hdPath, xpub, watchOnly } = this.walletInfo
+      if (watchOnly && !xpub) return this.getAddresses()
+      if (!mnemonic && !xpub) {
+        throw new Error('Wallet does not have a mnemonic. Can not scan HD addresses.')
+      }
+
+      let accountPath = 'm'
+      let accountNode
+      if (xpub) {
+        accountNode = this.bchjs.HDNode.fromXPub(xpub)
+      } else {
+        accountPath = this.hdWallet.getAccountPath(hdPath)
+        accountNode = await this.hdWallet.getAccountNode(mnemonic, accountPath)
+      }
+
+      const { used } = await this.hdWallet.scanChain(accountNode, accountPath, 0)
+
+      // Always include the wallet's own address.
+      const primary = this.getAddresses()[0]
+      const addresses = [primary]
+      used.forEach(addrObj => {
+        if (addrObj.hdPath !== primary.hdPath) addresses.push(addrObj)
+      })
+
+      if (this.changeAddresses || xpub) {
+        const change = await this.hdWallet.scanChain(
+          accountNode,
+          accountPath,
+          1
+        )
+        change.used.forEach(addrObj => addresses.push(addrObj))
+
+        if (mnemonic) await this.setChangeAddress(change.nextIndex)
+      }
+
+      this.walletInfo.addresses = addresses
+
+      return addresses
+    } catch (err) {
+      console.error('Error in scanAddresses()')
+      throw err
+    }
+  }
+
+  // Return an array of the addresses controlled by this wallet. Each element
+  // is an object with hdIndex, hdPath, cashAddress, and address (eCash)
+  // properties. Unless an HD scan has been run in multi-address mode, this
+  // is only the wallet's own address.
+  getAddresses () {
+    if (this.walletInfo.addresses) return this.walletInfo.addresses
+
+    const { hdPath, cashAddress, address } = this.walletInfo
+
+    return [
+      {
+        hdIndex: hdPath ? this.hdWallet.getAddressIndex(hdPath) : null,
+        chain: 0,
+        hdPath,
+        cashAddress,
+        address
+      }
+    ]
+  }
+
+  // Derive the address at changeIndex on the change chain (.../1/n) of the HD
+  // wallet, and assign it as the address that receives change. Returns an
+  // object with hdIndex, chain, hdPath, cashAddress, and address properties.
+  async setChangeAddress (changeIndex) {
+    try {
+      const { mnemonic, hdPath } = this.walletInfo
+      if (!mnemonic) {
+        throw new Error('Wallet does not have a mnemonic. Can not generate a change address.')
+      }
+
+      const accountPath = this.hdWallet.getAccountPath(hdPath)
+      const accountNode = await this.hdWallet.getAccountNode(
+        mnemonic,
+        accountPath
+      )
+
+      const addrObj = this.hdWallet.deriveAddress(
+        accountNode,
+        accountPath,
+        1,
+        changeIndex
+      )
+
+      this.walletInfo.changeAddress = addrObj.cashAddress
+      this.walletInfo.changeHdPath = addrObj.hdPath
+      this.walletInfo.changeIndex = changeIndex
+
+      return addrObj
+    } catch (err) {
+      console.error('Error in setChangeAddress()')
+      throw err
+    }
+  }
+
+  // Called after a transaction has been broadcast. In change-address mode, the
+  // current change address is marked as used, so that its UTXOs will be
+  // spendable, and the next change address is assigned.
+  async advanceChangeAddress () {
+    if (!this.changeAddresses || !this.walletInfo.changeAddress) return false
+
+    const addresses = this.getAddresses()
+    const { changeAddress, changeHdPath, changeIndex } = this.walletInfo
+
+    const exists = addresses.find(x => x.hdPath === changeHdPath)
+    if (!exists) {
+      addresses.push({
+        hdIndex: changeIndex,
+        chain: 1,
+        hdPath: changeHdPath,
+        cashAddress: changeAddress,
+        address: this.bchjs.Address.toEcashAddress(changeAddress)
+      })
+    }
+    this.walletInfo.addresses = addresses
+
+    await this.setChangeAddress(changeIndex + 1)
+
+    return true
+  }
+
   // Get the UTXO information for this wallet.
   async getUtxos (bchAddress) {
     let addr = bchAddress
@@ -233,6 +517,10 @@ class MinimalBCHWallet {
     // If no address is passed in, but the wallet has been initialized, use the
     // wallet's address.
     if (!bchAddress && this.walletInfo && this.walletInfo.eCashAddress) {
+      if (this.isMultiAddress() && this.walletInfo.addresses) {
+        return this.utxos.initUtxoStore(this.walletInfo.addresses)
+      }
+
       addr = this.walletInfo.eCashAddress
       return this.utxos.initUtxoStore(addr)
     }
@@ -267,6 +555,19 @@ class MinimalBCHWallet {
   async getBalance (bchAddress) {
     let addr = bchAddress
 
+    // In multi-address mode, add up the balances of all the wallet's addresses.
+    if (!bchAddress && this.isMultiAddress() && this.walletInfo.addresses) {
+      let total = 0
+      for (let i = 0; i < this.walletInfo.addresses.length; i++) {
+        const thisAddr = this.walletInfo.addresses[i].cashAddress
+
+        const balances = await this.ar.getBalance(thisAddr)
+        total += balances.balance.confirmed + balances.balance.unconfirmed
+      }
+
+      return total
+    }
+
     // If no address is passed in, but the wallet has been initialized, use the
     // wallet's address.
     if (!bchAddress && this.walletInfo && this.walletInfo.cashAddress) {
@@ -283,6 +584,12 @@ class MinimalBCHWallet {
   async getTransactions (bchAddress, sortingOrder = 'DESCENDING') {
     let addr = bchAddress
 
+    // In multi-address mode, combine the history of all the wallet's addresses.
+    if (!bchAddress && this.isMultiAddress() && this.walletInfo.addresses) {
+      const addrs = this.walletInfo.addresses.map(x => x.cashAddress)
+      return this.getCombinedTransactions(addrs, sortingOrder)
+    }
+
     // If no address is passed in, but the wallet has been initialized, use the
     // wallet's address.
     if (!bchAddress && this.walletInfo && this.walletInfo.cashAddress) {
@@ -295,6 +602,26 @@ class MinimalBCHWallet {
     return data.transactions
   }
 
+  // Get the transaction history of several addresses as a single array, without
+  // duplicates. Unconfirmed transactions are treated as the most recent.
+  async getCombinedTransactions (addrs, sortingOrder = 'DESCENDING') {
+    let txs = []
+    for (let i = 0; i < addrs.length; i++) {
+      const data = await this.ar.getTransactions(addrs[i], sortingOrder)
+
+      data.transactions.forEach(tx => {
+        const exists = txs.find(x => x.tx_hash === tx.tx_hash)
+        if (!exists) txs.push(tx)
+      })
+    }
+
+    const height = tx => (tx.height > 0 ? tx.height : Infinity)
+    txs = txs.sort((a, b) => height(a) - height(b))
+    if (sortingOrder === 'DESCENDING') txs.reverse()
+
+    return txs
+  }
+
   // Get transaction data for up to 20 TXIDs. txids should be an array. Each
   // element should be a string containing a TXID.
   async getTxData (txids = []) {
@@ -305,24 +632,49 @@ class MinimalBCHWallet {
 
   // Send BCH. Returns a promise that resolves into a TXID.
   // This is a wrapper for the send-bch.js library.
-  send (outputs) {
+  // If opts.unsigned is true, an unsigned transaction is returned instead of
+  // being broadcast. It can be signed offline with signTransaction().
+  // If opts.dryRun is true, a summary of the transaction is returned instead,
+  // for the user to review before sending it. See lib/tx-preview.js.
+  // If opts.receipt is true, the transaction is broadcast, and its receipt is
+  // returned instead of the TXID. This works with every send method.
+  // opts.inputs is an array of UTXOs of the wallet, or of objects with a txid
+  // and vout property. If it is set, these UTXOs are spent, and no others,
+  // instead of the UTXOs chosen by coin selection. They can be frozen UTXOs.
+  async send (outputs, opts = {}) {
     try {
+      this.checkCanSign(opts)
+
       // console.log(
       //   `this.utxos.bchUtxos: ${JSON.stringify(this.utxos.bchUtxos, null, 2)}`
       // )
 
-      return this.sendBch.sendBch(
+      const bchUtxos = opts.inputs
+        ? this.utxos.getInputs(opts.inputs)
+        : this.utxos.getSpendableBchUtxos()
+
+      const txid = await this.sendBch.sendBch(
         outputs,
         {
           mnemonic: this.walletInfo.mnemonic,
           cashAddress: this.walletInfo.cashAddress,
+          changeAddress: this.walletInfo.changeAddress,
+          changeHdPath: this.walletInfo.changeHdPath,
+          addresses: this.walletInfo.addresses,
           hdPath: this.walletInfo.hdPath,
+          watchOnly: this.walletInfo.watchOnly,
           fee: this.fee,
           privateKey: this.walletInfo.privateKey
         },
         // this.utxos.bchUtxos
-        this.utxos.utxoStore.bchUtxos
+        bchUtxos,
+        opts
       )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
     } catch (err) {
       console.error('Error in send()')
       throw err
@@ -330,39 +682,95 @@ class MinimalBCHWallet {
   }
 
   // Send Tokens. Returns a promise that resolves into a TXID.
-  // This is a wrapper for the tokens.js library.
-  sendTokens (output, satsPerByte, opts = {}) {
+  // This is a wrapper for the tokens.js library. output can be an array of
+  // outputs with the same token ID, to pay several receivers in one TX.
+  // opts.inputs works like in send(). It holds the token UTXOs to send, and the
+  // BCH UTXOs that pay for the TX.
+  async sendTokens (output, satsPerByte, opts = {}) {
     try {
+      this.checkCanSign(opts)
+
       // console.log(`utxoStore: ${JSON.stringify(this.utxos.utxoStore, null, 2)}`)
 
       // If mining fee is not specified, use the value assigned in the constructor.
       if (!satsPerByte) satsPerByte = this.fee
 
-      // If output was passed in as an array, use only the first element of the Array.
-      if (Array.isArray(output)) {
-        output = output[0]
-      }
-
       // Combine all Type 1, Group, and NFT token UTXOs. Ignore minting batons.
-      const tokenUtxos = this.utxos.getSpendableTokenUtxos()
+      let tokenUtxos = this.utxos.getSpendableTokenUtxos()
+      let bchUtxos = this.utxos.getSpendableBchUtxos()
       // console.log('msw tokenUtxos: ', tokenUtxos)
 
-      return this.tokens.sendTokens(
+      if (opts.inputs) {
+        const inputs = this.utxos.getInputs(opts.inputs)
+        const tokenId = (Array.isArray(output) ? output[0] : output).tokenId
+
+        tokenUtxos = inputs.filter(x => x.tokenId)
+        bchUtxos = inputs.filter(x => !x.tokenId)
+
+        // Other tokens would not be spent, so the TX would not match the inputs.
+        const other = tokenUtxos.find(
+          x => x.tokenId !== tokenId || x.type !== 'token'
+        )
+        if (other) {
+          throw new Error(
+            `Input ${other.tx_hash}:${other.tx_pos} does not hold tokens of ${tokenId}`
+          )
+        }
+      }
+
+      const txid = await this.tokens.sendTokens(
         output,
         this.walletInfo,
-        this.utxos.utxoStore.bchUtxos,
+        bchUtxos,
         tokenUtxos,
         satsPerByte,
         opts
       )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
     } catch (err) {
       console.error('Error in send()')
       throw err
     }
   }
 
-  async burnTokens (qty, tokenId, satsPerByte) {
+  // Send any number of outputs, of one or more tokens, in a chain of TXs. Each
+  // TX sends a single token, to at most 18 receivers, and spends the change of
+  // the previous TX. Returns a promise that resolves into an array of TXIDs.
+  // If a TX fails, the error has a txids property with the TXIDs of the TXs
+  // that were already broadcast.
+  async sendTokensBatch (outputs, satsPerByte, opts = {}) {
+    const txids = []
+
     try {
+      if (opts.unsigned || opts.dryRun) {
+        throw new Error(
+          'sendTokensBatch() can not create unsigned TXs or previews. Use sendTokens() for each TX instead.'
+        )
+      }
+
+      const batches = this.tokens.batchTokenOutputs(outputs)
+
+      for (const batch of batches) {
+        const txid = await this.sendTokens(batch, satsPerByte, opts)
+        txids.push(txid)
+      }
+
+      return txids
+    } catch (err) {
+      console.error('Error in sendTokensBatch()')
+      err.txids = txids
+      throw err
+    }
+  }
+
+  async burnTokens (qty, tokenId, satsPerByte, opts = {}) {
+    try {
+      this.checkCanSign(opts)
+
       // console.log(`utxoStore: ${JSON.stringify(this.utxos.utxoStore, null, 2)}`)
 
       // If mining fee is not specified, use the value assigned in the constructor.
@@ -372,42 +780,286 @@ class MinimalBCHWallet {
       const tokenUtxos = this.utxos.getSpendableTokenUtxos()
 
       // Generate the transaction.
-      return this.tokens.burnTokens(
+      const txid = await this.tokens.burnTokens(
         qty,
         tokenId,
         this.walletInfo,
-        this.utxos.utxoStore.bchUtxos,
+        this.utxos.getSpendableBchUtxos(),
         tokenUtxos,
-        satsPerByte
+        satsPerByte,
+        opts
       )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
     } catch (err) {
       console.error('Error in burnTokens()')
       throw err
     }
   }
 
+  // Create a new SLP Type1 token. Returns a promise that resolves into the
+  // token ID. See tokens.js/createToken() for the properties of tokenData.
+  async createToken (tokenData, satsPerByte, opts = {}) {
+    try {
+      this.checkCanSign(opts)
+
+      // If mining fee is not specified, use the value assigned in the constructor.
+      if (!satsPerByte) satsPerByte = this.fee
+
+      const tokenId = await this.tokens.createToken(
+        tokenData,
+        this.walletInfo,
+        this.utxos.getSpendableBchUtxos(),
+        satsPerByte,
+        opts
+      )
+      if (opts.unsigned || opts.dryRun) return tokenId
+
+      await this.advanceChangeAddress()
+
+      return tokenId
+    } catch (err) {
+      console.error('Error in createToken()')
+      throw err
+    }
+  }
+
+  // Create a new NFT group token. Returns a promise that resolves into the
+  // token ID of the group. See tokens.js/createToken() for the properties of
+  // tokenData.
+  async createNftGroup (tokenData, satsPerByte, opts = {}) {
+    try {
+      return await this.createToken(
+        Object.assign({}, tokenData, { tokenType: 129 }),
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in createNftGroup()')
+      throw err
+    }
+  }
+
+  // Split qtyUnits of the NFT group groupId into UTXOs of a single unit each.
+  // Each of them can be burned to mint a child NFT. Group UTXOs that already
+  // hold a single unit are left alone. Returns a promise that resolves into an
+  // array of TXIDs.
+  async splitNftGroup (groupId, qtyUnits, satsPerByte, opts = {}) {
+    try {
+      const groupUtxo = this.utxos
+        .getSpendableTokenUtxos()
+        .find(x => x.tokenId === groupId && x.tokenType === 129)
+      if (!groupUtxo) throw new Error(`NFT group ${groupId} not found`)
+
+      const decimals = groupUtxo.decimals || 0
+      const outputs = this.tokens.getGroupSplitOutputs(
+        groupId,
+        qtyUnits,
+        this.walletInfo.cashAddress,
+        decimals
+      )
+
+      const tokenUtxosFilter = utxos => {
+        utxos = utxos.filter(x => !this.tokens.isSingleUnit(x))
+        if (!utxos.length) {
+          throw new Error(`No UTXOs of NFT group ${groupId} left to split`)
+        }
+
+        return utxos
+      }
+
+      return await this.sendTokensBatch(
+        outputs,
+        satsPerByte,
+        Object.assign({}, opts, { tokenUtxosFilter })
+      )
+    } catch (err) {
+      console.error('Error in splitNftGroup()')
+      throw err
+    }
+  }
+
+  // Mint a child NFT of the NFT group groupId for each object in nfts. Each
+  // object has a ticker, name, and optional documentUri and documentHash, which
+  // usually points to the metadata of the NFT. Each NFT burns a group UTXO
+  // with a single unit, see splitNftGroup(). Returns a promise that resolves
+  // into an array with the token ID of each NFT. If a TX fails, the error has
+  // a tokenIds property with the token IDs of the NFTs that were minted.
+  async mintNfts (groupId, nfts, satsPerByte, opts = {}) {
+    const tokenIds = []
+
+    try {
+      this.checkCanSign(opts)
+
+      if (opts.unsigned || opts.dryRun) {
+        throw new Error(
+          'mintNfts() can not create unsigned TXs or previews, because each TX spends the change of the previous one.'
+        )
+      }
+
+      // If mining fee is not specified, use the value assigned in the constructor.
+      if (!satsPerByte) satsPerByte = this.fee
+
+      if (!Array.isArray(nfts)) nfts = [nfts]
+
+      for (const nftData of nfts) {
+        const tokenId = await this.tokens.createNftChild(
+          groupId,
+          nftData,
+          this.walletInfo,
+          this.utxos.getSpendableBchUtxos(),
+          this.utxos.getSpendableTokenUtxos(),
+          satsPerByte,
+          opts
+        )
+        tokenIds.push(tokenId)
+
+        await this.advanceChangeAddress()
+      }
+
+      return tokenIds
+    } catch (err) {
+      console.error('Error in mintNfts()')
+      err.tokenIds = tokenIds
+      throw err
+    }
+  }
+
+  // Mint qty new tokens with the minting baton of tokenId, which must be held
+  // by this wallet. The baton is kept, or passed on to opts.batonReceiver.
+  // opts.satsPerByte sets the mining fee. Returns a promise that resolves into
+  // a TXID.
+  async mintTokens (tokenId, qty, opts = {}) {
+    try {
+      this.checkCanSign(opts)
+
+      // If mining fee is not specified, use the value assigned in the constructor.
+      const satsPerByte = opts.satsPerByte || this.fee
+
+      const txid = await this.tokens.mintTokens(
+        tokenId,
+        qty,
+        this.walletInfo,
+        this.utxos.getSpendableBchUtxos(),
+        this.utxos.getMintBatonUtxos(),
+        satsPerByte,
+        opts
+      )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
+    } catch (err) {
+      console.error('Error in mintTokens()')
+      throw err
+    }
+  }
+
+  // Send the minting baton of tokenId, which must be held by this wallet, to
+  // address. Returns a promise that resolves into a TXID.
+  async sendMintBaton (tokenId, address, satsPerByte, opts = {}) {
+    try {
+      this.checkCanSign(opts)
+
+      // If mining fee is not specified, use the value assigned in the constructor.
+      if (!satsPerByte) satsPerByte = this.fee
+
+      const txid = await this.tokens.sendMintBaton(
+        tokenId,
+        address,
+        this.walletInfo,
+        this.utxos.getSpendableBchUtxos(),
+        this.utxos.getMintBatonUtxos(),
+        satsPerByte,
+        opts
+      )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
+    } catch (err) {
+      console.error('Error in sendMintBaton()')
+      throw err
+    }
+  }
+
+  // Destroy the minting baton of tokenId, which must be held by this wallet.
+  // This permanently caps the supply of the token: no more tokens can ever be
+  // minted. It can not be undone, so opts.confirm must be true. Returns a
+  // promise that resolves into a TXID.
+  async destroyMintBaton (tokenId, satsPerByte, opts = {}) {
+    try {
+      this.checkCanSign(opts)
+
+      // If mining fee is not specified, use the value assigned in the constructor.
+      if (!satsPerByte) satsPerByte = this.fee
+
+      const txid = await this.tokens.destroyMintBaton(
+        tokenId,
+        this.walletInfo,
+        this.utxos.getSpendableBchUtxos(),
+        this.utxos.getMintBatonUtxos(),
+        satsPerByte,
+        opts
+      )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
+
+      return txid
+    } catch (err) {
+      console.error('Error in destroyMintBaton()')
+      throw err
+    }
+  }
+
   // Return information on SLP tokens held by this wallet.
-  listTokens (slpAddress) {
+  async listTokens (slpAddress) {
+    // Combine the tokens held by all the wallet's addresses.
+    if (!slpAddress && this.isMultiAddress() && this.walletInfo.addresses) {
+      await this.utxos.initUtxoStore(this.walletInfo.addresses)
+      const tokenUtxos = this.utxos.getSpendableTokenUtxos()
+
+      return this.tokens.listTokensFromUtxos(tokenUtxos)
+    }
+
     const addr = slpAddress || this.walletInfo.address
 
     return this.tokens.listTokensFromAddress(addr)
   }
 
-  // Send BCH. Returns a promise that resolves into a TXID.
+  // Send all the BCH of the wallet to toAddress. Returns a promise that
+  // resolves into a TXID. Frozen UTXOs are not sent. opts.inputs works like in
+  // send(), to send only those UTXOs.
   // This is a wrapper for the send-bch.js library.
-  sendAll (toAddress) {
+  async sendAll (toAddress, opts = {}) {
     try {
-      return this.sendBch.sendAllBch(
+      // Wait for the wallet to finish initializing.
+      await this.walletInfoPromise
+
+      this.checkCanSign(opts)
+
+      return await this.sendBch.sendAllBch(
         toAddress,
         {
           mnemonic: this.walletInfo.mnemonic,
           cashAddress: this.walletInfo.address,
+          addresses: this.walletInfo.addresses,
           hdPath: this.walletInfo.hdPath,
+          watchOnly: this.walletInfo.watchOnly,
           fee: this.fee,
           privateKey: this.walletInfo.privateKey
         },
         // this.utxos.bchUtxos
-        this.utxos.utxoStore.bchUtxos
+        opts.inputs
+          ? this.utxos.getInputs(opts.inputs)
+          : this.utxos.getSpendableBchUtxos(),
+        opts
       )
     } catch (err) {
       console.error('Error in sendAll()')
@@ -415,9 +1067,58 @@ class MinimalBCHWallet {
     }
   }
 
+  // Calculate the maximum number of satoshis that send() can send, in total,
+  // to the receivers in opts.outputs, after the miner fee and the donation.
+  // opts.outputs is an array of addresses, or of objects with an address
+  // property. It defaults to a single receiver. opts.satsPerByte defaults to
+  // the fee of the wallet. If opts.includeOpReturn is set, the amount is
+  // calculated for sendOpReturn() instead, and opts.satsPerByte defaults to 1,
+  // like in sendOpReturn(). It can be a message, or an object with a msg and
+  // prefix property. Returns a promise that resolves into a number of
+  // satoshis.
+  async getMaxSendable (opts = {}) {
+    try {
+      // Wait for the wallet to finish initializing.
+      await this.walletInfoPromise
+
+      let outputs = opts.outputs || [this.walletInfo.cashAddress]
+      if (!Array.isArray(outputs)) outputs = [outputs]
+      outputs = outputs.map(x => ({
+        address: typeof x === 'string' ? x : x.address
+      }))
+
+      let satsPerByte = opts.satsPerByte || this.fee
+
+      const opReturn = opts.includeOpReturn
+      if (opReturn) {
+        satsPerByte = opts.satsPerByte || 1.0
+
+        const { msg, prefix } =
+          typeof opReturn === 'object' ? opReturn : { msg: opReturn }
+        const script = this.opReturn.generateScript(
+          typeof msg === 'string' ? msg : '',
+          prefix
+        )
+        outputs.unshift({ script })
+      }
+
+      return this.sendBch.getMaxSendable(
+        outputs,
+        this.utxos.getSpendableBchUtxos(),
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in getMaxSendable()')
+      throw err
+    }
+  }
+
   // Burn all the SLP tokens associated to the token ID
-  async burnAll (tokenId) {
+  async burnAll (tokenId, opts = {}) {
     try {
+      this.checkCanSign(opts)
+
       // Combine all Type 1, Group, and NFT token UTXOs. Ignore minting batons.
       const tokenUtxos = this.utxos.getSpendableTokenUtxos()
       // console.log(`tokenUtxos: ${JSON.stringify(tokenUtxos, null, 2)}`)
@@ -426,9 +1127,13 @@ class MinimalBCHWallet {
       const txid = await this.tokens.burnAll(
         tokenId,
         this.walletInfo,
-        this.utxos.utxoStore.bchUtxos,
-        tokenUtxos
+        this.utxos.getSpendableBchUtxos(),
+        tokenUtxos,
+        opts
       )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
 
       return txid
     } catch (err) {
@@ -437,6 +1142,42 @@ class MinimalBCHWallet {
     }
   }
 
+  // Sign a transaction that was exported by a send method with the
+  // opts.unsigned option. This is intended to be called on an offline wallet.
+  // Returns an object with the signed transaction in hex format, and its TXID.
+  async signTransaction (unsignedTx) {
+    try {
+      await this.walletInfoPromise
+
+      this.checkCanSign()
+
+      return await this.sendBch.signTransaction(unsignedTx, this.walletInfo)
+    } catch (err) {
+      console.error('Error in signTransaction()')
+      throw err
+    }
+  }
+
+  // Check that a transaction signed by an offline wallet matches the unsigned
+  // transaction, then broadcast it. signedTx can be a hex string or the object
+  // returned by signTransaction(). Returns the TXID.
+  async broadcastSignedTx (signedTx, unsignedTx) {
+    try {
+      const txid = await this.sendBch.broadcastSignedTx(
+        signedTx,
+        unsignedTx,
+        this.walletInfo
+      )
+
+      await this.advanceChangeAddress()
+
+      return txid
+    } catch (err) {
+      console.error('Error in broadcastSignedTx()')
+      throw err
+    }
+  }
+
   // Get the spot price of BCH in USD.
   async getUsd () {
     return await this.ar.getUsd()
@@ -448,24 +1189,31 @@ class MinimalBCHWallet {
     msg = '',
     prefix = '6d02', // Default to memo.cash
     bchOutput = [],
-    satsPerByte = 1.0
+    satsPerByte = 1.0,
+    opts = {}
   ) {
     try {
       // Wait for the wallet to finish initializing.
       await this.walletInfoPromise
 
+      this.checkCanSign(opts)
+
       // console.log(
       //   `this.utxos.utxoStore ${JSON.stringify(this.utxos.utxoStore, null, 2)}`
       // )
 
       const txid = await this.opReturn.sendOpReturn(
         this.walletInfo,
-        this.utxos.utxoStore.bchUtxos,
+        this.utxos.getSpendableBchUtxos(),
         msg,
         prefix,
         bchOutput,
-        satsPerByte
+        satsPerByte,
+        opts
       )
+      if (opts.unsigned || opts.dryRun) return txid
+
+      await this.advanceChangeAddress()
 
       return txid
     } catch (err) {
@@ -534,10 +1282,23 @@ class MinimalBCHWallet {
     return outObj
   }
 
+  // Add a network adapter, to be selected by its name with the interface
+  // option of the constructor. See lib/adapters/router.js for the methods an
+  // adapter must implement.
+  static registerAdapter (name, adapter) {
+    AdapterRouter.registerAdapter(name, adapter)
+  }
+
+  // Remove a network adapter added with registerAdapter().
+  static unregisterAdapter (name) {
+    return AdapterRouter.unregisterAdapter(name)
+  }
+
   // Optimize the wallet by consolidating UTXOs. This has the effect of speeding
-  // up all API calls and improving the UX.
-  async optimize () {
-    return await this.consolidateUtxos.start()
+  // up all API calls and improving the UX. opts is the consolidation policy,
+  // and the dryRun option. See lib/consolidate-utxos.js/start().
+  async optimize (opts = {}) {
+    return await this.consolidateUtxos.start(opts)
   }
 }
 
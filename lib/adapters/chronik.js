@@ -0,0 +1,399 @@
+/*
+  Network adapter for the 'chronik' interface. Network calls are made with
+  chronik-client, to a Chronik indexer, the native indexer of eCash nodes.
+  restURL is the URL of the Chronik server, or an array of URLs to fail over
+  between. The results are converted to the output of bch-js.
+
+  Chronik does not provide a price feed, or the token media stored on IPFS.
+
+  See router.js for the interface that every adapter implements.
+*/
+
+// Public npm libraries
+const { ChronikClient } = require('chronik-client')
+const slpMdm = require('slp-mdm')
+
+// The SLP token types supported by this library. Token UTXOs of any other
+// type, like ALP tokens, are put in nullUtxos, so that they are not spent.
+const SLP_TOKEN_TYPES = [1, 65, 129]
+
+// The largest page of TX history that Chronik returns.
+const HISTORY_PAGE_SIZE = 200
+
+class ChronikAdapter {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating ChronikAdapter.'
+      )
+    }
+
+    if (!localConfig.restURL) {
+      throw new Error(
+        'Must pass the URL of a Chronik server as restURL when instantiating ChronikAdapter.'
+      )
+    }
+
+    // chronik-client does not accept a trailing slash.
+    const urls = [].concat(localConfig.restURL).map(x => x.replace(/\/+$/, ''))
+    this.chronik = new ChronikClient(urls)
+
+    // The token info of each token ID. It comes from the GENESIS TX of the
+    // token, so it never changes.
+    this.tokenInfoCache = {}
+  }
+
+  async getBalance (addr) {
+    const result = await this.chronik.address(addr).utxos()
+
+    // Construct an object that matches the bchjs output.
+    const balance = { confirmed: 0, unconfirmed: 0 }
+    result.utxos.forEach(utxo => {
+      if (utxo.blockHeight > 0) balance.confirmed += Number(utxo.sats)
+      else balance.unconfirmed += Number(utxo.sats)
+    })
+
+    return { success: true, balance }
+  }
+
+  async getUtxos (addr) {
+    const result = await this.chronik.address(addr).utxos()
+    // console.log(`utxos: ${JSON.stringify(result, null, 2)}`)
+
+    const utxos = result.utxos.map(x => this.toUtxo(x, addr))
+    await this.hydrateTokenData(utxos.filter(x => x.isSlp))
+
+    const filterSlp = (type, tokenType) =>
+      utxos.filter(
+        x => x.isSlp === true && x.type === type && x.tokenType === tokenType
+      )
+
+    // Construct an object that matches the bchjs output.
+    return {
+      address: addr,
+      bchUtxos: utxos.filter(x => x.isSlp === false),
+      slpUtxos: {
+        type1: {
+          tokens: filterSlp('token', 1),
+          mintBatons: filterSlp('baton', 1)
+        },
+        group: {
+          tokens: filterSlp('token', 129),
+          mintBatons: filterSlp('baton', 129)
+        },
+        nft: {
+          tokens: filterSlp('token', 65)
+        }
+      },
+      nullUtxos: utxos.filter(x => x.isSlp === null)
+    }
+  }
+
+  async getTransactions (addr, sortingOrder = 'DESCENDING') {
+    const history = await this.getHistory(this.chronik.address(addr))
+
+    const transactions = history.map(tx => ({
+      tx_hash: tx.txid,
+      height: tx.block ? tx.block.height : 0
+    }))
+
+    // Like bch-js, unconfirmed TXs are given the height of the next block.
+    if (transactions.some(x => x.height === 0)) {
+      const info = await this.chronik.blockchainInfo()
+      transactions.forEach(x => {
+        if (x.height === 0) x.height = info.tipHeight + 1
+      })
+    }
+
+    if (sortingOrder === 'DESCENDING') {
+      transactions.sort((a, b) => b.height - a.height)
+    } else {
+      transactions.sort((a, b) => a.height - b.height)
+    }
+
+    return { success: true, transactions }
+  }
+
+  async getTxData (txids) {
+    const data = []
+    for (let i = 0; i < txids.length; i++) {
+      const txid = txids[i]
+      // console.log('txid: ', txid)
+
+      const tx = await this.chronik.tx(txid)
+      data.push(await this.toTxData(tx))
+    }
+
+    return data
+  }
+
+  async sendTx (hex) {
+    // The wallet checks that a TX does not burn tokens by accident before
+    // signing it, and burns tokens on purpose with the allowBurn option. So
+    // the token checks of Chronik are skipped.
+    const result = await this.chronik.broadcastTx(hex, true)
+    // console.log('sendTx() txid: ', result.txid)
+
+    return result.txid
+  }
+
+  async getUsd () {
+    throw new Error('The chronik interface does not provide the price in USD.')
+  }
+
+  async utxoIsValid (utxo) {
+    const txid = utxo.tx_hash || utxo.txid
+    const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+
+    let tx
+    try {
+      tx = await this.chronik.tx(txid)
+    } catch (err) {
+      // A TX that is not in the blockchain or the mempool has no UTXOs.
+      if (err.message && err.message.includes('not found')) return false
+      throw err
+    }
+
+    const output = tx.outputs[vout]
+    return !!output && !output.spentBy
+  }
+
+  async getTokenData (tokenId, withTxHistory = false) {
+    const genesisData = await this.getTokenStats(tokenId)
+
+    if (withTxHistory) {
+      const history = await this.getHistory(this.chronik.tokenId(tokenId))
+
+      genesisData.txs = history.map(tx => {
+        const entry = tx.tokenEntries.find(x => x.tokenId === tokenId)
+
+        return {
+          txid: tx.txid,
+          height: tx.block ? tx.block.height : 0,
+          type: entry ? entry.txType : 'NONE'
+        }
+      })
+    }
+
+    // The mutable and immutable data are stored on IPFS, which Chronik does
+    // not index.
+    return { genesisData, immutableData: '', mutableData: '' }
+  }
+
+  async getTokenData2 (tokenId) {
+    const tokenStats = await this.getTokenStats(tokenId)
+
+    // Chronik does not look up the token media on IPFS, so no icon is found.
+    return {
+      tokenStats,
+      mutableData: '',
+      immutableData: '',
+      tokenIcon: '',
+      fullSizedUrl: '',
+      optimizedTokenIcon: '',
+      optimizedFullSizedUrl: '',
+      iconRepoCompatible: false,
+      ps002Compatible: false
+    }
+  }
+
+  // Convert a Chronik UTXO to a UTXO in the shape used by bch-js. The token
+  // data of token UTXOs is added by hydrateTokenData().
+  toUtxo (utxo, addr) {
+    const value = Number(utxo.sats)
+
+    const outUtxo = {
+      // Chronik reports a height of -1 for UTXOs in the mempool.
+      height: utxo.blockHeight > 0 ? utxo.blockHeight : 0,
+      tx_hash: utxo.outpoint.txid,
+      tx_pos: utxo.outpoint.outIdx,
+      value,
+      satoshis: value,
+      txid: utxo.outpoint.txid,
+      vout: utxo.outpoint.outIdx,
+      address: addr,
+      isSlp: false
+    }
+
+    const token = utxo.token
+    if (!token) return outUtxo
+
+    if (
+      token.tokenType.protocol !== 'SLP' ||
+      !SLP_TOKEN_TYPES.includes(token.tokenType.number)
+    ) {
+      outUtxo.isSlp = null
+      return outUtxo
+    }
+
+    outUtxo.isSlp = true
+    outUtxo.type = token.isMintBaton ? 'baton' : 'token'
+    outUtxo.tokenId = token.tokenId
+    outUtxo.tokenType = token.tokenType.number
+    if (!token.isMintBaton) outUtxo.qty = token.atoms.toString()
+
+    return outUtxo
+  }
+
+  // Add the ticker, name, document, and decimals of the token to each token
+  // UTXO, and the quantity of tokens it holds, in display units.
+  async hydrateTokenData (utxos) {
+    for (let i = 0; i < utxos.length; i++) {
+      const utxo = utxos[i]
+
+      const tokenStats = await this.getTokenStats(utxo.tokenId)
+      utxo.ticker = tokenStats.ticker
+      utxo.name = tokenStats.name
+      utxo.documentUri = tokenStats.documentUri
+      utxo.documentHash = tokenStats.documentHash
+      utxo.decimals = tokenStats.decimals
+
+      if (utxo.type !== 'baton') {
+        utxo.qtyStr = new slpMdm.BN(utxo.qty)
+          .shiftedBy(-utxo.decimals)
+          .toFixed()
+        utxo.tokenQty = utxo.qtyStr
+      }
+    }
+
+    return utxos
+  }
+
+  // Returns the token info of a token from Chronik, in the shape of the
+  // genesisData returned by bch-js.
+  async getTokenStats (tokenId) {
+    if (!this.tokenInfoCache[tokenId]) {
+      this.tokenInfoCache[tokenId] = await this.chronik.token(tokenId)
+    }
+    const tokenInfo = this.tokenInfoCache[tokenId]
+    const genesisInfo = tokenInfo.genesisInfo
+
+    return {
+      type: tokenInfo.tokenType.number,
+      ticker: genesisInfo.tokenTicker,
+      name: genesisInfo.tokenName,
+      tokenId,
+      documentUri: genesisInfo.url,
+      documentHash: genesisInfo.hash || '',
+      decimals: genesisInfo.decimals,
+      blockCreated: tokenInfo.block ? tokenInfo.block.height : null
+    }
+  }
+
+  // Returns every TX in the history of a Chronik endpoint, like an address or
+  // a token ID, newest first.
+  async getHistory (endpoint) {
+    let txs = []
+    let numPages = 1
+    for (let page = 0; page < numPages; page++) {
+      const result = await endpoint.history(page, HISTORY_PAGE_SIZE)
+      numPages = result.numPages
+
+      txs = txs.concat(result.txs)
+    }
+
+    return txs
+  }
+
+  // Convert a Chronik TX to the TX data returned by bch-js. Values are in
+  // BCH, and token quantities in display units.
+  async toTxData (tx) {
+    const tokenQty = async token => {
+      if (!token || token.isMintBaton) {
+        return { tokenQty: 0, tokenQtyStr: '0', tokenId: token ? token.tokenId : null }
+      }
+
+      const tokenStats = await this.getTokenStats(token.tokenId)
+      const qtyStr = new slpMdm.BN(token.atoms.toString())
+        .shiftedBy(-tokenStats.decimals)
+        .toFixed()
+
+      return { tokenQty: Number(qtyStr), tokenQtyStr: qtyStr, tokenId: token.tokenId }
+    }
+
+    const vin = []
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const input = tx.inputs[i]
+
+      vin.push(Object.assign({
+        txid: input.prevOut.txid,
+        vout: input.prevOut.outIdx,
+        scriptSig: { hex: input.inputScript },
+        sequence: input.sequenceNo,
+        address: this.toAddress(input.outputScript),
+        value: Number(input.sats) / 1e8
+      }, await tokenQty(input.token)))
+    }
+
+    const vout = []
+    for (let n = 0; n < tx.outputs.length; n++) {
+      const output = tx.outputs[n]
+
+      const scriptPubKey = { hex: output.outputScript }
+      const address = this.toAddress(output.outputScript)
+      if (address) scriptPubKey.addresses = [address]
+
+      vout.push(Object.assign({
+        value: Number(output.sats) / 1e8,
+        n,
+        scriptPubKey
+      }, await tokenQty(output.token)))
+    }
+
+    const txData = {
+      txid: tx.txid,
+      hash: tx.txid,
+      version: tx.version,
+      size: tx.size,
+      locktime: tx.lockTime,
+      vin,
+      vout,
+      time: tx.block ? tx.block.timestamp : tx.timeFirstSeen,
+      isSlpTx: false,
+      isValidSlp: false
+    }
+
+    // Like a full node, the block data is only included for a confirmed TX.
+    if (tx.block) {
+      txData.blockhash = tx.block.hash
+      txData.blocktime = tx.block.timestamp
+      txData.blockheight = tx.block.height
+    }
+
+    const entry = tx.tokenEntries.find(x => x.tokenType.protocol === 'SLP')
+    if (entry) {
+      const tokenStats = await this.getTokenStats(entry.tokenId)
+
+      Object.assign(txData, {
+        isSlpTx: true,
+        tokenTxType: entry.txType,
+        tokenId: entry.tokenId,
+        tokenType: entry.tokenType.number,
+        tokenTicker: tokenStats.ticker,
+        tokenName: tokenStats.name,
+        tokenDecimals: tokenStats.decimals,
+        tokenUri: tokenStats.documentUri,
+        tokenDocHash: tokenStats.documentHash,
+        isValidSlp: !entry.isInvalid
+      })
+    }
+
+    return txData
+  }
+
+  // Returns the cash address paid by an output script in hex, or null if the
+  // script does not pay an address, like an OP_RETURN.
+  toAddress (scriptHex) {
+    if (!scriptHex) return null
+
+    try {
+      return this.bchjs.Address.fromOutputScript(Buffer.from(scriptHex, 'hex'))
+    } catch (err) {
+      return null
+    }
+  }
+}
+
+module.exports = ChronikAdapter
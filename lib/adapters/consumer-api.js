@@ -0,0 +1,93 @@
+/*
+  Network adapter for the 'consumer-api' interface. Network calls are made with
+  xec-consumer, to an ipfs-bch-wallet-consumer server like
+  free-bch.fullstack.cash. The results are converted to the output of bch-js.
+
+  See router.js for the interface that every adapter implements.
+*/
+
+const BchConsumer = require('xec-consumer')
+
+class ConsumerApiAdapter {
+  constructor (localConfig = {}) {
+    if (localConfig.restURL) {
+      this.bchConsumer = new BchConsumer({ restURL: localConfig.restURL })
+    } else {
+      this.bchConsumer = new BchConsumer()
+    }
+  }
+
+  async getBalance (addr) {
+    const result = await this.bchConsumer.bch.getBalance(addr)
+
+    // Construct an object that matches the bchjs output.
+    const balances = {
+      success: result.success,
+      balance: result.balances[0].balance
+    }
+
+    return balances
+  }
+
+  async getUtxos (addr) {
+    const utxos = await this.bchConsumer.bch.getUtxos(addr)
+    // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
+
+    // Handle communication errors.
+    if (utxos[0].success === false) throw new Error(utxos[0].message)
+
+    return utxos[0]
+  }
+
+  async getTransactions (addr, sortingOrder = 'DESCENDING') {
+    const result = await this.bchConsumer.bch.getTxHistory(addr, sortingOrder)
+    // console.log(
+    //   `getTransactions() bchConsumer: ${JSON.stringify(result, null, 2)}`
+    // )
+
+    // Construct an object that matches the bchjs output.
+    const txs = {
+      success: result.success,
+      transactions: result.txs
+    }
+
+    return txs
+  }
+
+  async getTxData (txids) {
+    const result = await this.bchConsumer.bch.getTxData(txids)
+
+    return result
+  }
+
+  async sendTx (hex) {
+    const txid = await this.bchConsumer.bch.sendTx(hex)
+    // console.log('sendTx() txid: ', txid)
+
+    if (txid.success === false) throw new Error(txid.message)
+
+    return txid.txid
+  }
+
+  async getUsd () {
+    const price = await this.bchConsumer.bch.getUsd()
+    return price
+  }
+
+  async utxoIsValid (utxo) {
+    const result = await this.bchConsumer.bch.utxoIsValid(utxo)
+    return result.isValid
+  }
+
+  async getTokenData (tokenId, withTxHistory = false) {
+    const tokenData = await this.bchConsumer.bch.getTokenData(tokenId, withTxHistory)
+    return tokenData.tokenData
+  }
+
+  async getTokenData2 (tokenId) {
+    const tokenData = await this.bchConsumer.bch.getTokenData2(tokenId)
+    return tokenData.tokenData
+  }
+}
+
+module.exports = ConsumerApiAdapter
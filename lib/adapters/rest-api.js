@@ -0,0 +1,85 @@
+/*
+  Network adapter for the 'rest-api' interface, the default. Network calls are
+  made with bch-js, to a bch-api REST server like api.FullStack.cash.
+
+  See router.js for the interface that every adapter implements.
+*/
+
+class RestApiAdapter {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating RestApiAdapter.'
+      )
+    }
+  }
+
+  async getBalance (addr) {
+    const balances = await this.bchjs.Electrumx.balance(addr)
+    return balances
+  }
+
+  async getUtxos (addr) {
+    const utxos = await this.bchjs.Utxo.get(addr)
+    // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
+
+    return utxos
+  }
+
+  async getTransactions (addr, sortingOrder = 'DESCENDING') {
+    const data = await this.bchjs.Electrumx.transactions(addr)
+    // console.log('getTransactions() rest-api: ', data)
+
+    const sortedTxs = await this.bchjs.Electrumx.sortAllTxs(data.transactions, sortingOrder)
+    data.transactions = sortedTxs
+
+    return data
+  }
+
+  async getTxData (txids) {
+    const data = []
+    for (let i = 0; i < txids.length; i++) {
+      const txid = txids[i]
+      // console.log('txid: ', txid)
+
+      const txData = await this.bchjs.PsfSlpIndexer.tx(txid)
+      data.push(txData.txData)
+    }
+
+    return data
+  }
+
+  async sendTx (hex) {
+    let txid = await this.bchjs.RawTransactions.sendRawTransaction([hex])
+    // console.log('txid: ', txid)
+
+    // bch-js returns an array. Refactor this to return a string.
+    txid = txid[0]
+
+    return txid
+  }
+
+  async getUsd () {
+    const price = await this.bchjs.Price.getUsd()
+    return price
+  }
+
+  async utxoIsValid (utxo) {
+    const isValid = await this.bchjs.Utxo.isValid(utxo)
+    return isValid
+  }
+
+  async getTokenData (tokenId, withTxHistory = false) {
+    const tokenData = await this.bchjs.PsfSlpIndexer.getTokenData(tokenId, withTxHistory)
+    return tokenData
+  }
+
+  async getTokenData2 (tokenId) {
+    const tokenData = await this.bchjs.PsfSlpIndexer.getTokenData2(tokenId)
+    return tokenData
+  }
+}
+
+module.exports = RestApiAdapter
@@ -4,11 +4,63 @@
   to be the same, while building different network adapters that are drop-in
   replacements for one another.
 
-  If this.interface === 'rest-api', then use bch-js api.FullStack.cash
-  if this.interface === 'consumer-api', then use bch-consumer and free-bch.fullstack.cash.
+  The adapters are kept in a registry, and selected by name with
+  localConfig.interface:
+  - 'rest-api' (default): use bch-js and api.FullStack.cash. See rest-api.js.
+  - 'consumer-api': use bch-consumer and free-bch.fullstack.cash. See
+    consumer-api.js.
+  - 'chronik': use chronik-client and a Chronik indexer, like the one of an
+    eCash node. See chronik.js.
+  Other adapters can be added with AdapterRouter.registerAdapter(), and removed
+  with AdapterRouter.unregisterAdapter(). An unknown interface throws an error.
+
+  An adapter is an object with these async methods. The router validates their
+  inputs, so an adapter only has to make the network call, and return its
+  result in the shape used by bch-js:
+  - getBalance(addr): { success, balance: { confirmed, unconfirmed } }, in
+    satoshis.
+  - getUtxos(addr): the UTXO store of the address, with the address, bchUtxos,
+    nullUtxos, and slpUtxos properties. See utxos.js.
+  - getTransactions(addr, sortingOrder): { success, transactions }, where
+    transactions is an array of objects with a tx_hash and height property,
+    sorted by height. sortingOrder is 'ASCENDING' or 'DESCENDING'.
+  - getTxData(txids): an array with the details of each TX.
+  - sendTx(hex): broadcasts the TX, and returns its TXID.
+  - getUsd(): the price of one BCH in USD.
+  - utxoIsValid(utxo): true if the UTXO can be spent.
+  - getTokenData(tokenId, withTxHistory): the genesis, immutable, and mutable
+    data of the token.
+  - getTokenData2(tokenId): the token icon and other media.
+  Errors are thrown.
 */
 
-const BchConsumer = require('xec-consumer')
+const RestApiAdapter = require('./rest-api')
+const ConsumerApiAdapter = require('./consumer-api')
+const ChronikAdapter = require('./chronik')
+
+// The methods every adapter must implement.
+const ADAPTER_METHODS = [
+  'getBalance',
+  'getUtxos',
+  'getTransactions',
+  'getTxData',
+  'sendTx',
+  'getUsd',
+  'utxoIsValid',
+  'getTokenData',
+  'getTokenData2'
+]
+
+// The adapters that come with this library. They can not be replaced.
+const BUILT_IN_ADAPTERS = {
+  'rest-api': RestApiAdapter,
+  'consumer-api': ConsumerApiAdapter,
+  chronik: ChronikAdapter
+}
+
+// Maps the name of each interface to its adapter: an object, or a class that
+// is instantiated with the localConfig of the router.
+const adapterRegistry = Object.assign({}, BUILT_IN_ADAPTERS)
 
 class AdapterRouter {
   constructor (localConfig = {}) {
@@ -20,15 +72,20 @@ class AdapterRouter {
       )
     }
 
+    // Passed to the adapters that are registered as a class.
+    this.localConfig = localConfig
+
     // Select the interface to use for network calls.
-    this.interface = 'rest-api' // default
-    if (localConfig.interface === 'consumer-api') {
-      this.interface = 'consumer-api'
-      if (localConfig.restURL) {
-        this.bchConsumer = new BchConsumer({ restURL: localConfig.restURL })
-      } else {
-        this.bchConsumer = new BchConsumer()
-      }
+    this.interface = localConfig.interface || 'rest-api' // default
+
+    // Adapter instances, by interface name.
+    this.adapters = {}
+
+    // Instantiate the adapter now, so that an unknown interface is reported
+    // right away.
+    const adapter = this.getAdapter()
+    if (this.interface === 'consumer-api') {
+      this.bchConsumer = adapter.bchConsumer
     }
     console.log(`Initializing minimal-slp-wallet routers with this interface: ${this.interface}`)
 
@@ -41,30 +98,92 @@ class AdapterRouter {
     // }
   }
 
-  async getBalance (addr) {
-    try {
-      if (!addr) {
-        throw new Error('Address string required when calling getBalance()')
+  // Add a network adapter to the registry, to be selected by its name with the
+  // interface option. adapter is an object that implements the methods listed
+  // at the top of this file, or a class whose instances do. A class is
+  // instantiated with the localConfig of the router, which includes the
+  // instance of bch-js and the restURL. Registering a name again replaces its
+  // adapter, for the routers created afterwards. The built-in adapters can not
+  // be replaced.
+  static registerAdapter (name, adapter) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('The name of an adapter must be a string')
+    }
+    if (BUILT_IN_ADAPTERS[name]) {
+      throw new Error(`The built-in '${name}' adapter can not be replaced`)
+    }
+    if (!adapter || !['object', 'function'].includes(typeof adapter)) {
+      throw new Error('adapter must be an object or a class')
+    }
+
+    // A class is checked when it is instantiated.
+    if (typeof adapter === 'object') AdapterRouter.checkAdapter(name, adapter)
+
+    adapterRegistry[name] = adapter
+  }
+
+  // Remove an adapter added with registerAdapter(). Routers that already use it
+  // keep their instance. Returns false if no adapter is registered with that
+  // name. The built-in adapters can not be removed.
+  static unregisterAdapter (name) {
+    if (BUILT_IN_ADAPTERS[name]) {
+      throw new Error(`The built-in '${name}' adapter can not be removed`)
+    }
+    if (!adapterRegistry[name]) return false
+
+    delete adapterRegistry[name]
+    return true
+  }
+
+  // Returns the names of the registered interfaces.
+  static listAdapters () {
+    return Object.keys(adapterRegistry)
+  }
+
+  // Throw an error if the adapter does not implement every method of the
+  // adapter interface.
+  static checkAdapter (name, adapter) {
+    const missing = ADAPTER_METHODS.filter(x => typeof adapter[x] !== 'function')
+    if (missing.length) {
+      throw new Error(
+        `The '${name}' adapter does not implement: ${missing.join(', ')}`
+      )
+    }
+
+    return true
+  }
+
+  // Returns the adapter of the selected interface. Adapters registered as a
+  // class are instantiated once per router.
+  getAdapter () {
+    const name = this.interface
+    if (!name) throw new Error('this.interface is not specified')
+
+    if (!this.adapters[name]) {
+      const Adapter = adapterRegistry[name]
+      if (!Adapter) {
+        throw new Error(
+          `Unknown interface '${name}'. Register its adapter with AdapterRouter.registerAdapter().`
+        )
       }
 
-      if (this.interface === 'rest-api') {
-        const balances = await this.bchjs.Electrumx.balance(addr)
-        return balances
+      const adapter =
+        typeof Adapter === 'function' ? new Adapter(this.localConfig) : Adapter
+      AdapterRouter.checkAdapter(name, adapter)
 
-        //
-      } else if (this.interface === 'consumer-api') {
-        const result = await this.bchConsumer.bch.getBalance(addr)
+      this.adapters[name] = adapter
+    }
 
-        // Construct an object that matches the bchjs output.
-        const balances = {
-          success: result.success,
-          balance: result.balances[0].balance
-        }
+    return this.adapters[name]
+  }
 
-        return balances
+  async getBalance (addr) {
+    try {
+      if (!addr) {
+        throw new Error('Address string required when calling getBalance()')
       }
 
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getBalance(addr)
     } catch (err) {
       console.error('Error in router.js/getBalance()')
       throw err
@@ -79,22 +198,7 @@ class AdapterRouter {
       }
 
       // console.log(`getUtxos() this.interface: ${this.interface}`)
-      if (this.interface === 'rest-api') {
-        const utxos = await this.bchjs.Utxo.get(addr)
-        // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
-
-        return utxos
-      } else if (this.interface === 'consumer-api') {
-        const utxos = await this.bchConsumer.bch.getUtxos(addr)
-        // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
-
-        // Handle communication errors.
-        if (utxos[0].success === false) throw new Error(utxos[0].message)
-
-        return utxos[0]
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getUtxos(addr)
     } catch (err) {
       console.error('Error in router.js/getUtxos()')
       throw err
@@ -110,34 +214,9 @@ class AdapterRouter {
         )
       }
 
-      if (this.interface === 'rest-api') {
-        const data = await this.bchjs.Electrumx.transactions(addr)
-        // console.log('getTransactions() rest-api: ', data)
-
-        const sortedTxs = await this.bchjs.Electrumx.sortAllTxs(data.transactions, sortingOrder)
-        data.transactions = sortedTxs
-
-        return data
-
-        //
-      } else if (this.interface === 'consumer-api') {
-        const result = await this.bchConsumer.bch.getTxHistory(addr, sortingOrder)
-        // console.log(
-        //   `getTransactions() bchConsumer: ${JSON.stringify(result, null, 2)}`
-        // )
-
-        // Construct an object that matches the bchjs output.
-        const txs = {
-          success: result.success,
-          transactions: result.txs
-        }
-
-        return txs
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getTransactions(addr, sortingOrder)
     } catch (err) {
-      console.error('Error in router.js/getBalance()')
+      console.error('Error in router.js/getTransactions()')
       throw err
     }
   }
@@ -152,26 +231,7 @@ class AdapterRouter {
       // console.log('minimal getTxData txids: ', txids)
       // console.log('minimal interface: ', this.interface)
 
-      if (this.interface === 'rest-api') {
-        const data = []
-        for (let i = 0; i < txids.length; i++) {
-          const txid = txids[i]
-          // console.log('txid: ', txid)
-
-          const txData = await this.bchjs.PsfSlpIndexer.tx(txid)
-          data.push(txData.txData)
-        }
-
-        return data
-
-        //
-      } else if (this.interface === 'consumer-api') {
-        const result = await this.bchConsumer.bch.getTxData(txids)
-
-        return result
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getTxData(txids)
     } catch (err) {
       console.error('Error in router.js/getTxData()')
       throw err
@@ -186,24 +246,7 @@ class AdapterRouter {
         throw new Error('Hex encoded transaction required as input.')
       }
 
-      if (this.interface === 'rest-api') {
-        let txid = await this.bchjs.RawTransactions.sendRawTransaction([hex])
-        // console.log('txid: ', txid)
-
-        // bch-js returns an array. Refactor this to return a string.
-        txid = txid[0]
-
-        return txid
-      } else if (this.interface === 'consumer-api') {
-        const txid = await this.bchConsumer.bch.sendTx(hex)
-        // console.log('sendTx() txid: ', txid)
-
-        if (txid.success === false) throw new Error(txid.message)
-
-        return txid.txid
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().sendTx(hex)
     } catch (err) {
       console.error('Error in router.js/sendTx()')
 
@@ -215,15 +258,7 @@ class AdapterRouter {
   // Get the current price for BCH in USD.
   async getUsd () {
     try {
-      if (this.interface === 'rest-api') {
-        const price = await this.bchjs.Price.getUsd()
-        return price
-      } else if (this.interface === 'consumer-api') {
-        const price = await this.bchConsumer.bch.getUsd()
-        return price
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getUsd()
     } catch (err) {
       console.error('Error in minimal-slp-wallet/getPrice()')
 
@@ -238,15 +273,7 @@ class AdapterRouter {
         throw new Error('utxo required as input.')
       }
 
-      if (this.interface === 'rest-api') {
-        const isValid = await this.bchjs.Utxo.isValid(utxo)
-        return isValid
-      } else if (this.interface === 'consumer-api') {
-        const result = await this.bchConsumer.bch.utxoIsValid(utxo)
-        return result.isValid
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().utxoIsValid(utxo)
     } catch (err) {
       console.error('Error in minimal-slp-wallet/utxoIsValid()')
 
@@ -261,15 +288,7 @@ class AdapterRouter {
         throw new Error('tokenId required as input.')
       }
 
-      if (this.interface === 'rest-api') {
-        const tokenData = await this.bchjs.PsfSlpIndexer.getTokenData(tokenId, withTxHistory)
-        return tokenData
-      } else if (this.interface === 'consumer-api') {
-        const tokenData = await this.bchConsumer.bch.getTokenData(tokenId, withTxHistory)
-        return tokenData.tokenData
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getTokenData(tokenId, withTxHistory)
     } catch (err) {
       console.error('Error in minimal-slp-wallet/getTokenData()')
 
@@ -284,15 +303,7 @@ class AdapterRouter {
         throw new Error('tokenId required as input.')
       }
 
-      if (this.interface === 'rest-api') {
-        const tokenData = await this.bchjs.PsfSlpIndexer.getTokenData2(tokenId)
-        return tokenData
-      } else if (this.interface === 'consumer-api') {
-        const tokenData = await this.bchConsumer.bch.getTokenData2(tokenId)
-        return tokenData.tokenData
-      }
-
-      throw new Error('this.interface is not specified')
+      return await this.getAdapter().getTokenData2(tokenId)
     } catch (err) {
       console.error('Error in minimal-slp-wallet/getTokenData2()')
 
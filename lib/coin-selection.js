@@ -0,0 +1,254 @@
+/*
+  This library contains the coin-selection strategies used to choose the UTXOs
+  that pay for a transaction.
+
+  Each strategy is given the spendable UTXOs and a target. The target is an
+  object with these properties:
+  - amount: the satoshis paid to the outputs of the TX.
+  - getFee: a function that returns the miner fee of the TX for a number of
+    inputs. See fee-engine.js.
+  - getNoChangeFee: optional. Like getFee, but for the TX without a change
+    output. It is used by the branch-and-bound strategy, which looks for a set
+    of UTXOs that does not need one.
+  If there is no getFee function, the fee is calculated from these properties:
+  - fee: the miner fee of the TX, without any inputs.
+  - costPerInput: the miner fee added by each input.
+
+  Each strategy returns an object with these properties:
+  - necessaryUtxos: the UTXOs selected.
+  - fee: the miner fee, including the inputs.
+  - change: the satoshis left over. Negative if the UTXOs can not pay for the TX.
+  - strategy: the name of the strategy that selected the UTXOs.
+*/
+
+// Additional cost per UTXO input, in satoshis.
+const COST_PER_INPUT = 148
+
+// Change at or below this amount is not given its own output.
+const DUST_LIMIT = 546
+
+// Maximum number of branches explored by the branch-and-bound strategy.
+const BNB_MAX_TRIES = 100000
+
+const DEFAULT_STRATEGY = 'smallest-first'
+
+// Maps the name of each strategy to the method that implements it.
+const STRATEGIES = {
+  'smallest-first': 'smallestFirst',
+  'largest-first': 'largestFirst',
+  'branch-and-bound': 'branchAndBound',
+  'oldest-first': 'oldestFirst',
+  privacy: 'privacy'
+}
+
+class CoinSelection {
+  constructor (localConfig = {}) {
+    this.strategy = localConfig.coinSelection || DEFAULT_STRATEGY
+    this.getStrategyMethod(this.strategy)
+  }
+
+  // Select the UTXOs to pay for a TX.
+  // opts.coinSelection is the name of the strategy to use. It defaults to the
+  // strategy passed to the constructor.
+  // opts.utxoSortingFn is a function that sorts the UTXOs. If it is passed, the
+  // UTXOs are spent in the order it returns, instead of using the strategy
+  // passed to the constructor. It can not be combined with opts.coinSelection.
+  // If opts.inputs is set, the UTXOs were chosen by the user, with the inputs
+  // option of a send function. They are all spent, in order.
+  select (utxos, target, opts = {}) {
+    target = Object.assign({ costPerInput: COST_PER_INPUT }, target)
+
+    if (opts.inputs) {
+      const result = this.summarize(utxos.slice(), target)
+      result.strategy = 'manual'
+      return result
+    }
+
+    if (opts.utxoSortingFn) {
+      if (opts.coinSelection) {
+        throw new Error(
+          'The utxoSortingFn and coinSelection options can not be used together.'
+        )
+      }
+
+      const result = this.accumulate(opts.utxoSortingFn(utxos), target)
+      result.strategy = 'custom'
+      return result
+    }
+
+    const strategy = opts.coinSelection || this.strategy
+    const method = this.getStrategyMethod(strategy)
+
+    return this[method](utxos, target)
+  }
+
+  // Returns the name of the method that implements a strategy.
+  getStrategyMethod (strategy) {
+    const method = STRATEGIES[strategy]
+    if (!method) {
+      throw new Error(
+        `Unknown coin selection strategy '${strategy}'. Must be one of: ${Object.keys(STRATEGIES).join(', ')}`
+      )
+    }
+
+    return method
+  }
+
+  // Spends the smallest UTXOs first, which maximizes the number UTXOs used.
+  // This helps reduce the total number UTXOs in the wallet, which is efficient
+  // for limiting the number of network calls, and leads to better UX.
+  smallestFirst (utxos, target) {
+    const sortedUtxos = utxos.slice().sort((a, b) => a.value - b.value)
+
+    const result = this.accumulate(sortedUtxos, target)
+    result.strategy = 'smallest-first'
+    return result
+  }
+
+  // Spends the largest UTXOs first, which minimizes the number of inputs and
+  // the fee.
+  largestFirst (utxos, target) {
+    const sortedUtxos = utxos.slice().sort((a, b) => b.value - a.value)
+
+    const result = this.accumulate(sortedUtxos, target)
+    result.strategy = 'largest-first'
+    return result
+  }
+
+  // Spends the UTXOs with the most confirmations first. Unconfirmed UTXOs are
+  // spent last.
+  oldestFirst (utxos, target) {
+    const age = utxo => (utxo.height > 0 ? utxo.height : Infinity)
+    const sortedUtxos = utxos.slice().sort((a, b) => age(a) - age(b))
+
+    const result = this.accumulate(sortedUtxos, target)
+    result.strategy = 'oldest-first'
+    return result
+  }
+
+  // Spends the fewest inputs possible, to link as few of the wallet's UTXOs
+  // together as possible. The last input is the smallest UTXO that completes
+  // the amount, so the wallet's largest UTXOs are not revealed when a smaller
+  // one would do.
+  privacy (utxos, target) {
+    const largest = this.largestFirst(utxos, target)
+    largest.strategy = 'privacy'
+    if (largest.change < 0) return largest
+
+    const baseUtxos = largest.necessaryUtxos.slice(0, -1)
+    const candidates = utxos
+      .filter(x => !baseUtxos.includes(x))
+      .sort((a, b) => a.value - b.value)
+
+    for (const utxo of candidates) {
+      const result = this.summarize(baseUtxos.concat(utxo), target)
+
+      if (result.change >= 0) {
+        result.strategy = 'privacy'
+        return result
+      }
+    }
+
+    return largest
+  }
+
+  // Searches for a set of UTXOs that pays for the TX with a change at or below
+  // the dust limit, so that no change output is created. Falls back to
+  // smallest-first if no such set is found.
+  branchAndBound (utxos, target) {
+    const sortedUtxos = utxos.slice().sort((a, b) => b.value - a.value)
+
+    // The TX found by the search has no change output, so it pays a smaller fee.
+    const noChangeTarget = target.getNoChangeFee
+      ? Object.assign({}, target, { getFee: target.getNoChangeFee })
+      : target
+
+    // The value of each UTXO, after paying for its input.
+    const costPerInput =
+      this.getFee(noChangeTarget, 1) - this.getFee(noChangeTarget, 0)
+    const effValues = sortedUtxos.map(x => x.value - costPerInput)
+    const needed = target.amount + this.getFee(noChangeTarget, 0)
+
+    // The sum of the positive values from each index to the end, used to stop
+    // searching a branch that can not reach the amount needed.
+    const remaining = []
+    let sum = 0
+    for (let i = effValues.length - 1; i >= 0; i--) {
+      sum += Math.max(effValues[i], 0)
+      remaining[i] = sum
+    }
+
+    const selected = []
+    let found = null
+    let tries = 0
+
+    const search = (index, total) => {
+      if (found || tries >= BNB_MAX_TRIES) return
+      tries++
+
+      if (total >= needed) {
+        // Check the change with the exact fee.
+        const result = this.summarize(selected.slice(), noChangeTarget)
+        if (result.change >= 0 && result.change <= DUST_LIMIT) found = result
+        return
+      }
+
+      if (index >= sortedUtxos.length || total + remaining[index] < needed) {
+        return
+      }
+
+      // Try with and without the UTXO at this index.
+      if (effValues[index] > 0) {
+        selected.push(sortedUtxos[index])
+        search(index + 1, total + effValues[index])
+        selected.pop()
+      }
+      search(index + 1, total)
+    }
+    search(0, 0)
+
+    if (!found) return this.smallestFirst(utxos, target)
+
+    found.strategy = 'branch-and-bound'
+    return found
+  }
+
+  // Add each UTXO in order, until there are enough satoshis to pay for the TX.
+  accumulate (sortedUtxos, target) {
+    const necessaryUtxos = []
+    let satoshisAvailable = 0
+
+    for (const utxo of sortedUtxos) {
+      // TODO: Check getTxOut() on the full node to verify the UTXO is valid.
+
+      // Add the next UTXO.
+      necessaryUtxos.push(utxo)
+      satoshisAvailable += utxo.value
+
+      // Exit the loop once enough UTXOs are found to pay the the TX.
+      const satoshisNeeded =
+        target.amount + this.getFee(target, necessaryUtxos.length)
+      if (satoshisAvailable >= satoshisNeeded) break
+    }
+
+    return this.summarize(necessaryUtxos, target)
+  }
+
+  // Calculate the fee and change of a TX that spends a set of UTXOs.
+  summarize (necessaryUtxos, target) {
+    const satoshisAvailable = necessaryUtxos.reduce((acc, x) => acc + x.value, 0)
+    const fee = this.getFee(target, necessaryUtxos.length)
+    const change = satoshisAvailable - target.amount - fee
+
+    return { necessaryUtxos, change, fee }
+  }
+
+  // The miner fee of the target TX with numInputs inputs.
+  getFee (target, numInputs) {
+    if (target.getFee) return target.getFee(numInputs)
+
+    return target.fee + numInputs * target.costPerInput
+  }
+}
+
+module.exports = CoinSelection
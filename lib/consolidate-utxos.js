@@ -6,11 +6,41 @@
   improves the user exerience.
 
   The functions in this library scan a wallets UTXO collection and looks for
-  opportunities to consolidate them.
+  opportunities to consolidate them. The BCH UTXOs are consolidated, and the
+  UTXOs of the fungible SLP tokens: Type1 tokens and NFT group tokens. Child
+  NFTs are left alone, as each one is unique and can not be merged.
+
+  A consolidation policy controls which UTXOs are consolidated, and how. See
+  getPolicy(). The UTXOs are split into batches, each consolidated by one
+  transaction. A batch is skipped if it is not worth its fee, or if it would go
+  over the fee budget.
 */
 
 // Global npm libraries
 const RetryQueue = require('@chris.troutner/retry-queue-commonjs')
+const slpMdm = require('slp-mdm')
+
+// Smallest output accepted by the network, in satoshis.
+const DUST_LIMIT = 546
+
+// The SLP token types in the UTXO store whose UTXOs can be merged. Child NFTs
+// (type 65, in the 'nft' store) are left out.
+const FUNGIBLE_TOKEN_TYPES = {
+  type1: 1,
+  group: 129
+}
+
+// The default consolidation policy. See getPolicy().
+const DEFAULT_POLICY = {
+  minUtxos: 2,
+  // At 149 bytes per input, a TX with 500 inputs stays well below the 100 KB
+  // limit on the size of standard transactions.
+  maxInputs: 500,
+  dustOnly: false,
+  dustThreshold: 1000,
+  maxFee: Infinity,
+  skipUneconomical: false
+}
 
 class ConsolidateUtxos {
   constructor (wallet) {
@@ -33,29 +63,42 @@ class ConsolidateUtxos {
     this.countTokenUtxos = this.countTokenUtxos.bind(this)
     this.updateUtxos = this.updateUtxos.bind(this)
     this.countBchUtxos = this.countBchUtxos.bind(this)
+    this.consolidateBchUtxos = this.consolidateBchUtxos.bind(this)
   }
 
   // This is the top-level function that orchestrates all other functions in
   // this library. When called it will scan the UTXOs in a wallet, looking for
   // opportunities to consolidate UTXOs. If the dryRun input is set to true,
-  // then no transactions are broadcasted.
+  // then no transactions are broadcasted, and the batches that would be sent
+  // are reported. The other properties of inObj are the consolidation policy,
+  // see getPolicy().
   async start (inObj = {}) {
     try {
       const outObj = {}
 
       // Extract input variables from the input object.
       const { dryRun } = inObj
+      const policy = this.getPolicy(inObj)
+      outObj.policy = policy
+
+      // The fee budget is shared by all the transactions.
+      const budget = { remaining: policy.maxFee }
 
       await this.retryQueue.addToQueue(this.updateUtxos, {})
 
       outObj.bchUtxoCnt = this.countBchUtxos()
       // console.log(`bchUtxoCnt: ${outObj.bchUtxoCnt}`)
 
+      outObj.bchBatches = this.planBchConsolidation(policy, budget)
+
       outObj.bchTxid = null // Initial value
+      outObj.bchTxids = []
 
-      // Consolidate all BCH UTXOs if there is more than one
-      if (outObj.bchUtxoCnt > 1 && !dryRun) {
-        outObj.bchTxid = await this.retryQueue.addToQueue(this.wallet.sendAll, this.wallet.walletInfo.cashAddress)
+      // Consolidate the BCH UTXOs, one TX per batch.
+      const bchToSend = outObj.bchBatches.filter(x => !x.skipped)
+      if (bchToSend.length && !dryRun) {
+        outObj.bchTxids = await this.retryQueue.addToQueue(this.consolidateBchUtxos, outObj.bchBatches)
+        outObj.bchTxid = outObj.bchTxids[0]
 
         await this.bchjs.Util.sleep(3000)
 
@@ -64,12 +107,17 @@ class ConsolidateUtxos {
 
       outObj.tokenUtxos = this.countTokenUtxos()
       // console.log(`tokenUtxos: ${JSON.stringify(outObj.tokenUtxos, null, 2)}`)
+      outObj.tokenUtxos.forEach(token => {
+        token.batches = this.planTokenConsolidation(token, policy, budget)
+      })
 
       outObj.tokenTxids = [] // Initial value
       if (!dryRun) {
         outObj.tokenTxids = await this.retryQueue.addToQueue(this.consolidateTokenUtxos, outObj.tokenUtxos)
       }
 
+      outObj.summary = this.summarize(outObj)
+
       return outObj
     } catch (err) {
       console.error('Error in conslidate-utxos.js/start()')
@@ -77,11 +125,203 @@ class ConsolidateUtxos {
     }
   }
 
+  // Returns the consolidation policy, from the properties of inObj and the
+  // defaults:
+  // - minUtxos: the minimum number of UTXOs of BCH, or of a token, before they
+  //   are consolidated. Defaults to 2.
+  // - maxInputs: the maximum number of inputs of each TX. More UTXOs are split
+  //   into several batches. Defaults to 500.
+  // - dustOnly: if true, only the BCH UTXOs below dustThreshold satoshis are
+  //   consolidated. dustThreshold defaults to 1000.
+  // - maxFee: the fee budget, in satoshis. Batches that would bring the total
+  //   miner fee over it are skipped. Defaults to no limit.
+  // - skipUneconomical: if true, a batch is skipped if its fee and donation
+  //   would exceed the value it recovers. For BCH, that is the value of its
+  //   UTXOs. For tokens, it is the dust freed by merging the token UTXOs into
+  //   one. Defaults to false.
+  getPolicy (inObj = {}) {
+    const policy = {}
+    Object.keys(DEFAULT_POLICY).forEach(key => {
+      policy[key] = inObj[key] !== undefined ? inObj[key] : DEFAULT_POLICY[key]
+    })
+
+    if (!Number.isInteger(policy.minUtxos) || policy.minUtxos < 2) {
+      throw new Error('minUtxos must be an integer of at least 2')
+    }
+    if (!Number.isInteger(policy.maxInputs) || policy.maxInputs < 2) {
+      throw new Error('maxInputs must be an integer of at least 2')
+    }
+    if (!(policy.dustThreshold > 0)) {
+      throw new Error('dustThreshold must be a positive number of satoshis')
+    }
+    if (!(policy.maxFee >= 0)) {
+      throw new Error('maxFee must be a positive number of satoshis')
+    }
+
+    return policy
+  }
+
+  // Split the BCH UTXOs of the wallet into batches, following the policy.
+  // Frozen UTXOs are left alone. Returns an array of batches, as returned by
+  // planBatch().
+  planBchConsolidation (policy, budget = { remaining: Infinity }) {
+    let utxos = this.wallet.utxos.getSpendableBchUtxos()
+    if (policy.dustOnly) utxos = utxos.filter(x => x.value < policy.dustThreshold)
+
+    if (utxos.length < policy.minUtxos) return []
+
+    // Merge the smallest UTXOs first.
+    utxos.sort((a, b) => a.value - b.value)
+
+    return this.getBatches(utxos, policy.maxInputs).map(batchUtxos =>
+      this.planBatch(batchUtxos, this.estimateBchBatch(batchUtxos), policy, budget)
+    )
+  }
+
+  // Split the UTXOs of a token into batches, following the policy. token is an
+  // element of the output of countTokenUtxos(). Returns an array of batches, as
+  // returned by planBatch(), with the qty of tokens in each batch.
+  planTokenConsolidation (token, policy, budget = { remaining: Infinity }) {
+    if (token.utxos.length < policy.minUtxos) return []
+
+    // Each TX also spends a BCH UTXO to pay the fee.
+    return this.getBatches(token.utxos, policy.maxInputs - 1).map(batchUtxos => {
+      const estimate = this.estimateTokenBatch(batchUtxos)
+      const batch = this.planBatch(batchUtxos, estimate, policy, budget)
+      batch.qty = estimate.qty
+
+      return batch
+    })
+  }
+
+  // Split the UTXOs into batches of at most maxInputs UTXOs, of about the same
+  // size.
+  getBatches (utxos, maxInputs) {
+    const numBatches = Math.ceil(utxos.length / maxInputs)
+    const size = Math.ceil(utxos.length / numBatches)
+
+    const batches = []
+    for (let i = 0; i < utxos.length; i += size) {
+      batches.push(utxos.slice(i, i + size))
+    }
+
+    return batches
+  }
+
+  // Decide if a batch of UTXOs is consolidated. estimate is the output of
+  // estimateBchBatch() or estimateTokenBatch(). The fee of the batch is taken
+  // from the budget if it is consolidated.
+  // Returns an object with the utxos, the number of UTXOs, their value, the
+  // fee and donation of the TX, and the reason the batch is skipped, or null.
+  planBatch (utxos, estimate, policy, budget) {
+    const batch = {
+      utxos,
+      utxoCnt: utxos.length,
+      value: estimate.value,
+      fee: estimate.fee,
+      donation: estimate.donation,
+      skipped: null
+    }
+
+    const cost = estimate.fee + estimate.donation
+
+    if (utxos.length < 2) {
+      batch.skipped = 'A single UTXO has nothing to be merged with'
+    } else if (!estimate.canPay) {
+      batch.skipped = 'The UTXOs can not pay the fee of the consolidation'
+    } else if (policy.skipUneconomical && cost > estimate.recovered) {
+      batch.skipped = `The fee of ${cost} sats would exceed the ${estimate.recovered} sats recovered`
+    } else if (estimate.fee > budget.remaining) {
+      batch.skipped = `The fee of ${estimate.fee} sats would exceed the fee budget`
+    } else {
+      budget.remaining -= estimate.fee
+    }
+
+    return batch
+  }
+
+  // Estimate the fee and donation of consolidating the BCH UTXOs with
+  // sendAll(). The value recovered is the value of the UTXOs. canPay is false
+  // if the UTXOs can not pay for an output above the dust limit.
+  estimateBchBatch (utxos) {
+    const value = utxos.reduce((acc, x) => acc + x.value, 0)
+
+    const { donation, feeEngine } = this.wallet.sendBch
+    const { amount } = donation.getDonation(value, { consolidate: true })
+
+    const outputs = [{ address: this.wallet.walletInfo.cashAddress }]
+    if (amount) outputs.push({ address: this.wallet.walletInfo.cashAddress })
+    const fee = feeEngine.getFee(utxos.length, outputs, this.wallet.fee)
+
+    return {
+      value,
+      fee,
+      donation: amount,
+      recovered: value,
+      canPay: value - fee - amount >= DUST_LIMIT
+    }
+  }
+
+  // Estimate the fee and donation of consolidating the token UTXOs with
+  // sendTokens(). The TX is assumed to spend a single BCH UTXO and to have a
+  // change output. The value recovered is the dust held by the token UTXOs,
+  // less the dust of the new token UTXO.
+  estimateTokenBatch (utxos) {
+    const value = utxos.reduce((acc, x) => acc + x.value, 0)
+    const qty = utxos
+      .reduce((acc, x) => acc.plus(x.qtyStr !== undefined ? x.qtyStr : x.tokenQty), new slpMdm.BN(0))
+      .toFixed()
+
+    const addr = this.wallet.walletInfo.cashAddress
+    const { script } = this.wallet.tokens.generateSendOpReturn(utxos, [{ qty }])
+
+    const { donation, feeEngine } = this.wallet.sendBch
+    const { amount } = donation.getDonation(DUST_LIMIT, { consolidate: true })
+
+    const outputs = [{ script }, { address: addr }, { address: addr }]
+    if (amount) outputs.push({ address: addr })
+    const fee = feeEngine.getFee(utxos.length + 1, outputs, this.wallet.fee)
+
+    return {
+      value,
+      fee,
+      donation: amount,
+      recovered: value - DUST_LIMIT,
+      canPay: true,
+      qty
+    }
+  }
+
+  // Consolidate the BCH UTXOs of each batch that is not skipped, by sending
+  // them back to the wallet with sendAll(). batches is the output of
+  // planBchConsolidation(). The transactions are flagged as consolidations
+  // for the donation policy of the wallet.
+  // Returns an array of TXIDs. The TXID of each batch is also saved to its txid
+  // property, so that the batch is not sent again if this function is retried.
+  async consolidateBchUtxos (batches) {
+    const txids = []
+
+    for (const batch of batches) {
+      if (batch.skipped) continue
+
+      if (!batch.txid) {
+        batch.txid = await this.wallet.sendAll(
+          this.wallet.walletInfo.cashAddress,
+          { consolidate: true, inputs: batch.utxos }
+        )
+      }
+      txids.push(batch.txid)
+    }
+
+    return txids
+  }
+
   // This function expects the output of countTokenUtxos() as its input: an
   // array of objects, with each object representing a token.
-  // If the number of UTXOs associated with a token is greater than zero,
-  // the a transaction is broadcast to send the tokens back to the wallet, which
-  // will consolidate all the token UTXOs.
+  // The UTXOs of each token are sent back to the wallet, which consolidates
+  // them. If a token has batches, from planTokenConsolidation(), one TX is
+  // sent for each batch that is not skipped. Otherwise, all the UTXOs of a
+  // token with more than one UTXO are consolidated in one TX.
   // It returns an array of TXIDs for any tokens that are consolidated.
   async consolidateTokenUtxos (tokenUtxos) {
     const tokenTxids = []
@@ -89,15 +329,37 @@ class ConsolidateUtxos {
     for (let i = 0; i < tokenUtxos.length; i++) {
       const thisToken = tokenUtxos[i]
 
-      if (thisToken.utxos.length > 1) {
+      let batches = thisToken.batches
+      if (!batches) {
+        batches = thisToken.utxos.length > 1 ? [{ qty: thisToken.qty }] : []
+      }
+
+      for (const batch of batches) {
+        if (batch.skipped) continue
+
+        // Already sent, before this function was retried.
+        if (batch.txid) {
+          tokenTxids.push(batch.txid)
+          continue
+        }
+
         const receiver = {
           address: this.wallet.walletInfo.cashAddress,
           tokenId: thisToken.tokenId,
-          qty: thisToken.qty
+          qty: batch.qty
+        }
+
+        const opts = { consolidate: true }
+        if (batch.utxos) {
+          // Spend only the UTXOs of the batch.
+          opts.tokenUtxosFilter = utxos =>
+            utxos.filter(x =>
+              batch.utxos.some(y => y.tx_hash === x.tx_hash && y.tx_pos === x.tx_pos)
+            )
         }
 
-        const txid = await this.wallet.sendTokens(receiver)
-        tokenTxids.push(txid)
+        batch.txid = await this.wallet.sendTokens(receiver, null, opts)
+        tokenTxids.push(batch.txid)
 
         await this.bchjs.Util.sleep(3000)
 
@@ -108,10 +370,92 @@ class ConsolidateUtxos {
     return tokenTxids
   }
 
+  // Summarize the consolidation planned by start(), by UTXO type. outObj is the
+  // output of start(). Each type reports the number of UTXOs in the wallet,
+  // the number of UTXOs left after the consolidation, the fee and donation of
+  // its TXs, and the projected savings:
+  // - utxosSaved: the number of UTXOs removed from the wallet.
+  // - spendFeeSaved: the fee no longer paid to spend those UTXOs later, in
+  //   satoshis, at the fee rate of the wallet.
+  // - dustRecovered: for tokens, the dust freed by merging the token UTXOs.
+  // Child NFTs are only counted, as they are never consolidated.
+  summarize (outObj) {
+    const inputFee = this.wallet.sendBch.feeEngine.getInputFee(this.wallet.fee)
+
+    const newSummary = () => ({
+      utxoCnt: 0,
+      utxosAfter: 0,
+      utxosSaved: 0,
+      txCnt: 0,
+      fee: 0,
+      donation: 0,
+      spendFeeSaved: 0
+    })
+    const addBatches = (summary, batches) => {
+      batches.forEach(batch => {
+        if (batch.skipped) return
+
+        summary.utxosSaved += batch.utxoCnt - 1
+        summary.txCnt++
+        summary.fee += batch.fee
+        summary.donation += batch.donation
+        if (summary.dustRecovered !== undefined) {
+          summary.dustRecovered += batch.value - DUST_LIMIT
+        }
+      })
+    }
+
+    const bch = newSummary()
+    bch.utxoCnt = outObj.bchUtxoCnt
+    addBatches(bch, outObj.bchBatches)
+
+    const summary = { bch }
+
+    Object.keys(FUNGIBLE_TOKEN_TYPES).forEach(type => {
+      const tokenSummary = newSummary()
+      tokenSummary.tokens = 0
+      tokenSummary.dustRecovered = 0
+
+      outObj.tokenUtxos
+        .filter(token => token.tokenType === FUNGIBLE_TOKEN_TYPES[type])
+        .forEach(token => {
+          tokenSummary.tokens++
+          tokenSummary.utxoCnt += token.cnt
+          addBatches(tokenSummary, token.batches || [])
+        })
+
+      summary[type] = tokenSummary
+    })
+
+    const slpUtxos = this.wallet.utxos.utxoStore.slpUtxos || {}
+    const nftCnt = slpUtxos.nft && slpUtxos.nft.tokens ? slpUtxos.nft.tokens.length : 0
+    summary.nft = Object.assign(newSummary(), { utxoCnt: nftCnt })
+
+    const total = newSummary()
+    Object.values(summary).forEach(x => {
+      x.utxosAfter = x.utxoCnt - x.utxosSaved
+      x.spendFeeSaved = x.utxosSaved * inputFee
+
+      Object.keys(total).forEach(key => { total[key] += x[key] })
+    })
+    summary.total = total
+
+    return summary
+  }
+
   // This function returns an array of objects. Each object represents a fungible
-  // token class. It contains the count of UTXOs for that token.
+  // token class: a Type1 token, or an NFT group. It contains the count of UTXOs
+  // for that token. Frozen UTXOs are left out.
   countTokenUtxos () {
-    const tokenUtxos = this.wallet.utxos.utxoStore.slpUtxos.type1.tokens
+    const slpUtxos = this.wallet.utxos.utxoStore.slpUtxos
+
+    let tokenUtxos = []
+    Object.keys(FUNGIBLE_TOKEN_TYPES).forEach(type => {
+      if (slpUtxos[type] && slpUtxos[type].tokens) {
+        tokenUtxos = tokenUtxos.concat(slpUtxos[type].tokens)
+      }
+    })
+    tokenUtxos = tokenUtxos.filter(x => !this.wallet.utxos.isFrozen(x))
     // console.log(`tokenUtxos: ${JSON.stringify(tokenUtxos, null, 2)}`)
 
     const tokenList = this.wallet.tokens.listTokensFromUtxos(tokenUtxos)
@@ -125,6 +469,7 @@ class ConsolidateUtxos {
 
       const tokenObj = {
         tokenId: thisToken.tokenId,
+        tokenType: thisToken.tokenType,
         ticker: thisToken.ticker,
         name: thisToken.name,
         qty: thisToken.qty,
@@ -0,0 +1,124 @@
+/*
+  This library contains the donation policy of the wallet. By default, each
+  transaction sends a 2000 sat donation to the Permissionless Software
+  Foundation (PSF), to thank them for creating and maintaining this software.
+
+  The policy is set with the 'donation' property of the advancedOptions:
+  - false: no donation is sent.
+  - { amount: 1000 }: a custom amount, in satoshis.
+  - { address: 'ecash:...' }: a custom recipient.
+  - { percent: 1, max: 2000 }: a percentage of the satoshis sent, with a cap.
+  - { consolidate: false }: no donation is sent by UTXO consolidations.
+  The properties can be combined.
+*/
+
+// Public npm libraries
+const bchDonation = require('bch-donation')
+
+const PSF_DONATION = 2000
+
+// Outputs smaller than this are rejected by the network.
+const DUST_LIMIT = 546
+
+class Donation {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating Donation library.'
+      )
+    }
+
+    this.policy = this.parsePolicy(localConfig.donation)
+  }
+
+  // Validate the donation option, and convert it to a policy object with a
+  // type of 'fixed', 'percent' or 'disabled'.
+  parsePolicy (donation) {
+    if (donation === false) {
+      return { type: 'disabled', address: null, consolidate: false }
+    }
+
+    donation = donation || {}
+    if (typeof donation !== 'object') {
+      throw new Error('donation option must be false or an object')
+    }
+
+    const policy = {
+      type: 'fixed',
+      address: bchDonation('psf').donations,
+      amount: PSF_DONATION,
+      consolidate: donation.consolidate !== false
+    }
+
+    if (donation.address) {
+      let addr = donation.address
+      if (addr.includes('ecash') || addr.includes('etoken')) {
+        addr = this.bchjs.Address.ecashtoCashAddress(addr)
+      }
+
+      // Throws an error if the address is not valid.
+      this.bchjs.Address.toLegacyAddress(addr)
+      policy.address = addr
+    }
+
+    if (donation.percent !== undefined) {
+      if (!(donation.percent >= 0 && donation.percent <= 100)) {
+        throw new Error('donation percent must be a number from 0 to 100')
+      }
+
+      policy.type = 'percent'
+      policy.percent = donation.percent
+      policy.max = donation.max === undefined ? PSF_DONATION : donation.max
+      delete policy.amount
+    } else if (donation.amount !== undefined) {
+      const amount = donation.amount
+      if (!Number.isInteger(amount) || (amount !== 0 && amount < DUST_LIMIT)) {
+        throw new Error(
+          `donation amount must be 0, or an integer of at least ${DUST_LIMIT} satoshis`
+        )
+      }
+
+      policy.amount = donation.amount
+    }
+
+    if (policy.type === 'fixed' && policy.amount === 0) {
+      policy.type = 'disabled'
+      policy.address = null
+    }
+
+    return policy
+  }
+
+  // Get the donation for a TX that sends amountSat satoshis. Returns an object
+  // with the policy type, and the address and amount of the donation output.
+  // The amount is 0 if no donation output should be added. If
+  // opts.consolidate is true, the TX is a UTXO consolidation.
+  getDonation (amountSat = 0, opts = {}) {
+    const policy = this.policy
+
+    if (policy.type === 'disabled') {
+      return { policy: 'disabled', address: null, amount: 0 }
+    }
+
+    if (opts.consolidate && !policy.consolidate) {
+      return { policy: 'disabled', address: null, amount: 0 }
+    }
+
+    let amount = policy.amount
+    if (policy.type === 'percent') {
+      amount = Math.min(
+        Math.floor((amountSat * policy.percent) / 100),
+        policy.max
+      )
+    }
+
+    // An output below the dust limit would be rejected.
+    if (amount < DUST_LIMIT) amount = 0
+
+    return { policy: policy.type, address: policy.address, amount }
+  }
+}
+
+module.exports = Donation
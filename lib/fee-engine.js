@@ -0,0 +1,100 @@
+/*
+  This library calculates the miner fee of a transaction from its serialized
+  size. The size of each output is calculated from its script, so OP_RETURN
+  outputs, the donation, and token dust outputs are all paid for exactly.
+
+  Inputs are assumed to spend P2PKH outputs, and are sized with the largest
+  possible ECDSA signature. The fee of a signed TX is therefore never below the
+  requested rate, and is at most 2 bytes per input above it.
+*/
+
+// Size of the version and locktime fields of a TX.
+const TX_FIXED_SIZE = 8
+
+// outpoint (36) + script length (1) + signature push (1 + 73) + public key
+// push (1 + 33) + sequence (4)
+const P2PKH_INPUT_SIZE = 149
+
+// Size of the output scripts, by address type.
+const P2PKH_SCRIPT_SIZE = 25
+const P2SH_SCRIPT_SIZE = 23
+
+// The minimum fee rate relayed by the network, in satoshis per byte.
+const MIN_RELAY_FEE = 1.0
+
+class FeeEngine {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating FeeEngine library.'
+      )
+    }
+  }
+
+  // Size of a Bitcoin variable length integer.
+  varIntSize (num) {
+    if (num < 0xfd) return 1
+    if (num <= 0xffff) return 3
+    if (num <= 0xffffffff) return 5
+    return 9
+  }
+
+  // Size of the script of an output. An output is an object with either a
+  // script property, containing a Buffer, or an address property.
+  scriptSize (output) {
+    if (output.script) return output.script.length
+
+    let addr = output.address
+    if (addr.includes('ecash') || addr.includes('etoken')) {
+      addr = this.bchjs.Address.ecashtoCashAddress(addr)
+    }
+
+    return this.bchjs.Address.isP2SHAddress(addr)
+      ? P2SH_SCRIPT_SIZE
+      : P2PKH_SCRIPT_SIZE
+  }
+
+  // Size of a serialized output: value (8), script length, and script.
+  outputSize (output) {
+    const scriptSize = this.scriptSize(output)
+
+    return 8 + this.varIntSize(scriptSize) + scriptSize
+  }
+
+  // Size of a TX with numInputs P2PKH inputs and the given outputs.
+  getTxSize (numInputs, outputs) {
+    const outputsSize = outputs.reduce(
+      (acc, output) => acc + this.outputSize(output),
+      0
+    )
+
+    return (
+      TX_FIXED_SIZE +
+      this.varIntSize(numInputs) +
+      numInputs * P2PKH_INPUT_SIZE +
+      this.varIntSize(outputs.length) +
+      outputsSize
+    )
+  }
+
+  // Calculate the fee of a TX with numInputs P2PKH inputs and the given
+  // outputs, at satsPerByte. The rate is raised to the network minimum if it is
+  // below it.
+  getFee (numInputs, outputs, satsPerByte = 1.0) {
+    const rate = Math.max(Number(satsPerByte) || MIN_RELAY_FEE, MIN_RELAY_FEE)
+
+    return Math.ceil(this.getTxSize(numInputs, outputs) * rate)
+  }
+
+  // Calculate the fee paid for a single P2PKH input, at satsPerByte. This is
+  // the fee saved each time the wallet spends one UTXO less.
+  getInputFee (satsPerByte = 1.0) {
+    const rate = Math.max(Number(satsPerByte) || MIN_RELAY_FEE, MIN_RELAY_FEE)
+
+    return Math.ceil(P2PKH_INPUT_SIZE * rate)
+  }
+}
+
+module.exports = FeeEngine
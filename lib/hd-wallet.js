@@ -0,0 +1,133 @@
+/*
+  This library contains functions for working with a wallet that spans many
+  addresses of a BIP44 HD tree, instead of the single address at the wallet's
+  hdPath.
+
+  The receive chain (.../0/n) is scanned for addresses with a transaction
+  history. Scanning stops once 'gap limit' unused addresses in a row have been
+  found. This is the standard BIP44 discovery algorithm, and it allows funds to
+  be found when a mnemonic is imported from another wallet.
+*/
+
+// BIP44 default for the number of unused addresses in a row that ends a scan.
+const DEFAULT_GAP_LIMIT = 20
+
+class HdWallet {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating HdWallet.'
+      )
+    }
+    this.ar = localConfig.ar
+    if (!this.ar) {
+      throw new Error('Must pass instance of Adapter Router.')
+    }
+
+    this.gapLimit = localConfig.gapLimit || DEFAULT_GAP_LIMIT
+  }
+
+  // Get the account-level path from a full HD path, by removing the chain and
+  // index. e.g. m/44'/1899'/0'/0/0 => m/44'/1899'/0'
+  getAccountPath (hdPath) {
+    if (!hdPath || typeof hdPath !== 'string') {
+      throw new Error('hdPath must be a string')
+    }
+
+    const pathParts = hdPath.split('/')
+    if (pathParts.length !== 6) {
+      throw new Error(
+        `hdPath ${hdPath} is not a BIP44 path of the form m/purpose'/coin'/account'/chain/index`
+      )
+    }
+
+    return pathParts.slice(0, 4).join('/')
+  }
+
+  // Get the address index from a full HD path. e.g. m/44'/1899'/0'/0/5 => 5
+  getAddressIndex (hdPath) {
+    const pathParts = hdPath.split('/')
+
+    return parseInt(pathParts[pathParts.length - 1])
+  }
+
+  // Generate the HD node for the account from a 12-word mnemonic.
+  async getAccountNode (mnemonic, accountPath) {
+    const rootSeed = await this.bchjs.Mnemonic.toSeed(mnemonic)
+    const masterHDNode = this.bchjs.HDNode.fromSeed(rootSeed)
+
+    return this.bchjs.HDNode.derivePath(masterHDNode, accountPath)
+  }
+
+  // Generate the address information for a child of the account node.
+  // chain is 0 for the receive chain, index is the address index on the chain.
+  deriveAddress (accountNode, accountPath, chain, index) {
+    const childNode = this.bchjs.HDNode.derivePath(
+      accountNode,
+      `${chain}/${index}`
+    )
+
+    const cashAddress = this.bchjs.HDNode.toCashAddress(childNode)
+
+    const addrObj = {
+      hdIndex: index,
+      chain,
+      hdPath: `${accountPath}/${chain}/${index}`,
+      cashAddress,
+      address: this.bchjs.Address.toEcashAddress(cashAddress)
+    }
+
+    return addrObj
+  }
+
+  // Returns true if the address has a transaction history.
+  async addressIsUsed (addr) {
+    const data = await this.ar.getTransactions(addr)
+
+    return !!(data.transactions && data.transactions.length)
+  }
+
+  // Scan a chain of the account for addresses with a transaction history.
+  // Scanning stops after gapLimit unused addresses in a row.
+  // Returns an object with the array of used addresses, and the index of the
+  // first address after the last used address.
+  async scanChain (accountNode, accountPath, chain = 0, gapLimit) {
+    try {
+      if (!gapLimit) gapLimit = this.gapLimit
+
+      const used = []
+      let gap = 0
+      let index = 0
+
+      while (gap < gapLimit) {
+        const addrObj = this.deriveAddress(
+          accountNode,
+          accountPath,
+          chain,
+          index
+        )
+
+        const isUsed = await this.addressIsUsed(addrObj.address)
+        if (isUsed) {
+          used.push(addrObj)
+          gap = 0
+        } else {
+          gap++
+        }
+
+        index++
+      }
+
+      const nextIndex = used.length ? used[used.length - 1].hdIndex + 1 : 0
+
+      return { used, nextIndex }
+    } catch (err) {
+      console.error('Error in hd-wallet.js/scanChain()')
+      throw err
+    }
+  }
+}
+
+module.exports = HdWallet
@@ -3,14 +3,9 @@
   contain an OP_RETURN output.
 */
 
-// Public npm libraries
-const bchDonation = require('bch-donation')
-
 // Local libraries
 const SendBCH = require('./send-bch')
 
-const PSF_DONATION = 2000
-
 class OpReturn {
   constructor (localConfig = {}) {
     // Dependency injection.
@@ -32,108 +27,32 @@ class OpReturn {
     // this.ar = new AdapterRouter({ bchjs: this.bchjs })
   }
 
-  // Calculate the miner fee that needs to be paid for this transaction.
-  // Takes the size of the OP_RETURN buffer size into account.
-  calculateFee (numInputs, numOutputs, bufSize = 3, satsPerByte) {
+  // Calculate the miner fee of a TX with numInputs P2PKH inputs, numOutputs
+  // P2PKH outputs, and an OP_RETURN output whose script is bufSize bytes long.
+  // Deprecated: use FeeEngine.getFee(), which sizes each output from its
+  // script. Kept for backward compatibility.
+  calculateFee (numInputs, numOutputs, bufSize = 3, satsPerByte = 1.0) {
     try {
-      const byteCount = this.bchjs.BitcoinCash.getByteCount(
-        { P2PKH: numInputs },
-        { P2PKH: numOutputs + 1 }
-      )
-
-      // console.log(`satsPerByte: ${satsPerByte}`)
-
-      let fee = Math.ceil(byteCount * satsPerByte)
-      // console.log(`fee before op_return: ${fee}`)
-
-      // Adjust for the buffer size of the op_return
-      const minOpReturnFee = 10
-      fee = fee + minOpReturnFee + Math.ceil(bufSize * satsPerByte)
-      // console.log(`Fee with an OP_RETURN buffer size of ${bufSize}: ${fee}`)
-
-      if (isNaN(fee)) {
+      if (
+        !Number.isInteger(numInputs) ||
+        !Number.isInteger(numOutputs) ||
+        !Number.isInteger(bufSize) ||
+        isNaN(Number(satsPerByte))
+      ) {
         throw new Error('Invalid input. Fee could not be calculated.')
       }
 
-      return fee
+      const outputs = new Array(numOutputs)
+        .fill({ script: Buffer.alloc(25) })
+        .concat({ script: Buffer.alloc(bufSize) })
+
+      return this.sendBch.feeEngine.getFee(numInputs, outputs, satsPerByte)
     } catch (err) {
-      console.error('Error in send-bch.js/calculateFee()')
+      console.error('Error in op-return.js/calculateFee()')
       throw err
     }
   }
 
-  // Get the UTXOs required to generate a transaction.
-  // Uses the smallest UTXOs first, which maximizes the number UTXOs used.
-  // This helps reduce the total number UTXOs in the wallet, which is efficient
-  // for limiting the number of network calls, and leads to better UX.
-  getNecessaryUtxosAndChange (
-    outputs,
-    availableUtxos,
-    bufLen,
-    satsPerByte = 1.0
-  ) {
-    const sortedUtxos = this.sendBch.sortUtxosBySize(
-      availableUtxos,
-      'ASCENDING'
-    )
-    // console.log(`sortedUtxos: ${JSON.stringify(sortedUtxos, null, 2)}`)
-
-    // const satsPerByte = 1.0
-
-    // Calculate the miner fee, assuming inputs (this cost will be added later).
-    // Change is assumed, that is the +1.
-    const fee = this.calculateFee(0, outputs.length + 1, bufLen, satsPerByte)
-    // console.log(`fee: ${fee}`)
-
-    // Calculate the satoshis needed (minus the fee for each input)
-    const satoshisToSend = outputs.reduce(
-      (acc, receiver) => acc + receiver.amountSat,
-      0
-    )
-    let satoshisNeeded = satoshisToSend + fee + PSF_DONATION
-    // console.log(`satoshis needed: ${satoshisNeeded}`)
-
-    let satoshisAvailable = 0
-    const necessaryUtxos = []
-
-    // Add each UTXO to the calculation until enough satoshis are found.
-    for (const utxo of sortedUtxos) {
-      // TODO: Check getTxOut() on the full node to verify the UTXO is valid.
-
-      // TODO: Check the ancestor history to make sure the UTXO won't fail the
-      // 50-chain limit rule.
-
-      // Add the next UTXO.
-      necessaryUtxos.push(utxo)
-      satoshisAvailable += utxo.value
-
-      // Additional cost per Utxo input is 148 sats for mining fees.
-      satoshisNeeded += 148
-
-      // Exit the loop once enough UTXOs are found to pay the the TX.
-      if (satoshisAvailable >= satoshisNeeded) {
-        break
-      }
-    }
-
-    // Calculate the remainder or 'change' to send back to the sender.
-    const change = satoshisAvailable - satoshisNeeded
-    // console.log(`change: ${change}`)
-
-    // If change is less than zero, something went wrong. Sanity check.
-    if (change < 0) {
-      console.error(
-        `Available satoshis (${satoshisAvailable}) below needed satoshis (${satoshisNeeded}).`
-      )
-      throw new Error('Insufficient balance')
-    }
-
-    // console.log(`necessaryUtxos: ${JSON.stringify(necessaryUtxos, null, 2)}`)
-    // console.log(`change: ${JSON.stringify(change, null, 2)}`)
-
-    return { necessaryUtxos, change }
-  }
-
   // Build the transaction for sending a TX with an OP_RETURN output.
   // Note: SLP token UTXOs should not be sent to this function. They will be
   // burned.
@@ -152,7 +71,8 @@ class OpReturn {
     msg = '', // OP_RETURN data in utf8 string format.
     prefix = '6d02', // Hex prefix. Replace with Lokad ID or memo.cash prefix.
     bchOutput = [], // Array of objects with address and amountSat property
-    satsPerByte = 1.0
+    satsPerByte = 1.0,
+    opts = {}
   ) {
     try {
       // console.log('createTransaction() start tokenUtxos: ', tokenUtxos)
@@ -163,12 +83,7 @@ class OpReturn {
       }
 
       // Generate the OP_RETURN data.
-      const script = [
-        this.bchjs.Script.opcodes.OP_RETURN,
-        Buffer.from(prefix, 'hex'),
-        Buffer.from(msg)
-      ]
-      const data = this.bchjs.Script.encode2(script)
+      const data = this.generateScript(msg, prefix)
       // console.log('data.length: ', data.length)
 
       // Generate the BCH output object.
@@ -181,11 +96,17 @@ class OpReturn {
 
       // Determine the UTXOs needed to be spent for this TX, and the change
       // that will be returned to the wallet.
-      const { necessaryUtxos, change } = this.getNecessaryUtxosAndChange(
-        bchOutput,
+      // The fee is sized from the OP_RETURN and the additional outputs.
+      const {
+        necessaryUtxos,
+        change,
+        fee,
+        donation
+      } = this.sendBch.getNecessaryUtxosAndChange(
+        [{ script: data, amountSat: 0 }].concat(bchOutput),
         bchUtxos,
-        data.length,
-        satsPerByte
+        satsPerByte,
+        opts
       )
 
       // Create an instance of the Transaction Builder.
@@ -201,15 +122,17 @@ class OpReturn {
       // Add the OP_RETURN as the second output of the transaction.
       transactionBuilder.addOutput(data, 0)
 
-      // Send a 2000 sat donation to PSF to thank them for creating this awesome software.
-      // console.log(`psf: ${bchDonation('psf').donations}`)
-      transactionBuilder.addOutput(bchDonation('psf').donations, PSF_DONATION)
+      // Send a donation to PSF to thank them for creating this awesome software.
+      this.sendBch.addDonationOutput(transactionBuilder, donation)
 
       // Send change back to the wallet, if it's bigger than dust.
       // console.log(`change: ${change}`)
       // console.log(`walletInfo.cashAddress: ${walletInfo.cashAddress}`)
       if (change && change > 546) {
-        transactionBuilder.addOutput(walletInfo.cashAddress, change)
+        transactionBuilder.addOutput(
+          this.sendBch.getChangeAddress(walletInfo),
+          change
+        )
       }
 
       // Add any additional outputs specified by the user.
@@ -218,52 +141,63 @@ class OpReturn {
         transactionBuilder.addOutput(thisOutput.address, thisOutput.amountSat)
       }
 
-      // Generate a key pair from the mnemonic.
-      const keyPair = await this.sendBch.getKeyPairFromMnemonic(walletInfo)
-
-      // Sign each UTXO that is about to be spent.
-      necessaryUtxos.forEach((utxo, i) => {
-        let redeemScript
-
-        transactionBuilder.sign(
-          i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
-      })
-
-      // Build the transaction, return the compiled transaction in hex format.
-      const tx = transactionBuilder.build()
-      return { hex: tx.toHex(), txid: tx.getId() }
+      // Sign the transaction and return it in hex format.
+      return this.sendBch.finishTransaction(
+        transactionBuilder,
+        walletInfo,
+        necessaryUtxos,
+        opts,
+        { donation, fee }
+      )
     } catch (err) {
       console.error('Error in op-return.js/createTransaction()')
       throw err
     }
   }
 
+  // Generate the script of an OP_RETURN output, with a hex prefix followed by
+  // msg, in utf8 string format.
+  generateScript (msg = '', prefix = '6d02') {
+    const script = [
+      this.bchjs.Script.opcodes.OP_RETURN,
+      Buffer.from(prefix, 'hex'),
+      Buffer.from(msg)
+    ]
+
+    return this.bchjs.Script.encode2(script)
+  }
+
   // Generate and broadcast a TX with an OP_RETURN output. Returns the TXID
-  // of the transaction.
+  // of the transaction. If opts.unsigned is true, the unsigned transaction is
+  // returned instead of being broadcast. If opts.dryRun is true, a summary of
+  // the transaction is returned instead.
   async sendOpReturn (
     wallet,
     bchUtxos,
     msg = '',
     prefix = '6d02', // Default to memo.cash
     bchOutput = [],
-    satsPerByte = 1.0
+    satsPerByte = 1.0,
+    opts = {}
   ) {
-    const { hex } = await this.createTransaction(
+    const transaction = await this.createTransaction(
       wallet,
       bchUtxos,
       msg,
       prefix,
       bchOutput,
-      satsPerByte
+      satsPerByte,
+      opts
     )
 
+    if (opts.unsigned || opts.dryRun) return transaction
+
     // Broadcast the transaction to the network.
-    const txid = await this.ar.sendTx(hex)
+    const txid = await this.ar.sendTx(transaction.hex)
+
+    this.sendBch.updateUtxoStore(transaction.hex, wallet)
+
+    if (opts.receipt) return transaction.receipt
 
     return txid
   }
@@ -5,12 +5,29 @@
 // let this
 
 // const BCHJS = require('@psf/bch-js')
-const bchDonation = require('bch-donation')
+const { Transaction } = require('@psf/bitcoincashjs-lib')
+
+// Local libraries
+const CoinSelection = require('./coin-selection')
+const Donation = require('./donation')
+const FeeEngine = require('./fee-engine')
+const TokenGuard = require('./token-guard')
+const TxPreview = require('./tx-preview')
 // const AdapterRouter = require('./adapters/router')
 
-// Send the Permissionless Software Foundation a donation to thank them for creating
-// and maintaining this software.
-const PSF_DONATION = 2000
+// Default limit on the length of a chain of unconfirmed transactions. Nodes
+// reject a transaction with more unconfirmed ancestors than this, with a
+// 'too-long-mempool-chain' error.
+const DEFAULT_CHAIN_LIMIT = 50
+
+// Smallest output accepted by the network, in satoshis.
+const DUST_LIMIT = 546
+
+// A P2PKH output, used to size the change output of a TX.
+const CHANGE_OUTPUT = { script: Buffer.alloc(25) }
+
+// Token properties of an input, exported with an unsigned TX.
+const TOKEN_PROPS = ['tokenId', 'tokenType', 'type', 'decimals', 'qtyStr', 'tokenQty']
 
 let _this
 
@@ -30,6 +47,32 @@ class SendBCH {
 
     this.restURL = localConfig.restURL
     this.apiToken = localConfig.apiToken
+
+    // Optional. The wallet's instance of the UTXO library. Used to update the
+    // UTXO store after a transaction is broadcast.
+    this.utxos = localConfig.utxos
+
+    // Maximum length of a chain of unconfirmed transactions.
+    this.chainLimit = localConfig.chainLimit || DEFAULT_CHAIN_LIMIT
+
+    // Chooses the UTXOs to spend. localConfig.coinSelection is the name of the
+    // default strategy.
+    this.coinSelection = new CoinSelection(localConfig)
+
+    // The donation policy. See donation.js.
+    this.donation = new Donation(localConfig)
+
+    // Calculates the miner fee of a TX from its size.
+    this.feeEngine = new FeeEngine(localConfig)
+
+    // Refuses to sign a TX that would burn tokens by accident.
+    this.tokenGuard = new TokenGuard(localConfig)
+
+    // Summarizes a TX for the opts.dryRun option. It shares the token guard,
+    // and the SLP status of the inputs it has looked up.
+    this.txPreview = new TxPreview(
+      Object.assign({}, localConfig, { tokenGuard: this.tokenGuard })
+    )
     // this.ar = new AdapterRouter({ bchjs: this.bchjs })
 
     // this.bchjs = new BCHJS(config)
@@ -40,9 +83,13 @@ class SendBCH {
   }
 
   // Top-level function that orchestrates the sending of BCH.
-  // Expects an array of BCH-only UTXOs. Does not check if UTXOs belong to a token,
-  // and will burn tokens if they are included in the UTXO list.
-  async sendBch (outputs, walletInfo, utxos) {
+  // Expects an array of BCH-only UTXOs. A TX that spends token UTXOs is refused,
+  // unless opts.allowBurn is true. See finishTransaction().
+  // If opts.unsigned is true, the unsigned transaction is returned instead of
+  // being broadcast. If opts.dryRun is true, a summary of the transaction is
+  // returned instead. If opts.receipt is true, the receipt of the broadcast
+  // transaction is returned instead of the TXID.
+  async sendBch (outputs, walletInfo, utxos, opts = {}) {
     // console.log('sendBch() walletInfo: ', walletInfo)
 
     try {
@@ -50,10 +97,13 @@ class SendBCH {
       const transaction = await this.createTransaction(
         outputs,
         walletInfo,
-        utxos
+        utxos,
+        opts
       )
       // console.log('transaction hex: ', transaction.hex)
 
+      if (opts.unsigned || opts.dryRun) return transaction
+
       // Broadcast the transaction to the network.
       // const txid = await this.bchjs.RawTransactions.sendRawTransaction(
       //   transaction.hex
@@ -61,7 +111,9 @@ class SendBCH {
       const txid = await this.ar.sendTx(transaction.hex)
       // console.log('sendBch(): ', txid)
 
-      // TODO: Remove the spent UTXOs from the utxoStore.
+      this.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
 
       return txid
     } catch (err) {
@@ -76,9 +128,13 @@ class SendBCH {
   //     // amount in satoshis, 1 satoshi = 0.00000001 Bitcoin
   //     amountSat: 100000
   // }
-  // Expects an array of BCH-only UTXOs. Does not check if UTXOs belong to a token,
-  // and will burn tokens if they are included in the UTXO list.
-  async createTransaction (outputs, walletInfo, utxos) {
+  // Expects an array of BCH-only UTXOs. A TX that spends token UTXOs is refused,
+  // unless opts.allowBurn is true. If opts.unsigned is true, the transaction is
+  // not signed. See finishTransaction().
+  // If opts.subtractFeeFrom is the index of an output, the miner fee and the
+  // donation are subtracted from the amount of that output, instead of being
+  // added on top. See getFeeInclusiveUtxosAndChange().
+  async createTransaction (outputs, walletInfo, utxos, opts = {}) {
     // console.log('createTransaction() walletInfo: ', walletInfo)
 
     try {
@@ -92,11 +148,24 @@ class SendBCH {
 
       // Determine the UTXOs needed to be spent for this TX, and the change
       // that will be returned to the wallet.
-      const { necessaryUtxos, change } = this.getNecessaryUtxosAndChange(
-        outputs,
-        utxos,
-        walletInfo.fee
-      )
+      let selection
+      if (opts.subtractFeeFrom !== undefined) {
+        selection = this.getFeeInclusiveUtxosAndChange(
+          outputs,
+          utxos,
+          walletInfo.fee,
+          opts
+        )
+        outputs = selection.outputs
+      } else {
+        selection = this.getNecessaryUtxosAndChange(
+          outputs,
+          utxos,
+          walletInfo.fee,
+          opts
+        )
+      }
+      const { necessaryUtxos, change, fee, donation } = selection
 
       // Create an instance of the Transaction Builder.
       const transactionBuilder = new this.bchjs.TransactionBuilder()
@@ -115,134 +184,366 @@ class SendBCH {
         transactionBuilder.addOutput(this.bchjs.Address.toLegacyAddress(receiver.address), receiver.amountSat)
       })
 
-      // Send a 2000 sat donation to PSF to thank them for creating this awesome software.
-      // console.log(`psf: ${bchDonation('psf').donations}`)
-      transactionBuilder.addOutput(bchDonation('psf').donations, PSF_DONATION)
+      // Send a donation to PSF to thank them for creating this awesome software.
+      this.addDonationOutput(transactionBuilder, donation)
 
       // Send change back to the wallet, if it's bigger than dust.
       // console.log(`change: ${change}`)
       if (change && change > 546) {
-        transactionBuilder.addOutput(walletInfo.cashAddress, change)
+        transactionBuilder.addOutput(this.getChangeAddress(walletInfo), change)
       }
 
-      // Generate a key pair from the mnemonic.
-      const keyPair = await this.getKeyPairFromMnemonic(walletInfo)
+      // Sign the transaction and return it in hex format.
+      return this.finishTransaction(
+        transactionBuilder,
+        walletInfo,
+        necessaryUtxos,
+        opts,
+        { donation, fee }
+      )
+    } catch (err) {
+      console.error('Error in send-bch.js/createTransaction(): ', err)
+      throw err
+    }
+  }
 
-      // Sign each UTXO that is about to be spent.
-      necessaryUtxos.forEach((utxo, i) => {
-        let redeemScript
+  // Update the wallet's UTXO store after a transaction has been broadcast, by
+  // removing the spent UTXOs and adding the outputs paid to the wallet. This
+  // requires the wallet's UTXO library to be injected. Errors are logged but
+  // not thrown, because the transaction has already been broadcast.
+  updateUtxoStore (hex, walletInfo) {
+    try {
+      if (!this.utxos || !hex) return false
 
-        transactionBuilder.sign(
-          i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
-      })
+      return this.utxos.updateUtxoStore(
+        hex,
+        this.getWalletAddresses(walletInfo)
+      )
+    } catch (err) {
+      console.error('Error in send-bch.js/updateUtxoStore(): ', err.message)
+      return false
+    }
+  }
+
+  // Returns an array of the addresses of the wallet, as objects with a
+  // cashAddress and hdPath property.
+  getWalletAddresses (walletInfo) {
+    const walletAddrs = []
+
+    const addAddr = (addr, hdPath) => {
+      if (!addr) return
+
+      if (addr.includes('ecash') || addr.includes('etoken')) {
+        addr = this.bchjs.Address.ecashtoCashAddress(addr)
+      }
+
+      walletAddrs.push({ cashAddress: addr, hdPath })
+    }
+
+    const addresses = walletInfo.addresses || []
+    addresses.forEach(x => addAddr(x.cashAddress, x.hdPath))
+    addAddr(walletInfo.cashAddress, walletInfo.hdPath)
+    addAddr(walletInfo.changeAddress, walletInfo.changeHdPath)
+
+    return walletAddrs
+  }
 
-      // Build the transaction, return the compiled transaction in hex format.
-      const tx = transactionBuilder.build()
-      return { hex: tx.toHex(), txid: tx.getId() }
+  // Returns the address that change should be sent to. This is a fresh
+  // address on the change chain of the HD wallet, if one has been assigned to
+  // walletInfo.changeAddress. Otherwise change goes back to the wallet address.
+  getChangeAddress (walletInfo) {
+    return walletInfo.changeAddress || walletInfo.cashAddress
+  }
+
+  // Calculate the miner fee of a TX with numInputs P2PKH inputs and
+  // numOutputs P2PKH outputs, at satsPerByte.
+  // Deprecated: use FeeEngine.getFee(), which sizes each output from its
+  // script. Kept for backward compatibility.
+  calculateFee (numInputs, numOutputs, satsPerByte = 1.0) {
+    try {
+      if (
+        !Number.isInteger(numInputs) ||
+        !Number.isInteger(numOutputs) ||
+        isNaN(Number(satsPerByte))
+      ) {
+        throw new Error('Invalid input. Fee could not be calculated.')
+      }
+
+      const outputs = new Array(numOutputs).fill(CHANGE_OUTPUT)
+
+      return this.feeEngine.getFee(numInputs, outputs, satsPerByte)
     } catch (err) {
-      console.error('Error in send-bch.js/createTransaction(): ', err)
+      console.error('Error in send-bch.js/calculateFee()')
       throw err
     }
   }
 
-  // Get the UTXOs required to generate a transaction.
-  // Uses the smallest UTXOs first, which maximizes the number UTXOs used.
-  // This helps reduce the total number UTXOs in the wallet, which is efficient
-  // for limiting the number of network calls, and leads to better UX.
-  getNecessaryUtxosAndChange (outputs, availableUtxos, satsPerByte = 1.0, opts = {}) {
-    const sortedUtxos = (opts.utxoSortingFn
-      ? opts.utxoSortingFn(availableUtxos)
-      : this.sortUtxosBySize(availableUtxos, 'ASCENDING')
+  // Get the UTXOs required to generate a transaction, and the change left
+  // over. The UTXOs are chosen by a coin-selection strategy, see
+  // coin-selection.js. opts.coinSelection is the name of the strategy to use
+  // for this TX. It defaults to the strategy of the wallet. If opts.inputs is
+  // set, the availableUtxos were chosen by the user, and are all spent.
+  //
+  // outputs is an array of objects with an amountSat property, and an address
+  // or script property. It should contain every output of the TX, except the
+  // donation and the change, which are added here. The miner fee is sized from
+  // these outputs, see fee-engine.js.
+  //
+  // requiredUtxos are UTXOs that are always spent, like token UTXOs. Their
+  // value and their inputs are included in the calculation.
+  //
+  // Returns an object with the necessaryUtxos, change, fee, strategy, and the
+  // donation, as returned by Donation.getDonation(). If the change is too small
+  // for a change output, it is added to the fee and the change is 0.
+  getNecessaryUtxosAndChange (
+    outputs,
+    availableUtxos,
+    satsPerByte = 1.0,
+    opts = {},
+    requiredUtxos = []
+  ) {
+    // Skip UTXOs that would put the TX over the unconfirmed chain limit.
+    const eligibleUtxos = this.getEligibleUtxos(availableUtxos, opts)
+
+    const satoshisToSend = outputs.reduce(
+      (acc, receiver) => acc + receiver.amountSat,
+      0
     )
-    // console.log(`sortedUtxos: ${JSON.stringify(sortedUtxos, null, 2)}`)
 
-    // const satsPerByte = 1.0
+    const donation = this.donation.getDonation(satoshisToSend, opts)
+
+    const txOutputs = outputs.slice()
+    if (donation.amount) {
+      txOutputs.push({ address: donation.address, amountSat: donation.amount })
+    }
 
-    // Calculate the miner fee, assuming inputs (this cost will be added later).
-    // Change is assumed, that is the +1.
-    const fee = this.calculateFee(0, outputs.length + 1, satsPerByte)
-    // console.log(`fee: ${fee}`)
+    // The required UTXOs pay for part of the TX.
+    const requiredSats = requiredUtxos.reduce((acc, x) => acc + x.value, 0)
+    const amount = satoshisToSend + donation.amount - requiredSats
+
+    // Returns the fee of the TX for a number of selected inputs, with or
+    // without a change output.
+    const feeFn = withChange => numInputs =>
+      this.feeEngine.getFee(
+        numInputs + requiredUtxos.length,
+        withChange ? txOutputs.concat(CHANGE_OUTPUT) : txOutputs,
+        satsPerByte
+      )
+
+    let result = this.coinSelection.select(
+      eligibleUtxos,
+      { amount, getFee: feeFn(true), getNoChangeFee: feeFn(false) },
+      opts
+    )
+
+    // The TX may still be paid for without a change output.
+    const noChangeOutput = result.change < 0
+    if (noChangeOutput) {
+      result = this.coinSelection.select(
+        eligibleUtxos,
+        { amount, getFee: feeFn(false), getNoChangeFee: feeFn(false) },
+        opts
+      )
+    }
+    // console.log(`result: ${JSON.stringify(result, null, 2)}`)
+
+    // If change is less than zero, something went wrong. Sanity check.
+    if (result.change < 0) {
+      console.error(
+        `Available satoshis below needed satoshis by ${-result.change}.`
+      )
+
+      throw this.insufficientBalanceError(eligibleUtxos, availableUtxos, opts)
+    }
+
+    // Change that is not bigger than dust, or that can not pay for its own
+    // output, is left to the miners.
+    if (result.change <= 546 || noChangeOutput) {
+      result.fee += result.change
+      result.change = 0
+    }
+
+    result.donation = donation
+
+    return result
+  }
+
+  // Like getNecessaryUtxosAndChange(), but the miner fee and the donation are
+  // paid by the output at the index opts.subtractFeeFrom, instead of being added
+  // on top of the outputs. The UTXOs only need to pay for the amounts of the
+  // outputs. The donation is calculated from these amounts.
+  //
+  // Returns the same object as getNecessaryUtxosAndChange(), with a copy of the
+  // outputs in its outputs property, where the amount of the chosen output is
+  // reduced by the fee and the donation. Throws an error if what is left of
+  // that output would be below the dust limit.
+  getFeeInclusiveUtxosAndChange (
+    outputs,
+    availableUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    const index = opts.subtractFeeFrom
+    if (!Number.isInteger(index) || index < 0 || index >= outputs.length) {
+      throw new Error(
+        `subtractFeeFrom must be the index of an output, from 0 to ${outputs.length - 1}`
+      )
+    }
+
+    // Skip UTXOs that would put the TX over the unconfirmed chain limit.
+    const eligibleUtxos = this.getEligibleUtxos(availableUtxos, opts)
 
-    // Calculate the satoshis needed (minus the fee for each input)
     const satoshisToSend = outputs.reduce(
       (acc, receiver) => acc + receiver.amountSat,
       0
     )
-    let satoshisNeeded = satoshisToSend + fee + PSF_DONATION
 
-    let satoshisAvailable = 0
-    const necessaryUtxos = []
+    const donation = this.donation.getDonation(satoshisToSend, opts)
 
-    // Add each UTXO to the calculation until enough satoshis are found.
-    for (const utxo of sortedUtxos) {
-      // TODO: Check getTxOut() on the full node to verify the UTXO is valid.
-
-      // TODO: Check the ancestor history to make sure the UTXO won't fail the
-      // 50-chain limit rule.
+    const txOutputs = outputs.slice()
+    if (donation.amount) {
+      txOutputs.push({ address: donation.address, amountSat: donation.amount })
+    }
 
-      // Add the next UTXO.
-      necessaryUtxos.push(utxo)
-      satoshisAvailable += utxo.value
+    // The fee is paid by the output, so it does not change which UTXOs are
+    // needed.
+    const result = this.coinSelection.select(
+      eligibleUtxos,
+      { amount: satoshisToSend, getFee: () => 0 },
+      opts
+    )
 
-      // Additional cost per Utxo input is 148 sats for mining fees.
-      satoshisNeeded += 148
+    if (result.change < 0) {
+      console.error(
+        `Available satoshis below needed satoshis by ${-result.change}.`
+      )
 
-      // Exit the loop once enough UTXOs are found to pay the the TX.
-      if (satoshisAvailable >= satoshisNeeded) {
-        break
-      }
+      throw this.insufficientBalanceError(eligibleUtxos, availableUtxos, opts)
     }
 
-    // Calculate the remainder or 'change' to send back to the sender.
-    const change = satoshisAvailable - satoshisNeeded
-    // console.log(`change: ${change}`)
+    // Change that is not bigger than dust is left to the miners.
+    const hasChange = result.change > DUST_LIMIT
+    const fee = this.feeEngine.getFee(
+      result.necessaryUtxos.length,
+      hasChange ? txOutputs.concat(CHANGE_OUTPUT) : txOutputs,
+      satsPerByte
+    )
 
-    // If change is less than zero, something went wrong. Sanity check.
-    if (change < 0) {
-      console.error(
-        `Available satoshis (${satoshisAvailable}) below needed satoshis (${satoshisNeeded}).`
+    const amountSat = outputs[index].amountSat - fee - donation.amount
+    if (amountSat < DUST_LIMIT) {
+      throw new Error(
+        `Output ${index} can not pay the fee of ${fee} sats and the donation of ${donation.amount} sats. Its amount would be below the dust limit of ${DUST_LIMIT} sats.`
       )
-      throw new Error('Insufficient balance')
     }
 
-    // console.log(`necessaryUtxos: ${JSON.stringify(necessaryUtxos, null, 2)}`)
-    // console.log(`change: ${JSON.stringify(change, null, 2)}`)
+    result.outputs = outputs.map((output, i) =>
+      i === index ? Object.assign({}, output, { amountSat }) : output
+    )
+    result.fee = hasChange ? fee : fee + result.change
+    result.change = hasChange ? result.change : 0
+    result.donation = donation
 
-    return { necessaryUtxos, change }
+    return result
   }
 
-  // Sort the UTXOs by the size of satoshis they hold.
-  sortUtxosBySize (utxos, sortingOrder = 'ASCENDING') {
-    if (sortingOrder === 'ASCENDING') {
-      return utxos.sort((a, b) => a.value - b.value)
-    } else {
-      return utxos.sort((a, b) => b.value - a.value)
+  // Generate the error thrown when the eligibleUtxos can not pay for a TX. It
+  // is a chain limit error if the availableUtxos would have been enough.
+  insufficientBalanceError (eligibleUtxos, availableUtxos, opts = {}) {
+    if (opts.inputs) {
+      return new Error('The inputs chosen with opts.inputs can not pay for the TX')
     }
+
+    // The balance would have been enough without the chain limit.
+    if (eligibleUtxos.length < availableUtxos.length) {
+      return this.chainLimitError(opts.chainLimit)
+    }
+
+    return new Error('Insufficient balance')
   }
 
-  // Calculate the miner fee that needs to be paid for this transaction.
-  calculateFee (numInputs, numOutputs, satsPerByte) {
-    try {
-      const byteCount = this.bchjs.BitcoinCash.getByteCount(
-        { P2PKH: numInputs },
-        { P2PKH: numOutputs + 1 }
+  // Calculate the maximum number of satoshis that can be sent to outputs, in
+  // total, after the miner fee and the donation. outputs is an array of
+  // objects with an address property for each receiver, or a script property
+  // for outputs that carry no satoshis, like an OP_RETURN. The fee is
+  // calculated like in getNecessaryUtxosAndChange(), spending every UTXO below
+  // the unconfirmed chain limit, without a change output.
+  // Returns 0 if the balance can not pay each receiver at least the dust limit.
+  getMaxSendable (outputs, utxos, satsPerByte = 1.0, opts = {}) {
+    const eligibleUtxos = this.filterByChainLimit(utxos, opts.chainLimit)
+    const balance = eligibleUtxos.reduce((acc, utxo) => acc + utxo.value, 0)
+
+    // Satoshis needed to send amount to the outputs.
+    const getCost = amount => {
+      const donation = this.donation.getDonation(amount, opts)
+
+      const txOutputs = donation.amount
+        ? outputs.concat({ address: donation.address })
+        : outputs
+      const fee = this.feeEngine.getFee(
+        eligibleUtxos.length,
+        txOutputs,
+        satsPerByte
       )
 
-      const fee = Math.ceil(byteCount * satsPerByte)
+      return amount + donation.amount + fee
+    }
 
-      if (isNaN(fee)) {
-        throw new Error('Invalid input. Fee could not be calculated.')
-      }
+    // The cost grows with the amount, but a percentage donation makes it
+    // jump, so the largest amount the balance can pay is found with a binary
+    // search.
+    let low = 0
+    let high = balance
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2)
 
-      return fee
-    } catch (err) {
-      console.error('Error in send-bch.js/calculateFee()')
-      throw err
+      if (getCost(mid) <= balance) low = mid
+      else high = mid - 1
+    }
+
+    const numReceivers = outputs.filter(x => x.address).length
+    if (low < DUST_LIMIT * numReceivers) return 0
+
+    return low
+  }
+
+  // Return the UTXOs that can be spent without the new TX exceeding the limit
+  // on the length of a chain of unconfirmed transactions. A UTXO without an
+  // unconfirmedAncestors property is treated as confirmed.
+  filterByChainLimit (utxos, chainLimit) {
+    if (!chainLimit) chainLimit = this.chainLimit
+
+    return utxos.filter(utxo => (utxo.unconfirmedAncestors || 0) < chainLimit)
+  }
+
+  // Return the UTXOs that coin selection can spend, below the unconfirmed chain
+  // limit. If the UTXOs were chosen with opts.inputs, they must all be spent,
+  // so an error is thrown instead if any of them is over the limit.
+  getEligibleUtxos (utxos, opts = {}) {
+    const eligibleUtxos = this.filterByChainLimit(utxos, opts.chainLimit)
+
+    if (opts.inputs && eligibleUtxos.length < utxos.length) {
+      throw this.chainLimitError(opts.chainLimit)
+    }
+
+    return eligibleUtxos
+  }
+
+  // Generate the error thrown when there are not enough UTXOs below the
+  // unconfirmed chain limit to pay for a TX.
+  chainLimitError (chainLimit) {
+    if (!chainLimit) chainLimit = this.chainLimit
+
+    return new Error(
+      `Unconfirmed chain limit of ${chainLimit} reached. Not enough UTXOs with fewer unconfirmed ancestors. Wait for a block to confirm pending transactions.`
+    )
+  }
+
+  // Sort the UTXOs by the size of satoshis they hold.
+  sortUtxosBySize (utxos, sortingOrder = 'ASCENDING') {
+    if (sortingOrder === 'ASCENDING') {
+      return utxos.sort((a, b) => a.value - b.value)
+    } else {
+      return utxos.sort((a, b) => b.value - a.value)
     }
   }
 
@@ -251,6 +552,11 @@ class SendBCH {
   async getKeyPairFromMnemonic (walletInfo) {
     // console.log('getKeyPairFromMnemonic() walletInfo: ', walletInfo)
 
+    // A watch-only wallet does not have any private keys.
+    if (walletInfo.watchOnly) {
+      throw new Error('Watch-only wallet can not sign transactions.')
+    }
+
     // If the wallet has a 12-word mnemonic, generate the key from there.
     if (walletInfo.mnemonic) {
       const rootSeed = await this.bchjs.Mnemonic.toSeed(walletInfo.mnemonic)
@@ -277,24 +583,78 @@ class SendBCH {
     }
   }
 
+  // Generate a key pair for each UTXO that is about to be spent. A UTXO with
+  // an hdPath property belongs to a child of the HD wallet, and gets the key
+  // for that child. All other UTXOs get the key of the wallet's own address.
+  async getKeyPairs (walletInfo, utxos) {
+    const keyPair = await this.getKeyPairFromMnemonic(walletInfo)
+
+    const needsChildKey = utxo =>
+      walletInfo.mnemonic && utxo.hdPath && utxo.hdPath !== walletInfo.hdPath
+
+    // Avoid the cost of generating the root seed if it is not needed.
+    if (!utxos.some(needsChildKey)) return utxos.map(() => keyPair)
+
+    const rootSeed = await this.bchjs.Mnemonic.toSeed(walletInfo.mnemonic)
+    const masterHDNode = this.bchjs.HDNode.fromSeed(rootSeed)
+
+    const childKeys = {}
+    return utxos.map(utxo => {
+      if (!needsChildKey(utxo)) return keyPair
+
+      if (!childKeys[utxo.hdPath]) {
+        const childNode = this.bchjs.HDNode.derivePath(
+          masterHDNode,
+          utxo.hdPath
+        )
+        childKeys[utxo.hdPath] = this.bchjs.HDNode.toKeyPair(childNode)
+      }
+
+      return childKeys[utxo.hdPath]
+    })
+  }
+
+  // Sign each input of a transaction. The utxos array must be in the same
+  // order as the inputs that were added to the transaction builder.
+  async signInputs (transactionBuilder, walletInfo, utxos) {
+    const keyPairs = await this.getKeyPairs(walletInfo, utxos)
+
+    utxos.forEach((utxo, i) => {
+      let redeemScript
+
+      transactionBuilder.sign(
+        i,
+        keyPairs[i],
+        redeemScript,
+        transactionBuilder.hashTypes.SIGHASH_ALL,
+        utxo.value
+      )
+    })
+  }
+
   // Top-level function that orchestrates the sending of BCH.
-  // Expects an array of BCH-only UTXOs. Does not check if UTXOs belong to a token,
-  // and will burn tokens if they are included in the UTXO list.
-  async sendAllBch (toAddress, walletInfo, utxos) {
+  // Expects an array of BCH-only UTXOs. A TX that spends token UTXOs is refused,
+  // unless opts.allowBurn is true.
+  async sendAllBch (toAddress, walletInfo, utxos, opts = {}) {
     try {
       // Generate the transaction.
       const transaction = await this.createSendAllTx(
         toAddress,
         walletInfo,
-        utxos
+        utxos,
+        opts
       )
       // console.log('transaction hex: ', transaction.hex)
 
+      if (opts.unsigned || opts.dryRun) return transaction
+
       // Broadcast the transaction to the network.
       const txid = await this.ar.sendTx(transaction.hex)
       // console.log(txid)
 
-      // TODO: Remove the spent UTXOs from the utxoStore.
+      this.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
 
       return txid
     } catch (err) {
@@ -303,9 +663,9 @@ class SendBCH {
     }
   }
 
-  // Expects an array of BCH-only UTXOs. Does not check if UTXOs belong to a token,
-  // and will burn tokens if they are included in the UTXO list.
-  async createSendAllTx (toAddress, walletInfo, utxos) {
+  // Expects an array of BCH-only UTXOs. A TX that spends token UTXOs is refused,
+  // unless opts.allowBurn is true.
+  async createSendAllTx (toAddress, walletInfo, utxos, opts = {}) {
     try {
       // console.log(`walletInfo: ${JSON.stringify(walletInfo, null, 2)}`)
       // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
@@ -327,49 +687,297 @@ class SendBCH {
 
       const satsPerByte = walletInfo.fee
 
-      let totalAmount = 0
+      const totalAmount = utxos.reduce((acc, utxo) => acc + utxo.value, 0)
+
+      const donation = this.donation.getDonation(totalAmount, opts)
+
+      // Calculate the fee from the size of the TX.
+      const outputs = [{ address: toAddress }]
+      if (donation.amount) outputs.push({ address: donation.address })
+      const fee = this.feeEngine.getFee(utxos.length, outputs, satsPerByte)
+      // console.log(`totalAmount: ${totalAmount}`)
+      // console.log(`fee: ${fee}`)
 
-      // Calculate Fee
-      let fee = this.calculateFee(0, 2, satsPerByte)
-      fee += PSF_DONATION
+      const amountSat = totalAmount - fee - donation.amount
+      if (amountSat < DUST_LIMIT) {
+        throw new Error(
+          `The balance of ${totalAmount} sats can not pay the fee of ${fee} sats and the donation of ${donation.amount} sats. The amount sent would be below the dust limit of ${DUST_LIMIT} sats.`
+        )
+      }
 
       // Add inputs
       utxos.forEach(utxo => {
-        totalAmount += utxo.value
-        // Additional cost per Utxo input is 148 sats for mining fees.
-        fee += 148
         transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
       })
-      // console.log(`totalAmount: ${totalAmount}`)
-      // console.log(`fee: ${fee}`)
 
       // Add outputs
-      transactionBuilder.addOutput(toAddress, totalAmount - fee)
+      transactionBuilder.addOutput(toAddress, amountSat)
 
-      // Send a 2000 sat donation to PSF to thank them for creating this awesome software.
-      transactionBuilder.addOutput(bchDonation('psf').donations, PSF_DONATION)
+      // Send a donation to PSF to thank them for creating this awesome software.
+      this.addDonationOutput(transactionBuilder, donation)
+
+      // Sign the transaction and return it in hex format.
+      return this.finishTransaction(
+        transactionBuilder,
+        walletInfo,
+        utxos,
+        opts,
+        { donation, fee }
+      )
+    } catch (err) {
+      console.error('Error in send-bch.js/createSendAllTx()')
+      throw err
+    }
+  }
 
-      // Generate a key pair from the mnemonic.
-      const keyPair = await this.getKeyPairFromMnemonic(walletInfo)
+  // Add the donation output to a TX, if the donation policy calls for one.
+  // donation is the output of Donation.getDonation().
+  addDonationOutput (transactionBuilder, donation) {
+    if (!donation.amount) return
 
-      // Sign each UTXO that is about to be spent.
-      utxos.forEach((utxo, i) => {
-        let redeemScript
+    transactionBuilder.addOutput(donation.address, donation.amount)
+  }
 
-        transactionBuilder.sign(
-          i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
+  // Final step of every transaction builder. Signs each input and returns an
+  // object with the transaction in hex format, and its TXID.
+  // If opts.unsigned is true, the inputs are not signed. A portable unsigned
+  // transaction is returned instead, which can be signed by an offline wallet
+  // with signTransaction().
+  // The properties of summary, like the donation, are added to the returned
+  // object.
+  // If opts.dryRun is true, the TX is not signed either. A summary of the TX is
+  // returned instead, see tx-preview.js.
+  // If opts.receipt is true, the receipt of the signed TX is added to the
+  // returned object, in its receipt property.
+  // Throws an error if the TX would burn tokens, unless opts.allowBurn is true.
+  // See token-guard.js.
+  async finishTransaction (
+    transactionBuilder,
+    walletInfo,
+    utxos,
+    opts = {},
+    summary = {}
+  ) {
+    await this.tokenGuard.checkTransaction(
+      transactionBuilder.transaction.buildIncomplete(),
+      utxos,
+      opts
+    )
+
+    // Used to find the change outputs of the TX.
+    const walletAddrs = this.getWalletAddresses(walletInfo).map(
+      x => x.cashAddress
+    )
+
+    if (opts.dryRun) {
+      return this.txPreview.getPreview(
+        transactionBuilder.transaction.buildIncomplete(),
+        utxos,
+        walletAddrs,
+        summary
+      )
+    }
+
+    if (opts.unsigned) {
+      const unsignedTx = this.exportUnsignedTx(transactionBuilder, utxos)
+      if (opts.allowBurn) unsignedTx.allowBurn = true
+
+      return Object.assign(unsignedTx, summary)
+    }
+
+    // Sign each UTXO that is about to be spent.
+    await this.signInputs(transactionBuilder, walletInfo, utxos)
+
+    // Build the transaction, return the compiled transaction in hex format.
+    const tx = transactionBuilder.build()
+    const transaction = Object.assign({ hex: tx.toHex(), txid: tx.getId() }, summary)
+
+    if (opts.receipt) {
+      transaction.receipt = this.txPreview.getReceipt(
+        tx,
+        utxos,
+        walletAddrs,
+        summary
+      )
+    }
+
+    return transaction
+  }
+
+  // Export a transaction that has not been signed. Along with the hex, it
+  // contains what an offline wallet needs to sign each input: the value of the
+  // output being spent, and the HD path of the key that controls it. Inputs
+  // that hold tokens also carry their token information, so the signer can
+  // check that no tokens are burned. The object is JSON-serializable.
+  exportUnsignedTx (transactionBuilder, utxos) {
+    const tx = transactionBuilder.transaction.buildIncomplete()
+
+    return {
+      unsigned: true,
+      hex: tx.toHex(),
+      inputs: utxos.map(utxo => {
+        const inputInfo = {
+          txid: utxo.tx_hash,
+          vout: utxo.tx_pos,
+          value: utxo.value,
+          hdPath: utxo.hdPath || null
+        }
+
+        if (utxo.tokenId) {
+          TOKEN_PROPS.forEach(prop => {
+            if (utxo[prop] !== undefined) inputInfo[prop] = utxo[prop]
+          })
+        } else if (this.tokenGuard.getTokenInfo(utxo) === null) {
+          // Lets the token guard of an offline wallet check the input.
+          inputInfo.isSlp = false
+        }
+
+        return inputInfo
       })
+    }
+  }
+
+  // Sign a transaction exported by exportUnsignedTx(). This can be called by
+  // an offline wallet. Returns an object with the signed transaction in hex
+  // format, and its TXID.
+  async signTransaction (unsignedTx, walletInfo) {
+    try {
+      if (!unsignedTx || !unsignedTx.hex || !Array.isArray(unsignedTx.inputs)) {
+        throw new Error('unsignedTx must have a hex and an inputs property')
+      }
+
+      const tx = Transaction.fromHex(unsignedTx.hex)
+      if (tx.ins.length !== unsignedTx.inputs.length) {
+        throw new Error('Number of inputs does not match the input information')
+      }
+
+      // Rebuild the transaction.
+      const transactionBuilder = new this.bchjs.TransactionBuilder()
 
-      // Build the transaction, return the compiled transaction in hex format.
-      const tx = transactionBuilder.build()
-      return { hex: tx.toHex(), txid: tx.getId() }
+      tx.ins.forEach((input, i) => {
+        const txid = Buffer.from(input.hash).reverse().toString('hex')
+
+        const inputInfo = unsignedTx.inputs[i]
+        if (txid !== inputInfo.txid || input.index !== inputInfo.vout) {
+          throw new Error(`Input ${i} does not match the input information`)
+        }
+
+        transactionBuilder.addInput(txid, input.index, input.sequence)
+      })
+
+      tx.outs.forEach(output => {
+        transactionBuilder.addOutput(output.script, output.value)
+      })
+
+      // Information needed by signInputs() to sign each input, and by the
+      // token guard to check it.
+      const utxos = unsignedTx.inputs.map(inputInfo =>
+        Object.assign({}, inputInfo, {
+          tx_hash: inputInfo.txid,
+          tx_pos: inputInfo.vout,
+          hdPath: this.getFullHdPath(inputInfo.hdPath, walletInfo)
+        })
+      )
+
+      // Keep the summary of the unsigned transaction.
+      const summary = {}
+      if (unsignedTx.donation) summary.donation = unsignedTx.donation
+
+      return this.finishTransaction(
+        transactionBuilder,
+        walletInfo,
+        utxos,
+        { allowBurn: unsignedTx.allowBurn === true },
+        summary
+      )
     } catch (err) {
-      console.error('Error in send-bch.js/createSendAllTx()')
+      console.error('Error in send-bch.js/signTransaction()')
+      throw err
+    }
+  }
+
+  // A watch-only wallet created from an xpub tags UTXOs with HD paths that
+  // are relative to the xpub (e.g. m/0/3). Convert these to a full path
+  // under the account of the signing wallet (e.g. m/44'/1899'/0'/0/3).
+  // Full paths and empty values are returned unchanged.
+  getFullHdPath (hdPath, walletInfo) {
+    if (!hdPath || !walletInfo.hdPath) return hdPath
+
+    const pathParts = hdPath.split('/')
+    if (pathParts.length !== 3) return hdPath
+
+    const accountPath = walletInfo.hdPath.split('/').slice(0, 4).join('/')
+    return `${accountPath}/${pathParts[1]}/${pathParts[2]}`
+  }
+
+  // Check that a signed transaction matches the unsigned transaction it was
+  // created from, and that every input has been signed. This protects the
+  // online wallet from an offline signer that alters the transaction.
+  // Throws an error if there is a mismatch. Returns true otherwise.
+  verifySignedTx (signedHex, unsignedTx) {
+    const signed = Transaction.fromHex(signedHex)
+    const unsigned = Transaction.fromHex(unsignedTx.hex)
+
+    const mismatch = msg => {
+      throw new Error(
+        `Signed transaction does not match the unsigned transaction: ${msg}`
+      )
+    }
+
+    if (signed.version !== unsigned.version) mismatch('version')
+    if (signed.locktime !== unsigned.locktime) mismatch('locktime')
+
+    if (signed.ins.length !== unsigned.ins.length) mismatch('number of inputs')
+    unsigned.ins.forEach((input, i) => {
+      const signedInput = signed.ins[i]
+
+      if (
+        !input.hash.equals(signedInput.hash) ||
+        input.index !== signedInput.index ||
+        input.sequence !== signedInput.sequence
+      ) {
+        mismatch(`input ${i}`)
+      }
+
+      if (!signedInput.script || !signedInput.script.length) {
+        throw new Error(`Input ${i} of the transaction has not been signed`)
+      }
+    })
+
+    if (signed.outs.length !== unsigned.outs.length) {
+      mismatch('number of outputs')
+    }
+    unsigned.outs.forEach((output, i) => {
+      const signedOutput = signed.outs[i]
+
+      if (
+        !output.script.equals(signedOutput.script) ||
+        output.value !== signedOutput.value
+      ) {
+        mismatch(`output ${i}`)
+      }
+    })
+
+    return true
+  }
+
+  // Verify a transaction signed by an offline wallet, and broadcast it to the
+  // network. signedTx can be a hex string, or the object returned by
+  // signTransaction(). walletInfo is optional, and is used to update the
+  // UTXO store. Returns the TXID.
+  async broadcastSignedTx (signedTx, unsignedTx, walletInfo) {
+    try {
+      const hex = typeof signedTx === 'string' ? signedTx : signedTx.hex
+
+      this.verifySignedTx(hex, unsignedTx)
+
+      const txid = await this.ar.sendTx(hex)
+
+      if (walletInfo) this.updateUtxoStore(hex, walletInfo)
+
+      return txid
+    } catch (err) {
+      console.error('Error in send-bch.js/broadcastSignedTx()')
       throw err
     }
   }
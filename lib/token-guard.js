@@ -0,0 +1,332 @@
+/*
+  This library protects tokens from being burned by accident. Tokens are burned
+  when a UTXO holding them is spent by a TX whose SLP message does not carry
+  them on to an output, for example a plain BCH TX.
+
+  checkTransaction() is called before every TX is signed. It looks up the SLP
+  status of each input, parses the SLP message of the TX, and throws an error
+  if any tokens or minting batons would be burned. Burning is only allowed
+  with the allowBurn option, which is set by the functions that burn tokens on
+  purpose, like burnTokens().
+
+  The SLP status of an input comes from its token data, from the wallet's UTXO
+  store, or from the network, see lookupInputs(). An input whose status can
+  not be determined is treated as if it held tokens, so the TX is refused.
+*/
+
+// Public npm libraries
+const slpMdm = require('slp-mdm')
+
+class TokenGuard {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating TokenGuard library.'
+      )
+    }
+
+    // Optional. The wallet's instance of the UTXO library. Its UTXO store is
+    // used to recognize token UTXOs that are passed without their token
+    // information.
+    this.utxos = localConfig.utxos
+
+    // Optional. The adapter router, used to look up the SLP status of the
+    // inputs that are not in the UTXO store.
+    this.ar = localConfig.ar
+
+    // The SLP status of the inputs looked up on the network, by outpoint. The
+    // status of a UTXO never changes, so it is kept for later TXs.
+    this.lookedUpInputs = {}
+  }
+
+  // Throw an error if the TX would burn tokens, unless opts.allowBurn is true.
+  // tx is a Transaction from bitcoincashjs-lib, and utxos are the UTXOs it
+  // spends, in the order of its inputs.
+  async checkTransaction (tx, utxos, opts = {}) {
+    if (opts.allowBurn) return true
+
+    await this.lookupInputs(utxos)
+
+    const burns = this.getBurns(tx, utxos)
+    if (burns.length) {
+      throw new Error(
+        `Transaction would burn tokens: ${burns.join('; ')}. Pass { allowBurn: true } to burn them on purpose.`
+      )
+    }
+
+    return true
+  }
+
+  // Returns an array of strings, describing each way the TX would burn tokens.
+  // The array is empty if the TX does not burn any tokens.
+  getBurns (tx, utxos) {
+    const slp = this.parseSlp(tx)
+    const burns = []
+
+    // Total quantity of tokens spent by the inputs, in base units.
+    let inputQty = new slpMdm.BN(0)
+
+    utxos.forEach((utxo, i) => {
+      const token = this.getTokenInfo(utxo)
+      if (!token) return
+
+      if (token.unknown) {
+        burns.push(`the SLP status of input ${i} is unknown`)
+        return
+      }
+
+      const what =
+        token.type === 'baton'
+          ? `input ${i} is a minting baton of token ${token.tokenId}`
+          : `input ${i} holds tokens of ${token.tokenId}`
+
+      if (!slp) {
+        burns.push(`${what}, and the TX has no SLP message`)
+        return
+      }
+
+      const sameToken =
+        token.tokenId === slp.tokenId && token.tokenType === slp.tokenType
+
+      if (slp.transactionType === 'SEND') {
+        if (!sameToken || token.type === 'baton') {
+          burns.push(`${what}, which is not sent by the TX`)
+          return
+        }
+
+        const qty = this.getUtxoQty(token)
+        if (!qty.isFinite()) {
+          burns.push(`the token quantity of input ${i} is unknown`)
+          return
+        }
+        inputQty = inputQty.plus(qty)
+      } else if (slp.transactionType === 'MINT') {
+        if (!sameToken || token.type !== 'baton') {
+          burns.push(`${what}, which is not sent by the TX`)
+        } else if (!slp.mintBatonVout) {
+          burns.push(`${what}, which the TX destroys`)
+        }
+      } else {
+        // GENESIS. A child NFT is created by burning the group token in the
+        // first input.
+        const isNftGroupInput =
+          slp.tokenType === 65 &&
+          i === 0 &&
+          token.tokenType === 129 &&
+          token.type !== 'baton'
+
+        if (!isNftGroupInput) burns.push(`${what}, which is not sent by the TX`)
+      }
+    })
+
+    if (slp && slp.transactionType === 'SEND') {
+      // An SLP message that sends more tokens than the inputs hold, or sends
+      // tokens to outputs that do not exist, is invalid. All the tokens in the
+      // inputs are then burned.
+      const outputQty = slp.amounts.reduce(
+        (acc, x) => acc.plus(x),
+        new slpMdm.BN(0)
+      )
+      if (outputQty.isGreaterThan(inputQty)) {
+        burns.push('the SLP message sends more tokens than the inputs hold')
+      } else if (slp.amounts.length > tx.outs.length - 1) {
+        burns.push('the SLP message sends tokens to outputs that do not exist')
+      } else if (inputQty.isGreaterThan(outputQty)) {
+        burns.push(
+          `${inputQty.minus(outputQty)} base units of token ${slp.tokenId} are not sent to any output`
+        )
+      }
+    }
+
+    return burns
+  }
+
+  // Parse the SLP message in the first output of the TX. Returns null if the
+  // TX has no valid SLP message.
+  parseSlp (tx) {
+    return this.parseSlpScript(tx.outs[0].script)
+  }
+
+  // Parse an SLP message, from the script of an OP_RETURN output. Returns null
+  // if it is not a valid SLP message.
+  parseSlpScript (script) {
+    let slpData
+    try {
+      // The parser modifies the buffer it reads, so it is given a copy.
+      slpData = this.bchjs.SLP.Utils.slpParser.parseSLP(Buffer.from(script))
+    } catch (err) {
+      return null
+    }
+
+    const { tokenType, transactionType, data } = slpData
+    const slp = { tokenType, transactionType }
+
+    if (transactionType === 'SEND') {
+      slp.tokenId = data.tokenId.toString('hex')
+      slp.amounts = data.amounts.map(x => new slpMdm.BN(x.toString()))
+    } else if (transactionType === 'MINT') {
+      slp.tokenId = data.tokenId.toString('hex')
+      slp.mintBatonVout = data.mintBatonVout
+      slp.qty = new slpMdm.BN(data.qty.toString())
+    } else {
+      // GENESIS. The token ID is the TXID of the signed TX.
+      slp.ticker = data.ticker.toString()
+      slp.decimals = data.decimals
+      slp.mintBatonVout = data.mintBatonVout
+      slp.qty = new slpMdm.BN(data.qty.toString())
+    }
+
+    return slp
+  }
+
+  // Returns the token information of a UTXO, or null if the UTXO holds no
+  // tokens. UTXOs without token information are looked up in the wallet's
+  // UTXO store, then in the inputs looked up by lookupInputs(). An object with
+  // an unknown property is returned if the SLP status of the UTXO could not be
+  // determined.
+  getTokenInfo (utxo) {
+    const status = this.getLocalTokenInfo(utxo)
+    if (status !== undefined) return status
+
+    const lookedUp = this.lookedUpInputs[this.getOutpoint(utxo)]
+    if (lookedUp !== undefined) return lookedUp
+
+    return { unknown: true }
+  }
+
+  // Returns the token information of a UTXO from its own data and the UTXO
+  // store, like getTokenInfo(), or undefined if they do not tell.
+  getLocalTokenInfo (utxo) {
+    if (utxo.tokenId) return utxo
+    if (utxo.isSlp === true || ['token', 'baton'].includes(utxo.type)) {
+      return { unknown: true }
+    }
+    if (utxo.isSlp === null) return { unknown: true }
+    if (utxo.isSlp === false) return null
+
+    const utxoStore = this.utxos && this.utxos.utxoStore
+    if (!utxoStore) return undefined
+
+    const txid = utxo.tx_hash || utxo.txid
+    const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+    const isInput = x => x.tx_hash === txid && x.tx_pos === vout
+
+    if ((utxoStore.nullUtxos || []).some(isInput)) return { unknown: true }
+    if ((utxoStore.bchUtxos || []).some(isInput)) return null
+
+    const slpUtxos = utxoStore.slpUtxos || {}
+    for (const tokenType of Object.keys(slpUtxos)) {
+      for (const utxoType of Object.keys(slpUtxos[tokenType])) {
+        const storeUtxo = slpUtxos[tokenType][utxoType].find(isInput)
+        if (storeUtxo) return storeUtxo
+      }
+    }
+
+    return undefined
+  }
+
+  // Look up the SLP status of the inputs that are not known from their own
+  // data or the UTXO store, like the inputs of a TX built by another wallet.
+  // The TX that created each input is fetched with the adapter router. The
+  // status of an input stays unknown if its TX can not be fetched, or if the
+  // indexer does not know if it is a valid SLP TX.
+  async lookupInputs (utxos) {
+    if (!this.ar) return this.lookedUpInputs
+
+    const missing = utxos.filter(
+      x =>
+        this.getLocalTokenInfo(x) === undefined &&
+        this.lookedUpInputs[this.getOutpoint(x)] === undefined
+    )
+    const txids = [...new Set(missing.map(x => x.tx_hash || x.txid))]
+
+    for (let i = 0; i < txids.length; i++) {
+      const txid = txids[i]
+
+      let txData
+      try {
+        const result = await this.ar.getTxData([txid])
+        txData = result[0]
+      } catch (err) {
+        console.error(`Could not look up the SLP status of TX ${txid}: `, err.message)
+        continue
+      }
+
+      missing
+        .filter(x => (x.tx_hash || x.txid) === txid)
+        .forEach(utxo => {
+          const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+          const status = this.getOutputTokenInfo(txData, vout)
+          if (status !== undefined) {
+            this.lookedUpInputs[this.getOutpoint(utxo)] = status
+          }
+        })
+    }
+
+    return this.lookedUpInputs
+  }
+
+  // Returns the token information of output vout of a TX, from the TX data
+  // returned by the adapter router. Returns null if the output holds no
+  // tokens, and undefined if that can not be determined.
+  getOutputTokenInfo (txData, vout) {
+    if (!txData || !Array.isArray(txData.vout)) return undefined
+
+    // Not an SLP TX, so none of its outputs hold tokens.
+    if (txData.isValidSlp === false) return null
+    if (txData.isValidSlp !== true) return undefined
+
+    const output = txData.vout[vout]
+    const opReturn = txData.vout[0] && txData.vout[0].scriptPubKey
+    if (!output || !opReturn || !opReturn.hex) return undefined
+
+    const slp = this.parseSlpScript(Buffer.from(opReturn.hex, 'hex'))
+    if (!slp) return undefined
+
+    const tokenId = slp.tokenId || txData.txid
+
+    if (vout > 0 && vout === slp.mintBatonVout) {
+      return { tokenId, tokenType: slp.tokenType, type: 'baton' }
+    }
+
+    const qtyStr = output.tokenQtyStr
+    if (qtyStr === undefined) return undefined
+    if (!new slpMdm.BN(qtyStr).isGreaterThan(0)) return null
+
+    return {
+      tokenId,
+      tokenType: slp.tokenType,
+      type: 'token',
+      decimals: txData.tokenDecimals,
+      qtyStr
+    }
+  }
+
+  // Returns the outpoint of a UTXO, as a string.
+  getOutpoint (utxo) {
+    const txid = utxo.tx_hash || utxo.txid
+    const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+
+    return `${txid}:${vout}`
+  }
+
+  // Quantity of tokens held by a token UTXO, in base units. Returns NaN if the
+  // quantity is not known. See TokenGuard.getUtxoQty().
+  getUtxoQty (utxo) {
+    return TokenGuard.getUtxoQty(utxo)
+  }
+
+  // Quantity of tokens held by a token UTXO, in base units. Older UTXO data
+  // only has the tokenQty property. Returns NaN if the quantity is not known.
+  // Shared with tokens.js, so that the burn guard and the token coin selection
+  // agree on the quantity of a UTXO.
+  static getUtxoQty (utxo) {
+    const qty = utxo.qtyStr !== undefined ? utxo.qtyStr : utxo.tokenQty
+
+    return new slpMdm.BN(qty).shiftedBy(utxo.decimals || 0)
+  }
+}
+
+module.exports = TokenGuard
@@ -4,18 +4,80 @@
 
 // External npm dependencies.
 // const BCHJS = require('@psf/bch-js')
-const bchDonation = require('bch-donation')
+const slpMdm = require('slp-mdm')
 
 // Local dependencies
 const SendBCH = require('./send-bch')
+const TokenGuard = require('./token-guard')
 const Utxos = require('./utxos')
 // const AdapterRouter = require('./adapters/router')
 
-// let this
+// An SLP SEND message can describe at most 19 token outputs.
+const MAX_SLP_OUTPUTS = 19
+
+// Token quantities are 64 bit unsigned integers.
+const MAX_SLP_QTY = '18446744073709551615'
+
+// Convert a quantity of tokens to the base units of the token, as a BigNumber.
+function toBaseUnits (qty, decimals) {
+  return new slpMdm.BN(qty).shiftedBy(decimals)
+}
+
+// Quantity of tokens held by a token UTXO, in base units. Throws an error if
+// the quantity is not known. See TokenGuard.getUtxoQty().
+function getUtxoQty (utxo) {
+  const baseQty = TokenGuard.getUtxoQty(utxo)
+  if (!baseQty.isFinite()) {
+    throw new Error(`Token quantity of UTXO ${utxo.tx_hash} is unknown`)
+  }
+
+  return baseQty
+}
+
+// Total quantity of tokens held by token UTXOs, in base units.
+function sumUtxoQty (utxos) {
+  return utxos.reduce((acc, x) => acc.plus(getUtxoQty(x)), new slpMdm.BN(0))
+}
+
+// Generate the OP_RETURN of an SLP SEND TX, which sends the amounts of tokens,
+// in base units, to the outputs that follow the OP_RETURN.
+function sendScript (tokenType, tokenId, amounts) {
+  // Fungable SLP token.
+  if (tokenType === 1) return slpMdm.TokenType1.send(tokenId, amounts)
+
+  // NFT (Child)
+  if (tokenType === 65) return slpMdm.NFT1.Child.send(tokenId, amounts)
+
+  // NFT Group
+  if (tokenType === 129) return slpMdm.NFT1.Group.send(tokenId, amounts)
+
+  throw new Error(`Token Type ${tokenType} unknown`)
+}
+
+// Generate the OP_RETURN of an SLP MINT TX, which mints qty tokens, in base
+// units, to the first output, and sends the minting baton to mintBatonVout.
+function mintScript (tokenType, tokenId, mintBatonVout, qty) {
+  // Fungable SLP token.
+  if (tokenType === 1) {
+    return slpMdm.TokenType1.mint(tokenId, mintBatonVout, qty)
+  }
+
+  // NFT Group
+  if (tokenType === 129) {
+    return slpMdm.NFT1.Group.mint(tokenId, mintBatonVout, qty)
+  }
+
+  throw new Error(`Token Type ${tokenType} can not be minted`)
+}
+
+// Returns true if a quantity in base units can be stored in an SLP message.
+function isValidQty (qty) {
+  return (
+    qty.isInteger() && qty.isGreaterThanOrEqualTo(0) && qty.isLessThanOrEqualTo(MAX_SLP_QTY)
+  )
+}
 
-// Send the Permissionless Software Foundation a donation to thank them for creating
-// and maintaining this software.
-const PSF_DONATION = 2000
+// let this
 
 class Tokens {
   constructor (localConfig = {}) {
@@ -129,7 +191,8 @@ class Tokens {
   }
 
   // Top-level wrapper function that orchestrates the sending of tokens.
-  // output is a single object that looks like this:
+  // output is a single object, or an array of objects with the same token ID,
+  // that looks like this:
   // {
   //     address: "simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv",
   //     tokenId: "497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7",
@@ -157,11 +220,15 @@ class Tokens {
       // Debugging.
       // console.log('transaction hex: ', transaction.hex)
 
+      if (opts.unsigned || opts.dryRun) return transaction
+
       // Broadcast the transaction to the network.
       const txid = await this.ar.sendTx(transaction.hex)
       // console.log(txid)
 
-      // TODO: Remove the spent UTXOs from the utxoStore.
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
 
       return txid
     } catch (err) {
@@ -193,8 +260,17 @@ class Tokens {
         throw new Error('Token UTXO list is empty')
       }
 
+      // Several receivers of the same token can be paid in a single TX.
+      const outputs = Array.isArray(output) ? output : [output]
+      if (outputs.length === 0) throw new Error('No token outputs provided')
+
       // Collect just the UTXOs that match the user-selected token ID.
-      const tokenId = output.tokenId
+      const tokenId = outputs[0].tokenId
+      if (outputs.some(x => x.tokenId !== tokenId)) {
+        throw new Error(
+          'All outputs of a token TX must have the same token ID. Use sendTokensBatch() to send several tokens.'
+        )
+      }
 
       // Filter out the token UTXOs that match the selected token ID.
       // tokenUtxos = tokenUtxos.filter(e => e.tokenId === tokenId)
@@ -206,38 +282,83 @@ class Tokens {
 
       if (tokenUtxos.length === 0) throw new Error(`Token UTXO with token ID ${tokenId} not found!`)
 
-      // Generate the BCH output object.
-      const bchOutput = [
-        {
-          address: walletInfo.cashAddress,
+      // Skip token UTXOs that would put the TX over the unconfirmed chain limit.
+      // Token UTXOs chosen with opts.inputs are all spent, or an error is thrown.
+      tokenUtxos = this.sendBch.getEligibleUtxos(tokenUtxos, opts)
+      if (tokenUtxos.length === 0) {
+        throw this.sendBch.chainLimitError(opts.chainLimit)
+      }
 
-          // Premium paid for SLP OP_RETURN data.
-          // ToDo: Add a better way to calculate extra costs of OP_RETURN.
-          // amountSat: 500
-          amountSat: 500 + 50 * satsPerByte
-        }
-      ]
+      if (opts.tokenUtxosFilter) {
+        tokenUtxos = opts.tokenUtxosFilter(tokenUtxos)
+      }
+
+      // console.log('tokens.js tokenUtxos: ', tokenUtxos)
+
+      // Generate the SLP OP_RETURN, which sends tokens to each receiver and
+      // any remaining tokens back to the wallet.
+      const slpSendObj = this.generateSendOpReturn(tokenUtxos, outputs)
 
+      // The OP_RETURN, a dust output for each receiver, and any token change
+      // back to the sender.
+      const txOutputs = [{ script: slpSendObj.script, amountSat: 0 }]
+      outputs.forEach(x => {
+        txOutputs.push({ address: this.toLegacyAddress(x.address), amountSat: 546 })
+      })
+      if (slpSendObj.outputs > outputs.length) {
+        txOutputs.push({
+          address: this.toLegacyAddress(this.sendBch.getChangeAddress(walletInfo)),
+          amountSat: 546
+        })
+      }
+
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        tokenUtxos,
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createTransaction()')
+      throw err
+    }
+  }
+
+  // Build a token TX from its OP_RETURN and token outputs. The token UTXOs are
+  // always spent, as the first inputs, and BCH UTXOs are added to pay for the
+  // outputs, the donation and the miner fee. Returns the signed TX, or the
+  // unsigned TX if opts.unsigned is true, or a summary of the TX if
+  // opts.dryRun is true.
+  buildTokenTransaction (
+    txOutputs,
+    walletInfo,
+    bchUtxos,
+    tokenUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
       // Determine the UTXOs needed to be spent for this TX, and the change
       // that will be returned to the wallet.
       const {
         necessaryUtxos,
-        change
+        change,
+        fee,
+        donation
       } = this.sendBch.getNecessaryUtxosAndChange(
-        bchOutput,
+        txOutputs,
         bchUtxos,
         satsPerByte,
-        opts
+        opts,
+        tokenUtxos
       )
 
       // Create an instance of the Transaction Builder.
       const transactionBuilder = new this.bchjs.TransactionBuilder()
 
       // Add token inputs
-      if (opts.tokenUtxosFilter) {
-        tokenUtxos = opts.tokenUtxosFilter(tokenUtxos)
-      }
-
       tokenUtxos.forEach(utxo => {
         transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
       })
@@ -247,117 +368,150 @@ class Tokens {
         transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
       })
 
-      // Add required tokenQty property used by generateSendOpReturn()
-      tokenUtxos = tokenUtxos.map(x => {
-        x.tokenQty = parseFloat(x.qtyStr)
-        return x
+      // Add the OP_RETURN and the token outputs.
+      txOutputs.forEach(x => {
+        transactionBuilder.addOutput(x.script || x.address, x.amountSat)
       })
 
-      // console.log('tokens.js tokenUtxos: ', tokenUtxos)
+      // Send a donation to PSF to thank them for creating this awesome software.
+      this.sendBch.addDonationOutput(transactionBuilder, donation)
 
-      // Generate the proper SLP OP_RETURN
-      let slpSendObj = {}
-      // Fungable SLP token.
-      if (tokenUtxos[0].tokenType === 1) {
-        slpSendObj = await this.bchjs.SLP.TokenType1.generateSendOpReturn(
-          tokenUtxos,
-          output.qty
+      // Send change back to the wallet, if it's bigger than dust.
+      if (change && change > 546) {
+        transactionBuilder.addOutput(
+          this.sendBch.getChangeAddress(walletInfo),
+          change
         )
+      }
 
-      // NFT (Child)
-      } else if (tokenUtxos[0].tokenType === 65) {
-        slpSendObj = await this.bchjs.SLP.NFT1.generateNFTChildSendOpReturn(
-          tokenUtxos,
-          output.qty
-        )
+      // Sign the transaction and return it in hex format. Token inputs come
+      // first.
+      return this.sendBch.finishTransaction(
+        transactionBuilder,
+        walletInfo,
+        tokenUtxos.concat(necessaryUtxos),
+        opts,
+        { donation, fee }
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/buildTokenTransaction()')
+      throw err
+    }
+  }
 
-        // NFT Group
-      } else if (tokenUtxos[0].tokenType === 129) {
-        slpSendObj = await this.bchjs.SLP.NFT1.generateNFTGroupSendOpReturn(
-          tokenUtxos,
-          output.qty
-        )
+  // Convert an address to the legacy format, used for the outputs of token
+  // TXs.
+  toLegacyAddress (addr) {
+    if (addr.includes('ecash') || addr.includes('etoken')) {
+      addr = this.bchjs.Address.ecashtoCashAddress(addr)
+    }
 
-        // throw an error for any other token type.
-      } else throw new Error(`Token Type ${tokenUtxos[0].tokenType} unknown`)
+    return this.bchjs.SLP.Address.toLegacyAddress(addr)
+  }
 
-      const slpBuf = Buffer.from(slpSendObj.script, 'hex')
-      transactionBuilder.addOutput(slpBuf, 0)
+  // Generate the OP_RETURN of an SLP SEND TX, for the token held by the
+  // tokenUtxos. Each of the outputs receives its qty of tokens, and any
+  // remaining tokens are sent back to the wallet as change. Returns the script
+  // as a Buffer, and the number of token outputs described by the script.
+  generateSendOpReturn (tokenUtxos, outputs) {
+    try {
+      const { tokenId, tokenType } = tokenUtxos[0]
+      const decimals = tokenUtxos[0].decimals || 0
 
-      if (output.address.includes('ecash') || output.address.includes('etoken')) {
-        output.address = this.bchjs.Address.ecashtoCashAddress(output.address)
-      }
+      const amounts = outputs.map(x => {
+        const amount = toBaseUnits(x.qty, decimals).integerValue(
+          slpMdm.BN.ROUND_DOWN
+        )
+        if (!amount.isGreaterThan(0)) {
+          throw new Error(`Invalid token quantity: ${x.qty}`)
+        }
 
-      // Send dust transaction representing tokens being sent.
-      transactionBuilder.addOutput(
-        this.bchjs.SLP.Address.toLegacyAddress(output.address),
-        546
-      )
+        return amount
+      })
 
-      // console.log('walletInfo: ', walletInfo)
+      const balance = sumUtxoQty(tokenUtxos)
+      const sent = amounts.reduce((acc, x) => acc.plus(x), new slpMdm.BN(0))
 
-      // Return any token change back to the sender.
-      if (slpSendObj.outputs > 1) {
-        transactionBuilder.addOutput(
-          this.bchjs.SLP.Address.toLegacyAddress(walletInfo.cashAddress),
-          546
+      if (sent.isGreaterThan(balance)) {
+        throw new Error(
+          `Insufficient tokens. Trying to send ${sent.shiftedBy(-decimals)}, but the wallet only holds ${balance.shiftedBy(-decimals)}.`
         )
       }
 
-      // Add outputs
-      // outputs.forEach(receiver => {
-      //   transactionBuilder.addOutput(receiver.address, receiver.amountSat)
-      // })
-      // transactionBuilder.addOutput(output.address, output.amountSat)
+      // Send the remaining tokens back to the wallet.
+      const tokenChange = balance.minus(sent)
+      if (tokenChange.isGreaterThan(0)) amounts.push(tokenChange)
 
-      // Send a 2000 sat donation to PSF to thank them for creating this awesome software.
-      // console.log(`psf: ${bchDonation('psf').donations}`)
-      transactionBuilder.addOutput(bchDonation('psf').donations, PSF_DONATION)
-
-      // Send change back to the wallet, if it's bigger than dust.
-      // console.log(`change: ${change}`)
-      if (change && change > 546) {
-        transactionBuilder.addOutput(walletInfo.cashAddress, change)
+      if (amounts.length > MAX_SLP_OUTPUTS) {
+        throw new Error(
+          `An SLP TX can have at most ${MAX_SLP_OUTPUTS} token outputs, including the token change.`
+        )
       }
 
-      // Generate a key pair from the mnemonic.
-      const keyPair = await this.sendBch.getKeyPairFromMnemonic(walletInfo)
+      const script = sendScript(tokenType, tokenId, amounts)
 
-      // Sign each UTXO that is about to be spent.
-      tokenUtxos.forEach((utxo, i) => {
-        let redeemScript
+      return { script, outputs: amounts.length }
+    } catch (err) {
+      console.error('Error in tokens.js/generateSendOpReturn()')
+      throw err
+    }
+  }
 
-        transactionBuilder.sign(
-          i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
-      })
+  // Generate the OP_RETURN of a TX that burns qty tokens of the token held by
+  // the tokenUtxos. Tokens are burned by leaving them out of the SLP SEND
+  // message, which sends the remaining tokens back to the wallet in the first
+  // output.
+  generateBurnOpReturn (tokenUtxos, qty) {
+    try {
+      const { tokenId, tokenType } = tokenUtxos[0]
+      const decimals = tokenUtxos[0].decimals || 0
 
-      // Sign each UTXO that is about to be spent.
-      necessaryUtxos.forEach((utxo, i) => {
-        let redeemScript
+      const burnQty = toBaseUnits(qty, decimals)
+      if (!isValidQty(burnQty) || burnQty.isZero()) {
+        throw new Error(
+          `qty must be a number above 0, with at most ${decimals} decimals`
+        )
+      }
 
-        transactionBuilder.sign(
-          tokenUtxos.length + i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
+      const balance = sumUtxoQty(tokenUtxos)
+      if (burnQty.isGreaterThan(balance)) {
+        throw new Error(
+          `Insufficient tokens. Trying to burn ${qty}, but the wallet only holds ${balance.shiftedBy(-decimals)}.`
         )
-      })
+      }
 
-      // Build the transaction, return the compiled transaction in hex format.
-      const tx = transactionBuilder.build()
-      return { hex: tx.toHex(), txid: tx.getId() }
+      return sendScript(tokenType, tokenId, [balance.minus(burnQty)])
     } catch (err) {
-      console.error('Error in tokens.js/createTransaction()')
+      console.error('Error in tokens.js/generateBurnOpReturn()')
       throw err
     }
   }
 
+  // Split token outputs into groups that can each be sent in a single TX. The
+  // outputs are grouped by token ID, and each group leaves room in the SLP
+  // message for the token change. Returns an array of arrays of outputs.
+  batchTokenOutputs (outputs) {
+    if (!Array.isArray(outputs)) outputs = [outputs]
+
+    const maxReceivers = MAX_SLP_OUTPUTS - 1
+
+    // Group the outputs by token ID, in the order they were passed in.
+    const byTokenId = new Map()
+    outputs.forEach(x => {
+      if (!byTokenId.has(x.tokenId)) byTokenId.set(x.tokenId, [])
+      byTokenId.get(x.tokenId).push(x)
+    })
+
+    const batches = []
+    for (const tokenOutputs of byTokenId.values()) {
+      for (let i = 0; i < tokenOutputs.length; i += maxReceivers) {
+        batches.push(tokenOutputs.slice(i, i + maxReceivers))
+      }
+    }
+
+    return batches
+  }
+
   // Build the transaction to burn tokens.
   async createBurnTransaction (
     qty,
@@ -365,7 +519,8 @@ class Tokens {
     walletInfo,
     bchUtxos,
     tokenUtxos,
-    satsPerByte = 1.0
+    satsPerByte = 1.0,
+    opts = {}
   ) {
     try {
       if (!qty || typeof qty !== 'number') {
@@ -394,113 +549,36 @@ class Tokens {
       if (!tokenUtxos.length) {
         throw new Error('tokenId does not match')
       }
+
+      // Skip token UTXOs that would put the TX over the unconfirmed chain limit.
+      tokenUtxos = this.sendBch.filterByChainLimit(tokenUtxos, opts.chainLimit)
+      if (!tokenUtxos.length) {
+        throw this.sendBch.chainLimitError(opts.chainLimit)
+      }
       // console.log(`tokenUtxos: ${JSON.stringify(tokenUtxos, null, 2)}`)
       // console.log(`tokenUtxos[0].tokenType: ${tokenUtxos[0].tokenType}`)
 
-      // Generate the BCH output object.
-      const bchOutput = [
-        {
-          address: walletInfo.cashAddress,
+      // Generate the SLP OP_RETURN for the type of the token.
+      const slpBuf = this.generateBurnOpReturn(tokenUtxos, qty)
 
-          // Premium paid for SLP OP_RETURN data.
-          // ToDo: Add a better way to calculate extra costs of OP_RETURN.
-          // amountSat: 500
-          amountSat: 500 + 50 * satsPerByte
-        }
+      // Send dust transaction representing the tokens that are not burned.
+      const tokenChangeAddr = walletInfo.changeAddress
+        ? this.bchjs.SLP.Address.toLegacyAddress(walletInfo.changeAddress)
+        : walletInfo.legacyAddress
+      const txOutputs = [
+        { script: slpBuf, amountSat: 0 },
+        { address: tokenChangeAddr, amountSat: 546 }
       ]
 
-      // Determine the UTXOs needed to be spent for this TX, and the change
-      // that will be returned to the wallet.
-      const {
-        necessaryUtxos,
-        change
-      } = this.sendBch.getNecessaryUtxosAndChange(
-        bchOutput,
+      // Burning tokens is the purpose of this TX.
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
         bchUtxos,
-        satsPerByte
-      )
-
-      // Create an instance of the Transaction Builder.
-      const transactionBuilder = new this.bchjs.TransactionBuilder()
-
-      // Add token inputs
-      tokenUtxos.forEach(utxo => {
-        transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
-      })
-
-      // Add BCH inputs
-      necessaryUtxos.forEach(utxo => {
-        transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos)
-      })
-
-      // Add legacy property to token UTXOs.
-      tokenUtxos.map(x => {
-        x.tokenQty = x.qtyStr
-        return x
-      })
-
-      // Generate the proper SLP OP_RETURN
-      const slpSendObj = await this.bchjs.SLP.TokenType1.generateBurnOpReturn(
         tokenUtxos,
-        qty
-      )
-
-      const slpBuf = slpSendObj // Buffer.from(slpSendObj.script, 'hex')
-      transactionBuilder.addOutput(slpBuf, 0)
-
-      // Convert different addresses to legacy address
-      // let legacyAddr = ''
-      // if()
-
-      // Send dust transaction representing tokens being sent.
-      transactionBuilder.addOutput(
-        // this.bchjs.SLP.Address.toLegacyAddress(walletInfo.address),
-        walletInfo.legacyAddress,
-        546
+        satsPerByte,
+        Object.assign({}, opts, { allowBurn: true })
       )
-
-      // Send a 2000 sat donation to PSF to thank them for creating this awesome software.
-      // console.log(`psf: ${bchDonation('psf').donations}`)
-      transactionBuilder.addOutput(bchDonation('psf').donations, PSF_DONATION)
-
-      // Send change back to the wallet, if it's bigger than dust.
-      // console.log(`change: ${change}`)
-      if (change && change > 546) {
-        transactionBuilder.addOutput(walletInfo.cashAddress, change)
-      }
-
-      // Generate a key pair from the mnemonic.
-      const keyPair = await this.sendBch.getKeyPairFromMnemonic(walletInfo)
-
-      // Sign each UTXO that is about to be spent.
-      tokenUtxos.forEach((utxo, i) => {
-        let redeemScript
-
-        transactionBuilder.sign(
-          i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
-      })
-
-      // Sign each UTXO that is about to be spent.
-      necessaryUtxos.forEach((utxo, i) => {
-        let redeemScript
-
-        transactionBuilder.sign(
-          tokenUtxos.length + i,
-          keyPair,
-          redeemScript,
-          transactionBuilder.hashTypes.SIGHASH_ALL,
-          utxo.value
-        )
-      })
-
-      // Build the transaction, return the compiled transaction in hex format.
-      const tx = transactionBuilder.build()
-      return { hex: tx.toHex(), txid: tx.getId() }
     } catch (err) {
       console.error('Error in tokens.js/createBurnTransaction()')
       throw err
@@ -514,7 +592,8 @@ class Tokens {
     walletInfo,
     bchUtxos,
     tokenUtxos,
-    satsPerByte = 1.0
+    satsPerByte = 1.0,
+    opts = {}
   ) {
     try {
       // Generate the transaction.
@@ -524,16 +603,21 @@ class Tokens {
         walletInfo,
         bchUtxos,
         tokenUtxos,
-        satsPerByte
+        satsPerByte,
+        opts
       )
 
       // Debugging.
       // console.log('transaction hex: ', transaction.hex)
 
+      if (opts.unsigned || opts.dryRun) return transaction
+
       // Broadcast the transaction to the network.
       const txid = await this.ar.sendTx(transaction.hex)
 
-      // TODO: Remove the spent UTXOs from the utxoStore.
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
 
       return txid
     } catch (err) {
@@ -543,7 +627,7 @@ class Tokens {
   }
 
   // Burn ALL the SLP tokens in the wallet associated to the tokenID
-  async burnAll (tokenId, walletInfo, bchUtxos, tokenUtxos) {
+  async burnAll (tokenId, walletInfo, bchUtxos, tokenUtxos, opts = {}) {
     try {
       // Input validation
       // If the SLP utxos array is still empty, then throw an error.
@@ -583,10 +667,12 @@ class Tokens {
       const utxos = tokenUtxos.concat(bchUtxos)
       // console.log(`combined utxos: ${JSON.stringify(utxos, null, 2)}`)
 
+      // Burning tokens is the purpose of this TX.
       const txid = await this.sendBch.sendAllBch(
-        walletInfo.cashAddress,
+        this.sendBch.getChangeAddress(walletInfo),
         walletInfo,
-        utxos
+        utxos,
+        Object.assign({}, opts, { allowBurn: true })
       )
 
       return txid
@@ -595,6 +681,596 @@ class Tokens {
       throw err
     }
   }
+
+  // Generate the OP_RETURN of a GENESIS TX, which creates a new token.
+  // See createToken() for the properties of tokenData. tokenData.tokenType is
+  // 1 for a fungible token (the default), 129 for an NFT group, or 65 for a
+  // child NFT. mintBatonVout is the output that receives the minting baton, or
+  // null for a fixed supply.
+  generateGenesisOpReturn (tokenData, mintBatonVout = null) {
+    try {
+      const { ticker, name } = tokenData
+      const tokenType = tokenData.tokenType || 1
+      const documentUri = tokenData.documentUri || ''
+      const documentHash = tokenData.documentHash || ''
+      const decimals = tokenData.decimals || 0
+
+      if (typeof ticker !== 'string' || typeof name !== 'string') {
+        throw new Error('ticker and name must be strings')
+      }
+
+      // A child NFT is a single token, without decimals or minting baton.
+      if (tokenType === 65) {
+        return slpMdm.NFT1.Child.genesis(ticker, name, documentUri, documentHash)
+      }
+
+      if (!Number.isInteger(decimals) || decimals < 0 || decimals > 9) {
+        throw new Error('decimals must be an integer from 0 to 9')
+      }
+
+      const qty = toBaseUnits(tokenData.initialQty, decimals)
+      if (!isValidQty(qty)) {
+        throw new Error(
+          `initialQty must be a number of at least 0, with at most ${decimals} decimals`
+        )
+      }
+
+      let genesis
+      // Fungable SLP token.
+      if (tokenType === 1) {
+        genesis = slpMdm.TokenType1.genesis
+
+        // NFT Group
+      } else if (tokenType === 129) {
+        genesis = slpMdm.NFT1.Group.genesis
+      } else throw new Error(`Token Type ${tokenType} unknown`)
+
+      return genesis(
+        ticker,
+        name,
+        documentUri,
+        documentHash,
+        decimals,
+        mintBatonVout,
+        qty
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/generateGenesisOpReturn()')
+      throw err
+    }
+  }
+
+  // Build the GENESIS TX of a new token. The initial quantity of tokens is
+  // sent to the wallet. See createToken() for the properties of tokenData.
+  async createTokenTransaction (
+    tokenData,
+    walletInfo,
+    bchUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      if (!tokenData || typeof tokenData !== 'object') {
+        throw new Error('tokenData must be an object')
+      }
+      if (![undefined, 1, 129].includes(tokenData.tokenType)) {
+        throw new Error('tokenType must be 1 or 129')
+      }
+      // If the BCH utxos array is still empty, then throw an error.
+      if (!bchUtxos || bchUtxos.length === 0) {
+        throw new Error('BCH UTXO list is empty')
+      }
+
+      // The minting baton goes to the wallet, unless another address is given,
+      // or it is null for a fixed supply.
+      let batonAddr = tokenData.mintBatonAddress
+      if (batonAddr === undefined) batonAddr = walletInfo.cashAddress
+      const mintBatonVout = batonAddr ? 2 : null
+
+      const slpBuf = this.generateGenesisOpReturn(tokenData, mintBatonVout)
+
+      // The OP_RETURN, the initial quantity of tokens, and the minting baton.
+      const txOutputs = [
+        { script: slpBuf, amountSat: 0 },
+        { address: this.toLegacyAddress(walletInfo.cashAddress), amountSat: 546 }
+      ]
+      if (batonAddr) {
+        txOutputs.push({ address: this.toLegacyAddress(batonAddr), amountSat: 546 })
+      }
+
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        [],
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createTokenTransaction()')
+      throw err
+    }
+  }
+
+  // Create a new SLP Type1 token, or an NFT group. Returns the token ID, which
+  // is the TXID of the GENESIS TX. tokenData is an object with these
+  // properties:
+  // {
+  //   tokenType: 1, // optional, 1 for a fungible token, or 129 for an NFT group
+  //   name: 'My Token',
+  //   ticker: 'MYT',
+  //   documentUri: 'https://example.com', // optional
+  //   documentHash: '', // optional, 32 bytes in hex
+  //   decimals: 2,
+  //   initialQty: 1000,
+  //   mintBatonAddress: 'ecash:...' // optional, defaults to the wallet.
+  // }
+  async createToken (
+    tokenData,
+    walletInfo,
+    bchUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      // Generate the transaction.
+      const transaction = await this.createTokenTransaction(
+        tokenData,
+        walletInfo,
+        bchUtxos,
+        satsPerByte,
+        opts
+      )
+
+      if (opts.unsigned || opts.dryRun) return transaction
+
+      // Broadcast the transaction to the network.
+      const txid = await this.ar.sendTx(transaction.hex)
+
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
+
+      return txid
+    } catch (err) {
+      console.error('Error in tokens.js/createToken()')
+      throw err
+    }
+  }
+
+  // Build the GENESIS TX of a child NFT of the NFT group groupId. The TX burns
+  // a group token UTXO with a quantity of one unit, which must be the first
+  // input. nftData is an object with a ticker, name, and optional documentUri
+  // and documentHash, like the tokenData of createToken(). The NFT is sent to
+  // the wallet.
+  async createNftChildTransaction (
+    groupId,
+    nftData,
+    walletInfo,
+    bchUtxos,
+    tokenUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      if (!groupId || typeof groupId !== 'string') {
+        throw new Error('groupId must be string')
+      }
+      if (!nftData || typeof nftData !== 'object') {
+        throw new Error('nftData must be an object')
+      }
+      // If the BCH utxos array is still empty, then throw an error.
+      if (!bchUtxos || bchUtxos.length === 0) {
+        throw new Error('BCH UTXO list is empty')
+      }
+
+      // The whole quantity of the group UTXO is burned, so only UTXOs of a
+      // single unit are spent.
+      let groupUtxos = (tokenUtxos || []).filter(
+        x =>
+          x.tokenId === groupId &&
+          x.tokenType === 129 &&
+          x.type === 'token' &&
+          this.isSingleUnit(x)
+      )
+      if (!groupUtxos.length) {
+        throw new Error(
+          `No UTXO of NFT group ${groupId} with a quantity of 1 unit found. Split the group tokens first.`
+        )
+      }
+
+      // Skip UTXOs that would put the TX over the unconfirmed chain limit.
+      groupUtxos = this.sendBch.filterByChainLimit(groupUtxos, opts.chainLimit)
+      if (!groupUtxos.length) {
+        throw this.sendBch.chainLimitError(opts.chainLimit)
+      }
+
+      const slpBuf = this.generateGenesisOpReturn(
+        Object.assign({}, nftData, { tokenType: 65 })
+      )
+
+      // The OP_RETURN, and the NFT.
+      const txOutputs = [
+        { script: slpBuf, amountSat: 0 },
+        { address: this.toLegacyAddress(walletInfo.cashAddress), amountSat: 546 }
+      ]
+
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        [groupUtxos[0]],
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createNftChildTransaction()')
+      throw err
+    }
+  }
+
+  // Mint a child NFT of the NFT group groupId. Returns the token ID of the NFT,
+  // which is the TXID of its GENESIS TX.
+  async createNftChild (
+    groupId,
+    nftData,
+    walletInfo,
+    bchUtxos,
+    tokenUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      // Generate the transaction.
+      const transaction = await this.createNftChildTransaction(
+        groupId,
+        nftData,
+        walletInfo,
+        bchUtxos,
+        tokenUtxos,
+        satsPerByte,
+        opts
+      )
+
+      if (opts.unsigned || opts.dryRun) return transaction
+
+      // Broadcast the transaction to the network.
+      const txid = await this.ar.sendTx(transaction.hex)
+
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
+
+      return txid
+    } catch (err) {
+      console.error('Error in tokens.js/createNftChild()')
+      throw err
+    }
+  }
+
+  // Returns true if a token UTXO holds a single base unit of its token.
+  isSingleUnit (utxo) {
+    return getUtxoQty(utxo).isEqualTo(1)
+  }
+
+  // Build a TX that sends the minting baton of tokenId to address, without
+  // minting any tokens. This is a MINT TX with a quantity of 0, which is the
+  // only valid SLP TX that moves a baton.
+  async createSendBatonTransaction (
+    tokenId,
+    address,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('tokenId must be string')
+      }
+      if (!address || typeof address !== 'string') {
+        throw new Error('address must be string')
+      }
+
+      const batonUtxo = this.getBatonUtxo(tokenId, batonUtxos, opts)
+
+      // The first output of a MINT TX receives the minted tokens, so the
+      // baton goes to the second one.
+      const slpBuf = mintScript(
+        batonUtxo.tokenType,
+        tokenId,
+        2,
+        new slpMdm.BN(0)
+      )
+
+      // The OP_RETURN, an output for the 0 minted tokens, and the baton.
+      const txOutputs = [
+        { script: slpBuf, amountSat: 0 },
+        { address: this.toLegacyAddress(walletInfo.cashAddress), amountSat: 546 },
+        { address: this.toLegacyAddress(address), amountSat: 546 }
+      ]
+
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        [batonUtxo],
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createSendBatonTransaction()')
+      throw err
+    }
+  }
+
+  // Send the minting baton of tokenId to address. Returns the TXID.
+  async sendMintBaton (
+    tokenId,
+    address,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      // Generate the transaction.
+      const transaction = await this.createSendBatonTransaction(
+        tokenId,
+        address,
+        walletInfo,
+        bchUtxos,
+        batonUtxos,
+        satsPerByte,
+        opts
+      )
+
+      if (opts.unsigned || opts.dryRun) return transaction
+
+      // Broadcast the transaction to the network.
+      const txid = await this.ar.sendTx(transaction.hex)
+
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
+
+      return txid
+    } catch (err) {
+      console.error('Error in tokens.js/sendMintBaton()')
+      throw err
+    }
+  }
+
+  // Build a TX that destroys the minting baton of tokenId. The baton is spent
+  // in a TX without an SLP message, so no more tokens can ever be minted. The
+  // supply of the token is permanently capped at the quantity minted so far.
+  // Because this can not be undone, opts.confirm must be true.
+  async createDestroyBatonTransaction (
+    tokenId,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('tokenId must be string')
+      }
+
+      const batonUtxo = this.getBatonUtxo(tokenId, batonUtxos, opts)
+
+      if (opts.confirm !== true) {
+        throw new Error(
+          `Destroying the minting baton of token ${tokenId} permanently caps its supply. No more tokens can ever be minted. Pass { confirm: true } to destroy it.`
+        )
+      }
+
+      // The dust of the baton is sent back to the wallet as BCH.
+      const txOutputs = [
+        {
+          address: this.sendBch.getChangeAddress(walletInfo),
+          amountSat: batonUtxo.value
+        }
+      ]
+
+      // Destroying the baton is the purpose of this TX.
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        [batonUtxo],
+        satsPerByte,
+        Object.assign({}, opts, { allowBurn: true })
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createDestroyBatonTransaction()')
+      throw err
+    }
+  }
+
+  // Destroy the minting baton of tokenId. See createDestroyBatonTransaction().
+  // Returns the TXID.
+  async destroyMintBaton (
+    tokenId,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      // Generate the transaction.
+      const transaction = await this.createDestroyBatonTransaction(
+        tokenId,
+        walletInfo,
+        bchUtxos,
+        batonUtxos,
+        satsPerByte,
+        opts
+      )
+
+      if (opts.unsigned || opts.dryRun) return transaction
+
+      // Broadcast the transaction to the network.
+      const txid = await this.ar.sendTx(transaction.hex)
+
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
+
+      return txid
+    } catch (err) {
+      console.error('Error in tokens.js/destroyMintBaton()')
+      throw err
+    }
+  }
+
+  // Generate the token outputs that split qtyUnits of the NFT group groupId
+  // into UTXOs of a single unit each, sent to address. decimals is the number
+  // of decimals of the group token.
+  getGroupSplitOutputs (groupId, qtyUnits, address, decimals = 0) {
+    if (!Number.isInteger(qtyUnits) || qtyUnits < 1) {
+      throw new Error('The number of group UTXOs must be a positive integer')
+    }
+
+    const qty = new slpMdm.BN(1).shiftedBy(-decimals).toString()
+
+    return new Array(qtyUnits).fill(null).map(() => ({
+      address,
+      tokenId: groupId,
+      qty
+    }))
+  }
+
+  // Find the minting baton of tokenId in batonUtxos. Throws an error if the
+  // wallet does not hold it, or if spending it would put the TX over the
+  // unconfirmed chain limit.
+  getBatonUtxo (tokenId, batonUtxos, opts = {}) {
+    batonUtxos = (batonUtxos || []).filter(
+      x => x.tokenId === tokenId && x.type === 'baton'
+    )
+    if (!batonUtxos.length) {
+      throw new Error(`Minting baton for token ID ${tokenId} not found`)
+    }
+
+    batonUtxos = this.sendBch.filterByChainLimit(batonUtxos, opts.chainLimit)
+    if (!batonUtxos.length) {
+      throw this.sendBch.chainLimitError(opts.chainLimit)
+    }
+
+    return batonUtxos[0]
+  }
+
+  // Generate the OP_RETURN of a MINT TX, for the token of batonUtxo.
+  // mintBatonVout is the output that receives the minting baton.
+  generateMintOpReturn (batonUtxo, qty, mintBatonVout = 2) {
+    try {
+      const { tokenId, tokenType, decimals } = batonUtxo
+      if (!Number.isInteger(decimals)) {
+        throw new Error(`Decimals of token ${tokenId} are unknown`)
+      }
+
+      const baseQty = toBaseUnits(qty, decimals)
+      if (!isValidQty(baseQty) || baseQty.isZero()) {
+        throw new Error(
+          `qty must be a number above 0, with at most ${decimals} decimals`
+        )
+      }
+
+      return mintScript(tokenType, tokenId, mintBatonVout, baseQty)
+    } catch (err) {
+      console.error('Error in tokens.js/generateMintOpReturn()')
+      throw err
+    }
+  }
+
+  // Build a MINT TX, which creates qty new tokens with the minting baton of
+  // tokenId. The new tokens are sent to the wallet. The baton is kept by the
+  // wallet, or passed on to opts.batonReceiver.
+  async createMintTransaction (
+    tokenId,
+    qty,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      if (!tokenId || typeof tokenId !== 'string') {
+        throw new Error('tokenId must be string')
+      }
+      // If the BCH utxos array is still empty, then throw an error.
+      if (!bchUtxos || bchUtxos.length === 0) {
+        throw new Error('BCH UTXO list is empty')
+      }
+
+      const batonUtxo = this.getBatonUtxo(tokenId, batonUtxos, opts)
+
+      const slpBuf = this.generateMintOpReturn(batonUtxo, qty)
+
+      // The OP_RETURN, the new tokens, and the minting baton.
+      const batonReceiver = opts.batonReceiver || walletInfo.cashAddress
+      const txOutputs = [
+        { script: slpBuf, amountSat: 0 },
+        { address: this.toLegacyAddress(walletInfo.cashAddress), amountSat: 546 },
+        { address: this.toLegacyAddress(batonReceiver), amountSat: 546 }
+      ]
+
+      return this.buildTokenTransaction(
+        txOutputs,
+        walletInfo,
+        bchUtxos,
+        [batonUtxo],
+        satsPerByte,
+        opts
+      )
+    } catch (err) {
+      console.error('Error in tokens.js/createMintTransaction()')
+      throw err
+    }
+  }
+
+  // Mint qty new tokens of tokenId. Returns the TXID of the MINT TX.
+  async mintTokens (
+    tokenId,
+    qty,
+    walletInfo,
+    bchUtxos,
+    batonUtxos,
+    satsPerByte = 1.0,
+    opts = {}
+  ) {
+    try {
+      // Generate the transaction.
+      const transaction = await this.createMintTransaction(
+        tokenId,
+        qty,
+        walletInfo,
+        bchUtxos,
+        batonUtxos,
+        satsPerByte,
+        opts
+      )
+
+      if (opts.unsigned || opts.dryRun) return transaction
+
+      // Broadcast the transaction to the network.
+      const txid = await this.ar.sendTx(transaction.hex)
+
+      this.sendBch.updateUtxoStore(transaction.hex, walletInfo)
+
+      if (opts.receipt) return transaction.receipt
+
+      return txid
+    } catch (err) {
+      console.error('Error in tokens.js/mintTokens()')
+      throw err
+    }
+  }
 }
 
 module.exports = Tokens
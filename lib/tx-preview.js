@@ -0,0 +1,265 @@
+/*
+  This library summarizes a transaction before it is signed, so that a user can
+  review it on a confirmation screen. It is used by the opts.dryRun option of
+  the send functions, which return the summary instead of broadcasting the TX.
+
+  It also creates the receipt of a signed transaction, returned by the send
+  functions after broadcasting when opts.receipt is true.
+
+  The outputs are decoded to addresses, and the SLP message of the TX is used
+  to show the tokens sent to each output.
+*/
+
+// Public npm libraries
+const slpMdm = require('slp-mdm')
+
+// Local libraries
+const FeeEngine = require('./fee-engine')
+const TokenGuard = require('./token-guard')
+
+class TxPreview {
+  constructor (localConfig = {}) {
+    // Dependency injection.
+    this.bchjs = localConfig.bchjs
+    if (!this.bchjs) {
+      throw new Error(
+        'Must pass instance of bch-js when instantiating TxPreview library.'
+      )
+    }
+
+    this.feeEngine = new FeeEngine(localConfig)
+    this.tokenGuard = localConfig.tokenGuard || new TokenGuard(localConfig)
+  }
+
+  // Summarize an unsigned TX. tx is a Transaction from bitcoincashjs-lib, and
+  // utxos are the UTXOs it spends, in the order of its inputs. walletAddrs is
+  // an array of the cash addresses of the wallet, used to mark the change
+  // outputs. summary.donation is the donation of the TX, as returned by
+  // Donation.getDonation().
+  getPreview (tx, utxos, walletAddrs = [], summary = {}) {
+    const { slp, inputs, outputs, fee, change } = this.summarize(
+      tx,
+      utxos,
+      walletAddrs
+    )
+
+    // The TX is not signed yet, so its size is calculated with the largest
+    // possible signatures. See fee-engine.js.
+    const size = this.feeEngine.getTxSize(
+      tx.ins.length,
+      tx.outs.map(out => ({ script: out.script }))
+    )
+
+    return {
+      dryRun: true,
+      hex: tx.toHex(),
+      inputs,
+      outputs,
+      slp: slp
+        ? {
+            transactionType: slp.transactionType,
+            tokenType: slp.tokenType,
+            tokenId: slp.tokenId || null
+          }
+        : null,
+      fee,
+      size,
+      satsPerByte: Math.round((fee / size) * 100) / 100,
+      donation: summary.donation || { policy: 'disabled', amount: 0 },
+      change,
+      burns: this.tokenGuard.getBurns(tx, utxos)
+    }
+  }
+
+  // Summarize a signed TX, for the opts.receipt option. Takes the same
+  // arguments as getPreview(). The size and fee rate are those of the signed
+  // TX. tokens lists the quantity of each token spent by the inputs, sent to
+  // other wallets, kept by this wallet, and burned, in base units.
+  getReceipt (tx, utxos, walletAddrs = [], summary = {}) {
+    const txid = tx.getId()
+    const { inputs, outputs, fee, change } = this.summarize(
+      tx,
+      utxos,
+      walletAddrs
+    )
+
+    // The token ID of a new token is the TXID of its GENESIS TX.
+    outputs.forEach(output => {
+      if (output.token && !output.token.tokenId) output.token.tokenId = txid
+    })
+
+    const size = tx.byteLength()
+
+    return {
+      txid,
+      hex: tx.toHex(),
+      inputs,
+      outputs,
+      tokens: this.getTokenMovements(inputs, outputs),
+      fee,
+      size,
+      satsPerByte: Math.round((fee / size) * 100) / 100,
+      donation: summary.donation || { policy: 'disabled', amount: 0 },
+      change
+    }
+  }
+
+  // Decode the inputs and outputs of a TX, and calculate its fee and change.
+  summarize (tx, utxos, walletAddrs) {
+    const slp = this.tokenGuard.parseSlp(tx)
+
+    const inputs = utxos.map((utxo, i) => this.getInput(utxo, i))
+
+    // Decimals of the token sent by the TX, if the inputs or the SLP message
+    // carry it.
+    let decimals = slp && slp.transactionType === 'GENESIS' ? slp.decimals : undefined
+    inputs.forEach(input => {
+      if (input.token && slp && input.token.tokenId === slp.tokenId) {
+        decimals = input.token.decimals
+      }
+    })
+
+    const outputs = tx.outs.map((out, vout) => {
+      const output = this.getOutput(out, vout, walletAddrs)
+
+      const token = this.getOutputToken(slp, vout, decimals)
+      if (token) output.token = token
+
+      return output
+    })
+
+    const inputSats = utxos.reduce((acc, utxo) => acc + utxo.value, 0)
+    const outputSats = tx.outs.reduce((acc, out) => acc + out.value, 0)
+
+    const change = outputs
+      .filter(output => output.isChange)
+      .reduce((acc, output) => acc + output.value, 0)
+
+    return { slp, inputs, outputs, fee: inputSats - outputSats, change }
+  }
+
+  // Total the token quantities of the inputs and outputs, by token ID.
+  // Quantities are strings, in base units.
+  getTokenMovements (inputs, outputs) {
+    const tokens = {}
+    const getToken = x => {
+      if (!tokens[x.tokenId]) {
+        tokens[x.tokenId] = {
+          tokenId: x.tokenId,
+          tokenType: x.tokenType,
+          spent: new slpMdm.BN(0),
+          sent: new slpMdm.BN(0),
+          kept: new slpMdm.BN(0)
+        }
+      }
+
+      return tokens[x.tokenId]
+    }
+
+    inputs.forEach(input => {
+      if (!input.token || input.token.type !== 'token' || !input.token.qty) return
+
+      const token = getToken(input.token)
+      token.spent = token.spent.plus(input.token.qty)
+    })
+
+    outputs.forEach(output => {
+      if (!output.token || output.token.type !== 'token') return
+
+      const token = getToken(output.token)
+      if (output.isChange) token.kept = token.kept.plus(output.token.qty)
+      else token.sent = token.sent.plus(output.token.qty)
+    })
+
+    return Object.values(tokens).map(token => {
+      const burned = token.spent.minus(token.sent).minus(token.kept)
+
+      return {
+        tokenId: token.tokenId,
+        tokenType: token.tokenType,
+        spent: token.spent.toFixed(),
+        sent: token.sent.toFixed(),
+        kept: token.kept.toFixed(),
+        burned: burned.isPositive() ? burned.toFixed() : '0'
+      }
+    })
+  }
+
+  // Summarize an input. Token UTXOs carry their token information.
+  getInput (utxo, i) {
+    const input = {
+      vin: i,
+      txid: utxo.tx_hash || utxo.txid,
+      vout: utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout,
+      value: utxo.value
+    }
+
+    const token = this.tokenGuard.getTokenInfo(utxo)
+    if (token && !token.unknown) {
+      const qty = token.type === 'baton'
+        ? new slpMdm.BN(0)
+        : this.tokenGuard.getUtxoQty(token)
+
+      input.token = {
+        tokenId: token.tokenId,
+        tokenType: token.tokenType,
+        type: token.type,
+        decimals: token.decimals
+      }
+      if (qty.isFinite()) input.token.qty = qty.toFixed()
+    } else if (token) {
+      input.token = { unknown: true }
+    }
+
+    return input
+  }
+
+  // Summarize an output. It is decoded to an address, or to the hex of its
+  // script if it does not pay an address, like an OP_RETURN.
+  getOutput (out, vout, walletAddrs) {
+    const output = { vout, value: out.value }
+
+    try {
+      output.address = this.bchjs.Address.fromOutputScript(out.script)
+      output.isChange = walletAddrs.includes(output.address)
+    } catch (err) {
+      output.script = out.script.toString('hex')
+      output.isChange = false
+    }
+
+    return output
+  }
+
+  // Returns the tokens sent to an output by the SLP message of the TX, or null.
+  // qty is in base units. qtyStr is added if the decimals of the token are
+  // known.
+  getOutputToken (slp, vout, decimals) {
+    if (!slp || vout === 0) return null
+
+    const token = {
+      tokenId: slp.tokenId || null,
+      tokenType: slp.tokenType
+    }
+
+    let qty
+    if (slp.transactionType === 'SEND') {
+      qty = slp.amounts[vout - 1]
+    } else if (vout === 1) {
+      qty = slp.qty
+    }
+
+    if (vout === slp.mintBatonVout) {
+      token.type = 'baton'
+    } else if (qty) {
+      token.type = 'token'
+      token.qty = qty.toFixed()
+      if (decimals !== undefined) token.qtyStr = qty.shiftedBy(-decimals).toFixed()
+    } else {
+      return null
+    }
+
+    return token
+  }
+}
+
+module.exports = TxPreview
@@ -1,12 +1,29 @@
 /*
   A utility library for handling, analyzing, and maintaining a collection of UTXOs.
 
+  It also provides coin control. UTXOs can be frozen, to keep them out of the
+  automatic coin selection of every send function, for example to set aside a
+  UTXO reserved for a specific payment. The list of frozen outpoints is saved
+  to localConfig.storage, if it is passed. A frozen UTXO can still be spent by
+  passing it explicitly with the inputs option of a send function.
+
   TODO:
 
 */
 
 // const BCHJS = require('@psf/bch-js')
 // const AdapterRouter = require('./adapters/router')
+const { Transaction } = require('@psf/bitcoincashjs-lib')
+
+// Where token UTXOs of each SLP token type are kept in the UTXO store.
+const TOKEN_CATEGORIES = {
+  1: 'type1',
+  65: 'nft',
+  129: 'group'
+}
+
+// The key of the list of frozen outpoints in localConfig.storage.
+const FROZEN_STORAGE_KEY = 'frozenUtxos'
 
 // let this
 
@@ -33,6 +50,14 @@ class UTXOs {
     // of network calls required to retrieve a UTXO.
     this.utxoStore = {}
 
+    // Optional. An object with the getItem() and setItem() methods of
+    // window.localStorage, used to persist the frozen outpoints.
+    this.storage = localConfig.storage
+
+    // Outpoints that are kept out of coin selection. Each is an object with a
+    // txid and vout property.
+    this.frozenUtxos = this.loadFrozenUtxos()
+
     this.temp = []
 
     // This should be the last command in the constructor.
@@ -41,21 +66,35 @@ class UTXOs {
   }
 
   // Retrieve UTXO data for the wallet from the blockchain.
+  // addr can be a single address, or an array of address objects with an
+  // 'address' and 'hdPath' property, for wallets that span multiple HD
+  // addresses. In that case the UTXOs of all addresses are combined into a
+  // single UTXO store, and each UTXO is tagged with the hdPath of the key
+  // that can spend it.
   async initUtxoStore (addr) {
     try {
       // Clear the utxo store.
       this.utxoStore = []
 
-      // const utxos = await this.bchjs.Utxo.get(addr)
-      const utxos = await this.ar.getUtxos(addr)
-      // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
+      if (Array.isArray(addr)) {
+        const stores = []
+        for (let i = 0; i < addr.length; i++) {
+          const thisAddr = addr[i]
+
+          const utxos = await this.getUtxosForAddress(thisAddr.address)
+          this.tagUtxos(utxos, thisAddr.hdPath)
+          this.setUnconfirmedAncestors(utxos)
+
+          stores.push(utxos)
+        }
+
+        this.utxoStore = this.mergeUtxoStores(stores)
 
-      // Handle network failures.
-      if (utxos.status > 399) {
-        throw new Error(utxos.message)
+        return this.utxoStore
       }
 
-      this.utxoStore = utxos
+      this.utxoStore = await this.getUtxosForAddress(addr)
+      this.setUnconfirmedAncestors(this.utxoStore)
 
       return this.utxoStore
     } catch (err) {
@@ -64,20 +103,434 @@ class UTXOs {
     }
   }
 
-  // Return the token UTXOs that are spendible. This currently only includes
-  // Type 1. Group, and NFT tokens are not yet supported. It ignores minting
-  // batons.
+  // Get the UTXOs for a single address from the network.
+  async getUtxosForAddress (addr) {
+    // const utxos = await this.bchjs.Utxo.get(addr)
+    const utxos = await this.ar.getUtxos(addr)
+    // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
+
+    // Handle network failures.
+    if (utxos.status > 399) {
+      throw new Error(utxos.message)
+    }
+
+    return utxos
+  }
+
+  // Call fn with every UTXO in a UTXO store.
+  forEachUtxo (utxoStore, fn) {
+    utxoStore.bchUtxos.forEach(fn)
+    utxoStore.nullUtxos.forEach(fn)
+
+    Object.keys(utxoStore.slpUtxos).forEach(tokenType => {
+      Object.keys(utxoStore.slpUtxos[tokenType]).forEach(utxoType => {
+        utxoStore.slpUtxos[tokenType][utxoType].forEach(fn)
+      })
+    })
+  }
+
+  // Add the hdPath property to every UTXO in a UTXO store.
+  tagUtxos (utxoStore, hdPath) {
+    this.forEachUtxo(utxoStore, utxo => { utxo.hdPath = hdPath })
+
+    return utxoStore
+  }
+
+  // Add the unconfirmedAncestors property to every UTXO in a UTXO store. This
+  // is the length of the chain of unconfirmed transactions that ends with the
+  // transaction that created the UTXO. It is 0 for a confirmed UTXO. The
+  // network does not report the depth of a chain in the mempool, so an
+  // unconfirmed UTXO from the network counts as 1. updateUtxoStore() tracks
+  // the depth of the chains created by this wallet.
+  setUnconfirmedAncestors (utxoStore) {
+    this.forEachUtxo(utxoStore, utxo => {
+      utxo.unconfirmedAncestors = utxo.height > 0 ? 0 : 1
+    })
+
+    return utxoStore
+  }
+
+  // Combine the UTXO stores of several addresses into a single UTXO store. The
+  // address of the first store is used as the address of the combined store.
+  mergeUtxoStores (stores) {
+    const merged = {
+      address: stores.length ? stores[0].address : '',
+      bchUtxos: [],
+      nullUtxos: [],
+      slpUtxos: {
+        type1: { tokens: [], mintBatons: [] },
+        nft: { tokens: [] },
+        group: { tokens: [], mintBatons: [] }
+      }
+    }
+
+    stores.forEach(store => {
+      merged.bchUtxos = merged.bchUtxos.concat(store.bchUtxos)
+      merged.nullUtxos = merged.nullUtxos.concat(store.nullUtxos)
+
+      Object.keys(store.slpUtxos).forEach(tokenType => {
+        if (!merged.slpUtxos[tokenType]) merged.slpUtxos[tokenType] = {}
+
+        Object.keys(store.slpUtxos[tokenType]).forEach(utxoType => {
+          const existing = merged.slpUtxos[tokenType][utxoType] || []
+          merged.slpUtxos[tokenType][utxoType] = existing.concat(
+            store.slpUtxos[tokenType][utxoType]
+          )
+        })
+      })
+    })
+
+    return merged
+  }
+
+  // Update the UTXO store with a transaction that the wallet has just
+  // broadcast, so that another transaction can be built before the store is
+  // refreshed from the network. The UTXOs spent by the transaction are
+  // removed. The outputs that pay one of the wallet's addresses are added as
+  // unconfirmed (height 0) UTXOs, including token outputs. Their
+  // unconfirmedAncestors is one more than the deepest UTXO spent.
+  // ownAddrs is an array of objects with a cashAddress and hdPath property.
+  // Returns false if the UTXO store has not been initialized.
+  updateUtxoStore (txHex, ownAddrs = []) {
+    try {
+      if (!this.utxoStore || !this.utxoStore.bchUtxos) return false
+
+      const tx = Transaction.fromHex(txHex)
+      const txid = tx.getId()
+
+      // Remove the spent UTXOs. Keep them, to copy their token information to
+      // the token outputs of the transaction.
+      const spent = tx.ins.map(input => ({
+        txid: Buffer.from(input.hash).reverse().toString('hex'),
+        vout: input.index
+      }))
+      const spentUtxos = this.removeUtxos(spent)
+
+      const tokenOutputs = this.getTokenOutputs(tx, txid, spentUtxos)
+
+      // Length of the chain of unconfirmed transactions ending with this one.
+      const unconfirmedAncestors =
+        1 + Math.max(0, ...spentUtxos.map(x => x.unconfirmedAncestors || 0))
+
+      tx.outs.forEach((output, vout) => {
+        // Skip the OP_RETURN and any other output without an address.
+        let addr
+        try {
+          addr = this.bchjs.Address.fromOutputScript(output.script)
+        } catch (err) {
+          return
+        }
+
+        const ownAddr = ownAddrs.find(x => x.cashAddress === addr)
+        if (!ownAddr) return
+
+        const utxo = {
+          height: 0,
+          tx_hash: txid,
+          tx_pos: vout,
+          txid,
+          vout,
+          value: output.value,
+          address: addr,
+          hdPath: ownAddr.hdPath,
+          unconfirmedAncestors
+        }
+
+        if (vout in tokenOutputs) {
+          // Never add a token output as a BCH UTXO, even if the token could
+          // not be described. Spending it would burn the tokens.
+          if (!tokenOutputs[vout]) return
+
+          this.addTokenUtxo(Object.assign({}, tokenOutputs[vout], utxo))
+        } else {
+          this.utxoStore.bchUtxos.push(utxo)
+        }
+      })
+
+      return true
+    } catch (err) {
+      console.error('Error in utxos.js/updateUtxoStore()')
+      throw err
+    }
+  }
+
+  // Remove UTXOs from the UTXO store. outpoints is an array of objects with a
+  // txid and vout property. Returns the UTXOs that were removed.
+  removeUtxos (outpoints) {
+    const isSpent = utxo =>
+      outpoints.some(x => x.txid === utxo.tx_hash && x.vout === utxo.tx_pos)
+
+    let removed = this.utxoStore.bchUtxos
+      .concat(this.utxoStore.nullUtxos)
+      .filter(isSpent)
+
+    this.utxoStore.bchUtxos = this.utxoStore.bchUtxos.filter(x => !isSpent(x))
+    this.utxoStore.nullUtxos = this.utxoStore.nullUtxos.filter(
+      x => !isSpent(x)
+    )
+    const slpUtxos = this.utxoStore.slpUtxos
+    Object.keys(slpUtxos).forEach(tokenType => {
+      Object.keys(slpUtxos[tokenType]).forEach(utxoType => {
+        const utxos = slpUtxos[tokenType][utxoType]
+
+        removed = removed.concat(utxos.filter(isSpent))
+        slpUtxos[tokenType][utxoType] = utxos.filter(x => !isSpent(x))
+      })
+    })
+
+    return removed
+  }
+
+  // Parse the SLP OP_RETURN of a transaction. Returns an object with a key for
+  // each output that carries tokens or a minting baton. The value is the token
+  // information for a new token UTXO, or null if the token information is not
+  // known. Returns an empty object if the transaction is not an SLP
+  // transaction.
+  getTokenOutputs (tx, txid, spentUtxos) {
+    let slpData
+    try {
+      slpData = this.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+    } catch (err) {
+      return {}
+    }
+
+    const { tokenType, transactionType, data } = slpData
+    const isGenesis = transactionType === 'GENESIS'
+    const tokenId = isGenesis ? txid : data.tokenId.toString('hex')
+
+    // Copy the token information from a spent UTXO of the same token, or from
+    // the OP_RETURN of a genesis transaction.
+    let tokenInfo = spentUtxos.find(x => x.tokenId === tokenId)
+    if (isGenesis) {
+      tokenInfo = {
+        ticker: data.ticker.toString(),
+        name: data.name.toString(),
+        documentUri: data.documentUri.toString(),
+        documentHash: data.documentHash.toString('hex'),
+        decimals: data.decimals
+      }
+    }
+
+    // Token amount of each output, in base units.
+    const amounts = {}
+    let batonVout = null
+    if (transactionType === 'SEND') {
+      data.amounts.forEach((amount, i) => {
+        if (amount.gt(0)) amounts[i + 1] = amount
+      })
+    } else {
+      // GENESIS or MINT
+      if (data.qty.gt(0)) amounts[1] = data.qty
+      batonVout = data.mintBatonVout || null
+    }
+
+    const outputs = {}
+    Object.keys(amounts).forEach(vout => {
+      outputs[vout] = tokenInfo
+        ? this.getTokenUtxoInfo(tokenInfo, tokenId, tokenType, amounts[vout])
+        : null
+    })
+    if (batonVout) {
+      outputs[batonVout] = tokenInfo
+        ? this.getTokenUtxoInfo(tokenInfo, tokenId, tokenType, null)
+        : null
+    }
+
+    return outputs
+  }
+
+  // Generate the token properties of a new token UTXO. amount is the token
+  // quantity in base units, as a BigNumber, or null for a minting baton.
+  getTokenUtxoInfo (tokenInfo, tokenId, tokenType, amount) {
+    const utxoInfo = Object.assign({}, tokenInfo, {
+      isSlp: true,
+      tokenId,
+      tokenType,
+      decimals: tokenInfo.decimals
+    })
+
+    if (amount) {
+      utxoInfo.type = 'token'
+      utxoInfo.qty = amount.toString()
+      utxoInfo.qtyStr = amount.shiftedBy(-1 * tokenInfo.decimals).toString()
+      utxoInfo.tokenQty = utxoInfo.qtyStr
+    } else {
+      utxoInfo.type = 'baton'
+      delete utxoInfo.qty
+      delete utxoInfo.qtyStr
+      delete utxoInfo.tokenQty
+    }
+
+    return utxoInfo
+  }
+
+  // Add a token UTXO to the UTXO store, in the list for its token type.
+  addTokenUtxo (utxo) {
+    const category = TOKEN_CATEGORIES[utxo.tokenType]
+    const utxoType = utxo.type === 'baton' ? 'mintBatons' : 'tokens'
+
+    const slpUtxos = this.utxoStore.slpUtxos
+    if (!slpUtxos[category]) slpUtxos[category] = {}
+    if (!slpUtxos[category][utxoType]) slpUtxos[category][utxoType] = []
+
+    slpUtxos[category][utxoType].push(utxo)
+  }
+
+  // Return the minting batons of the wallet, of Type 1 and Group tokens.
+  // Frozen UTXOs are left out.
+  getMintBatonUtxos () {
+    const slpUtxos = this.utxoStore.slpUtxos
+
+    return (slpUtxos.type1.mintBatons || [])
+      .concat(slpUtxos.group.mintBatons || [])
+      .filter(x => !this.isFrozen(x))
+  }
+
+  // Return the BCH UTXOs that can be spent by coin selection. Frozen UTXOs are
+  // left out.
+  getSpendableBchUtxos () {
+    return (this.utxoStore.bchUtxos || []).filter(x => !this.isFrozen(x))
+  }
+
+  // Freeze UTXOs, to keep them out of coin selection. outpoints is an array of
+  // objects with a txid and vout property, or of UTXOs. The UTXOs do not need
+  // to be in the UTXO store. Returns the frozen outpoints.
+  freeze (outpoints = []) {
+    try {
+      this.toOutpoints(outpoints).forEach(outpoint => {
+        if (!this.isFrozen(outpoint)) this.frozenUtxos.push(outpoint)
+      })
+
+      this.saveFrozenUtxos()
+
+      return this.getFrozenUtxos()
+    } catch (err) {
+      console.error('Error in utxos.js/freeze()')
+      throw err
+    }
+  }
+
+  // Unfreeze UTXOs, so that coin selection can spend them again. Takes the same
+  // input as freeze(). Returns the frozen outpoints.
+  unfreeze (outpoints = []) {
+    try {
+      const toUnfreeze = this.toOutpoints(outpoints)
+      this.frozenUtxos = this.frozenUtxos.filter(
+        x => !toUnfreeze.some(y => y.txid === x.txid && y.vout === x.vout)
+      )
+
+      this.saveFrozenUtxos()
+
+      return this.getFrozenUtxos()
+    } catch (err) {
+      console.error('Error in utxos.js/unfreeze()')
+      throw err
+    }
+  }
+
+  // Returns a copy of the list of frozen outpoints.
+  getFrozenUtxos () {
+    return this.frozenUtxos.map(x => Object.assign({}, x))
+  }
+
+  // Returns true if a UTXO, or an outpoint, is frozen.
+  isFrozen (utxo) {
+    const txid = utxo.tx_hash || utxo.txid
+    const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+
+    return this.frozenUtxos.some(x => x.txid === txid && x.vout === vout)
+  }
+
+  // Look up the UTXOs chosen with the inputs option of a send function.
+  // inputs is an array of objects with a txid and vout property, or of UTXOs.
+  // Returns the matching UTXOs of the UTXO store, in the same order. Frozen
+  // UTXOs can be chosen. Throws an error if an input is not a UTXO of the
+  // wallet, or if its SLP status is unknown.
+  getInputs (inputs) {
+    if (!Array.isArray(inputs) || !inputs.length) {
+      throw new Error('inputs must be a non-empty array of UTXOs')
+    }
+
+    if (!this.utxoStore.bchUtxos) {
+      throw new Error('The UTXO store has not been initialized')
+    }
+
+    const outpoints = this.toOutpoints(inputs)
+
+    return outpoints.map(({ txid, vout }, i) => {
+      const isInput = x => x.tx_hash === txid && x.tx_pos === vout
+      if (outpoints.slice(0, i).some(x => x.txid === txid && x.vout === vout)) {
+        throw new Error(`Input ${txid}:${vout} is listed more than once`)
+      }
+
+      let utxo
+      this.forEachUtxo(this.utxoStore, x => {
+        if (!utxo && isInput(x)) utxo = x
+      })
+      if (!utxo) {
+        throw new Error(`Input ${txid}:${vout} is not a UTXO of this wallet`)
+      }
+      if (this.utxoStore.nullUtxos.includes(utxo)) {
+        throw new Error(`The SLP status of input ${txid}:${vout} is unknown`)
+      }
+
+      return utxo
+    })
+  }
+
+  // Convert a UTXO, or an outpoint, to an outpoint: an object with a txid and
+  // vout property. Throws an error if it is not valid.
+  toOutpoint (utxo = {}) {
+    const txid = utxo.tx_hash || utxo.txid
+    const vout = utxo.tx_pos !== undefined ? utxo.tx_pos : utxo.vout
+
+    if (typeof txid !== 'string' || !Number.isInteger(vout) || vout < 0) {
+      throw new Error(
+        'An outpoint must be an object with a txid string and a vout integer'
+      )
+    }
+
+    return { txid, vout }
+  }
+
+  // Convert an array of UTXOs, or of outpoints, to outpoints.
+  toOutpoints (utxos) {
+    if (!Array.isArray(utxos)) utxos = [utxos]
+
+    return utxos.map(x => this.toOutpoint(x))
+  }
+
+  // Read the frozen outpoints from the storage. Returns an empty array if there
+  // is no storage, or if it holds no list.
+  loadFrozenUtxos () {
+    if (!this.storage) return []
+
+    const json = this.storage.getItem(FROZEN_STORAGE_KEY)
+    if (!json) return []
+
+    return this.toOutpoints(JSON.parse(json))
+  }
+
+  // Write the frozen outpoints to the storage, if there is one.
+  saveFrozenUtxos () {
+    if (!this.storage) return false
+
+    this.storage.setItem(FROZEN_STORAGE_KEY, JSON.stringify(this.frozenUtxos))
+
+    return true
+  }
+
+  // Return the token UTXOs that are spendible: the Type 1, NFT, and NFT group
+  // token UTXOs in the UTXO store. Minting batons and frozen UTXOs are left out.
   getSpendableTokenUtxos () {
     try {
       // console.log('this.utxoStore: ', this.utxoStore)
       // console.log(`this.utxoStore: ${JSON.stringify(this.utxoStore, null, 2)}`)
 
-      // This was used in bch-js v4 when SLPDB was used. This can hopefully be
-      // used again when psf-slp-indexer supports NFTs.
       const tokenUtxos = this.utxoStore.slpUtxos.type1.tokens.concat(
         this.utxoStore.slpUtxos.nft.tokens,
         this.utxoStore.slpUtxos.group.tokens
-      )
+      ).filter(x => !this.isFrozen(x))
 
       // const tokenUtxos = this.utxoStore.slpUtxos.type1.tokens
       // console.log(
@@ -5,13 +5,21 @@
 // npm libraries
 const assert = require('chai').assert
 const sinon = require('sinon')
+const cloneDeep = require('lodash.clonedeep')
 
 // Mocking data libraries.
 // const mockData = require('./mocks/util-mocks')
 const mockUtxos = require('./mocks/utxo-mocks')
+const sendMockData = require('./mocks/send-bch-mocks')
 
 // Unit under test
 const MinimalBCHWallet = require('../../index')
+const ChronikAdapter = require('../../lib/adapters/chronik')
+
+// Account-level (m/44'/1899'/0') xpub of the mnemonic:
+// 'minor bench until split suffer shine series bag avoid cruel orient aunt'
+const mockXPub =
+  'xpub6CorVn3nzxKk3reWCVAbp7PJXM3cWGcwHaTvEE7D9i9yhiGGEZtuM9NofgLFPG8GBNdBMnNGv8C8CjuguC9WGMacSRapVHtXBZcsotKNK92'
 
 describe('#index.js - Minimal BCH Wallet', () => {
   let sandbox, uut
@@ -253,6 +261,46 @@ describe('#index.js - Minimal BCH Wallet', () => {
 
       assert.equal(uut.ar.interface, 'consumer-api')
     })
+
+    it('should throw an error if the chronik interface is used without a restURL', () => {
+      try {
+        uut = new MinimalBCHWallet(undefined, { interface: 'chronik' })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'requires the URL of a Chronik server')
+      }
+    })
+
+    it('should pass the restURL to the chronik interface', () => {
+      uut = new MinimalBCHWallet(undefined, {
+        interface: 'chronik',
+        restURL: 'https://chronik.e.cash/'
+      })
+
+      assert.equal(uut.ar.interface, 'chronik')
+      assert.instanceOf(uut.ar.adapters.chronik, ChronikAdapter)
+    })
+
+    it('should pass the coin selection strategy to the send library', () => {
+      uut = new MinimalBCHWallet(undefined, { coinSelection: 'privacy' })
+
+      assert.equal(uut.sendBch.coinSelection.strategy, 'privacy')
+      assert.equal(uut.tokens.sendBch.coinSelection.strategy, 'privacy')
+    })
+
+    it('should pass the donation policy to the send library', () => {
+      uut = new MinimalBCHWallet(undefined, { donation: false })
+
+      assert.equal(uut.sendBch.donation.policy.type, 'disabled')
+      assert.equal(uut.opReturn.sendBch.donation.policy.type, 'disabled')
+    })
+
+    it('should pass the chain limit to the send library', () => {
+      uut = new MinimalBCHWallet(undefined, { chainLimit: 25 })
+
+      assert.equal(uut.sendBch.chainLimit, 25)
+    })
   })
 
   describe('#create', () => {
@@ -290,6 +338,76 @@ describe('#index.js - Minimal BCH Wallet', () => {
       assert.isString(uut.walletInfo.slpAddress)
       assert.isNotEmpty(uut.walletInfo.slpAddress)
     })
+
+    it('should create a watch-only wallet from a list of addresses', async () => {
+      const addrs = [
+        'ecash:qzm37w9223x86y0fekpueg3ek34h9elsay7s3lwq9v',
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+      ]
+
+      await uut.create(addrs)
+      // console.log('walletInfo: ', uut.walletInfo)
+
+      assert.equal(uut.walletInfo.watchOnly, true)
+      assert.equal(uut.walletInfo.mnemonic, null)
+      assert.equal(uut.walletInfo.privateKey, null)
+      assert.equal(
+        uut.walletInfo.cashAddress,
+        'bitcoincash:qzm37w9223x86y0fekpueg3ek34h9elsay8a9546rm'
+      )
+      assert.equal(uut.walletInfo.addresses.length, 2)
+      assert.equal(uut.walletInfo.addresses[1].cashAddress, addrs[1])
+      assert.include(uut.walletInfo.addresses[1].address, 'ecash:')
+    })
+
+    it('should throw an error for an empty list of addresses', async () => {
+      try {
+        await uut.create([])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Address list for a watch-only wallet is empty')
+      }
+    })
+
+    it('should create a watch-only wallet from an xpub', async () => {
+      await uut.create(mockXPub)
+      // console.log('walletInfo: ', uut.walletInfo)
+
+      assert.equal(uut.walletInfo.watchOnly, true)
+      assert.equal(uut.walletInfo.xpub, mockXPub)
+      assert.equal(uut.walletInfo.mnemonic, null)
+      assert.equal(uut.walletInfo.privateKey, null)
+      assert.isString(uut.walletInfo.publicKey)
+
+      // Same address as m/44'/1899'/0'/0/0 of the mnemonic the xpub came from.
+      assert.equal(
+        uut.walletInfo.cashAddress,
+        'bitcoincash:qzm37w9223x86y0fekpueg3ek34h9elsay8a9546rm'
+      )
+      assert.equal(uut.walletInfo.addresses[0].hdPath, 'm/0/0')
+    })
+  })
+
+  describe('#checkCanSign', () => {
+    it('should not throw for a wallet with keys', async () => {
+      await uut.walletInfoPromise
+
+      uut.checkCanSign()
+    })
+
+    it('should throw an error for a watch-only wallet', async () => {
+      try {
+        uut = new MinimalBCHWallet(mockXPub)
+        await uut.walletInfoPromise
+
+        uut.checkCanSign()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Watch-only wallet can not sign transactions.')
+      }
+    })
   })
 
   describe('#initialize', () => {
@@ -304,7 +422,248 @@ describe('#index.js - Minimal BCH Wallet', () => {
     })
   })
 
+  describe('#UTXO store updates', () => {
+    it('should give the transaction libraries the wallet UTXO store', () => {
+      assert.equal(uut.sendBch.utxos, uut.utxos)
+      assert.equal(uut.tokens.sendBch.utxos, uut.utxos)
+      assert.equal(uut.opReturn.sendBch.utxos, uut.utxos)
+    })
+
+    it('should allow back-to-back sends without refreshing the UTXO store', async () => {
+      uut.utxos.utxoStore = {
+        address: uut.walletInfo.cashAddress,
+        bchUtxos: [{
+          height: 700000,
+          tx_hash: '7fd05098bad5acb6c3ec15723227eeaf0437615a5665e5715cbc4a54a67dfe6b',
+          tx_pos: 0,
+          value: 100000
+        }],
+        nullUtxos: [],
+        slpUtxos: {
+          type1: { tokens: [], mintBatons: [] },
+          nft: { tokens: [] },
+          group: { tokens: [], mintBatons: [] }
+        }
+      }
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('txid')
+
+      const outputs = [{
+        address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        amountSat: 10000
+      }]
+      await uut.send(outputs)
+      await uut.send(outputs)
+
+      // The second transaction spends the change of the first one. Inputs
+      // reference the hash of the previous transaction in internal byte order.
+      const firstTxHash = uut.bchjs.Crypto.hash256(
+        Buffer.from(sendStub.getCall(0).args[0], 'hex')
+      ).toString('hex')
+      assert.include(sendStub.getCall(1).args[0], firstTxHash)
+      assert.equal(uut.utxos.utxoStore.bchUtxos.length, 1)
+      assert.equal(uut.utxos.utxoStore.bchUtxos[0].height, 0)
+    })
+  })
+
+  describe('#isMultiAddress', () => {
+    it('should return false by default', () => {
+      assert.equal(uut.isMultiAddress(), false)
+    })
+
+    it('should return true in multi-address mode with a mnemonic', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+
+      assert.equal(uut.isMultiAddress(), true)
+    })
+
+    it('should return false for a WIF wallet', async () => {
+      const wif = 'KyGrqLtG5PLf97Lu6RXDMGKg6YbcmRKCemgoiufFXPmvQWyvThvE'
+      uut = new MinimalBCHWallet(wif, { multiAddress: true })
+      await uut.walletInfoPromise
+
+      assert.equal(uut.isMultiAddress(), false)
+    })
+  })
+
+  describe('#getAddresses', () => {
+    it('should return the wallet address by default', () => {
+      const result = uut.getAddresses()
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].hdIndex, 0)
+      assert.equal(result[0].hdPath, uut.walletInfo.hdPath)
+      assert.equal(result[0].cashAddress, uut.walletInfo.cashAddress)
+      assert.equal(result[0].address, uut.walletInfo.address)
+    })
+
+    it('should return null hdIndex for a WIF wallet', async () => {
+      const wif = 'KyGrqLtG5PLf97Lu6RXDMGKg6YbcmRKCemgoiufFXPmvQWyvThvE'
+      uut = new MinimalBCHWallet(wif)
+      await uut.walletInfoPromise
+
+      const result = uut.getAddresses()
+
+      assert.equal(result[0].hdIndex, null)
+    })
+  })
+
+  describe('#scanAddresses', () => {
+    it('should save the used addresses to walletInfo', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+
+      // Address 0 and 3 are used.
+      const accountPath = "m/44'/1899'/0'"
+      const accountNode = await uut.hdWallet.getAccountNode(
+        uut.walletInfo.mnemonic,
+        accountPath
+      )
+      sandbox.stub(uut.hdWallet, 'scanChain').resolves({
+        used: [
+          uut.hdWallet.deriveAddress(accountNode, accountPath, 0, 0),
+          uut.hdWallet.deriveAddress(accountNode, accountPath, 0, 3)
+        ],
+        nextIndex: 4
+      })
+
+      const result = await uut.scanAddresses()
+      // console.log('result: ', result)
+
+      assert.equal(result.length, 2)
+      assert.equal(result[0].cashAddress, uut.walletInfo.cashAddress)
+      assert.equal(result[1].hdPath, "m/44'/1899'/0'/0/3")
+      assert.equal(uut.walletInfo.addresses, result)
+    })
+
+    it('should throw an error if wallet does not have a mnemonic', async () => {
+      try {
+        uut.walletInfo.mnemonic = null
+
+        await uut.scanAddresses()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Wallet does not have a mnemonic')
+      }
+    })
+  })
+
+  describe('#scanAddresses in watch-only mode', () => {
+    it('should scan the receive and change chains of an xpub', async () => {
+      uut = new MinimalBCHWallet(mockXPub)
+      await uut.walletInfoPromise
+
+      const accountNode = uut.bchjs.HDNode.fromXPub(mockXPub)
+      const scanStub = sandbox.stub(uut.hdWallet, 'scanChain')
+      scanStub.onCall(0).resolves({
+        used: [uut.hdWallet.deriveAddress(accountNode, 'm', 0, 0)],
+        nextIndex: 1
+      })
+      scanStub.onCall(1).resolves({
+        used: [uut.hdWallet.deriveAddress(accountNode, 'm', 1, 0)],
+        nextIndex: 1
+      })
+
+      const result = await uut.scanAddresses()
+
+      assert.equal(scanStub.callCount, 2)
+      assert.equal(result.length, 2)
+      assert.equal(result[0].hdPath, 'm/0/0')
+      assert.equal(result[1].hdPath, 'm/1/0')
+      assert.notProperty(uut.walletInfo, 'changeAddress')
+    })
+
+    it('should return the address list without scanning', async () => {
+      const addrs = ['ecash:qzm37w9223x86y0fekpueg3ek34h9elsay7s3lwq9v']
+      uut = new MinimalBCHWallet(addrs)
+      await uut.walletInfoPromise
+
+      const scanStub = sandbox.stub(uut.hdWallet, 'scanChain')
+
+      const result = await uut.scanAddresses()
+
+      assert.equal(scanStub.called, false)
+      assert.equal(result.length, 1)
+    })
+  })
+
+  describe('#initialize in multi-address mode', () => {
+    it('should combine the UTXOs of all scanned addresses', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+
+      const addrs = [{ address: 'addr1', hdPath: 'path1' }]
+
+      // Mock dependencies
+      sandbox.stub(uut, 'scanAddresses').callsFake(async () => {
+        uut.walletInfo.addresses = addrs
+        return addrs
+      })
+      const initStub = sandbox.stub(uut.utxos, 'initUtxoStore').resolves()
+
+      const result = await uut.initialize()
+
+      assert.equal(result, true)
+      assert.equal(initStub.getCall(0).args[0], addrs)
+    })
+  })
+
+  describe('#registerAdapter', () => {
+    afterEach(() => MinimalBCHWallet.unregisterAdapter('test-wallet-api'))
+
+    it('should get the balance from a registered adapter', async () => {
+      const adapter = {
+        getBalance: sinon.stub().resolves({
+          success: true,
+          balance: { confirmed: 2000, unconfirmed: 100 }
+        })
+      }
+      const methods = [
+        'getUtxos',
+        'getTransactions',
+        'getTxData',
+        'sendTx',
+        'getUsd',
+        'utxoIsValid',
+        'getTokenData',
+        'getTokenData2'
+      ]
+      methods.forEach(x => { adapter[x] = sinon.stub().resolves() })
+
+      MinimalBCHWallet.registerAdapter('test-wallet-api', adapter)
+      uut = new MinimalBCHWallet(undefined, { interface: 'test-wallet-api' })
+      await uut.walletInfoPromise
+
+      const balance = await uut.getBalance()
+
+      assert.equal(balance, 2100)
+      assert.ok(adapter.getBalance.calledWith(uut.walletInfo.cashAddress))
+    })
+  })
+
   describe('#getBalance', () => {
+    it('should add up the balance of all addresses in multi-address mode', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+      uut.walletInfo.addresses = [
+        { cashAddress: 'addr1' },
+        { cashAddress: 'addr2' }
+      ]
+
+      sandbox.stub(uut.ar, 'getBalance').resolves({
+        success: true,
+        balance: {
+          confirmed: 1000,
+          unconfirmed: 500
+        }
+      })
+
+      const balance = await uut.getBalance()
+
+      assert.equal(balance, 3000)
+    })
+
     it('should return balance of given address', async () => {
       // Mock live network call.
       sandbox.stub(uut.bchjs.Electrumx, 'balance').resolves({
@@ -341,6 +700,39 @@ describe('#index.js - Minimal BCH Wallet', () => {
   })
 
   describe('#getTransactions', () => {
+    it('should combine the history of all addresses in multi-address mode', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+      uut.walletInfo.addresses = [
+        { cashAddress: 'addr1' },
+        { cashAddress: 'addr2' }
+      ]
+
+      const getTxStub = sandbox.stub(uut.ar, 'getTransactions')
+      getTxStub.onCall(0).resolves({
+        success: true,
+        transactions: [
+          { height: 100, tx_hash: 'a' },
+          { height: 90, tx_hash: 'b' }
+        ]
+      })
+      getTxStub.onCall(1).resolves({
+        success: true,
+        transactions: [
+          { height: 0, tx_hash: 'c' },
+          { height: 90, tx_hash: 'b' }
+        ]
+      })
+
+      const transactions = await uut.getTransactions()
+      // console.log(`transactions: ${JSON.stringify(transactions, null, 2)}`)
+
+      assert.equal(transactions.length, 3)
+      assert.equal(transactions[0].tx_hash, 'c')
+      assert.equal(transactions[1].tx_hash, 'a')
+      assert.equal(transactions[2].tx_hash, 'b')
+    })
+
     it('should get transactions address is specified', async () => {
       sandbox.stub(uut.ar, 'getTransactions').resolves({
         success: true,
@@ -383,103 +775,538 @@ describe('#index.js - Minimal BCH Wallet', () => {
     })
   })
 
-  describe('#send', () => {
-    it('should broadcast a transaction and return a txid', async () => {
+  describe('#setChangeAddress', () => {
+    it('should assign an address on the change chain', async () => {
       await uut.walletInfoPromise
 
-      const txid =
-        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
-
-      // Mock live network calls.
-      sandbox.stub(uut.sendBch, 'sendBch').resolves(txid)
-
-      const output = await uut.send()
+      const result = await uut.setChangeAddress(2)
+      // console.log('result: ', result)
 
-      assert.equal(output, txid)
+      assert.equal(result.hdPath, "m/44'/1899'/0'/1/2")
+      assert.equal(uut.walletInfo.changeAddress, result.cashAddress)
+      assert.equal(uut.walletInfo.changeHdPath, "m/44'/1899'/0'/1/2")
+      assert.equal(uut.walletInfo.changeIndex, 2)
+      assert.notEqual(result.cashAddress, uut.walletInfo.cashAddress)
     })
 
-    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+    it('should throw an error if wallet does not have a mnemonic', async () => {
       try {
         await uut.walletInfoPromise
+        uut.walletInfo.mnemonic = null
 
-        // Mock live network calls.
-        sandbox.stub(uut.sendBch, 'sendBch').throws(new Error('error message'))
-
-        await uut.send()
+        await uut.setChangeAddress(0)
 
-        assert.equal(true, false, 'unexpected result')
+        assert.fail('Unexpected code path')
       } catch (err) {
-        // console.log('err: ', err)
-        assert.include(err.message, 'error message')
+        assert.include(err.message, 'Wallet does not have a mnemonic')
       }
     })
+
+    it('should assign the first change address when the wallet is created', async () => {
+      uut = new MinimalBCHWallet(undefined, { changeAddresses: true })
+      await uut.walletInfoPromise
+
+      assert.equal(uut.walletInfo.changeIndex, 0)
+      assert.equal(uut.walletInfo.changeHdPath, "m/44'/1899'/0'/1/0")
+    })
   })
 
-  describe('#sendAll', () => {
-    it('should broadcast a transaction and return a txid', async () => {
+  describe('#advanceChangeAddress', () => {
+    it('should do nothing if change-address mode is not enabled', async () => {
       await uut.walletInfoPromise
 
-      const txid =
-        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+      const result = await uut.advanceChangeAddress()
 
-      // Mock live network calls.
-      sandbox.stub(uut.sendBch, 'sendAllBch').resolves(txid)
+      assert.equal(result, false)
+      assert.notProperty(uut.walletInfo, 'changeAddress')
+    })
 
-      const output = await uut.sendAll()
+    it('should mark the change address as used and assign the next one', async () => {
+      uut = new MinimalBCHWallet(undefined, { changeAddresses: true })
+      await uut.walletInfoPromise
+      const firstChangeAddr = uut.walletInfo.changeAddress
 
-      assert.equal(output, txid)
+      const result = await uut.advanceChangeAddress()
+
+      assert.equal(result, true)
+      assert.equal(uut.walletInfo.changeIndex, 1)
+      assert.notEqual(uut.walletInfo.changeAddress, firstChangeAddr)
+
+      const addresses = uut.getAddresses()
+      assert.equal(addresses.length, 2)
+      assert.equal(addresses[0].cashAddress, uut.walletInfo.cashAddress)
+      assert.equal(addresses[1].cashAddress, firstChangeAddr)
+      assert.equal(addresses[1].chain, 1)
     })
+  })
 
-    it('should throw an error if there is an issue with broadcasting a tx', async () => {
-      try {
-        await uut.walletInfoPromise
+  describe('#scanAddresses in change-address mode', () => {
+    it('should include used change addresses and assign the next one', async () => {
+      uut = new MinimalBCHWallet(undefined, { changeAddresses: true })
+      await uut.walletInfoPromise
 
-        // Mock live network calls.
-        sandbox
-          .stub(uut.sendBch, 'sendAllBch')
-          .throws(new Error('error message'))
+      const accountPath = "m/44'/1899'/0'"
+      const accountNode = await uut.hdWallet.getAccountNode(
+        uut.walletInfo.mnemonic,
+        accountPath
+      )
+      const scanStub = sandbox.stub(uut.hdWallet, 'scanChain')
+      scanStub.onCall(0).resolves({ used: [], nextIndex: 0 })
+      scanStub.onCall(1).resolves({
+        used: [uut.hdWallet.deriveAddress(accountNode, accountPath, 1, 0)],
+        nextIndex: 1
+      })
 
-        await uut.sendAll()
+      const result = await uut.scanAddresses()
 
-        assert.equal(true, false, 'unexpected result')
-      } catch (err) {
-        // console.log('err: ', err)
-        assert.include(err.message, 'error message')
-      }
+      assert.equal(scanStub.getCall(1).args[2], 1)
+      assert.equal(result.length, 2)
+      assert.equal(result[1].hdPath, "m/44'/1899'/0'/1/0")
+      assert.equal(uut.walletInfo.changeHdPath, "m/44'/1899'/0'/1/1")
     })
   })
 
-  describe('#sendTokens', () => {
+  describe('#send', () => {
+    it('should pass the change address and advance it after broadcast', async () => {
+      uut = new MinimalBCHWallet(undefined, { changeAddresses: true })
+      await uut.walletInfoPromise
+      const firstChangeAddr = uut.walletInfo.changeAddress
+
+      // Mock live network calls.
+      const sendStub = sandbox.stub(uut.sendBch, 'sendBch').resolves('txid')
+
+      await uut.send()
+
+      assert.equal(sendStub.getCall(0).args[1].changeAddress, firstChangeAddr)
+      assert.equal(uut.walletInfo.changeIndex, 1)
+    })
+
     it('should broadcast a transaction and return a txid', async () => {
+      await uut.walletInfoPromise
+
       const txid =
         '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
 
       // Mock live network calls.
-      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
-      sandbox.stub(uut.tokens, 'sendTokens').resolves(txid)
+      sandbox.stub(uut.sendBch, 'sendBch').resolves(txid)
 
-      const output = await uut.sendTokens()
+      const output = await uut.send()
 
       assert.equal(output, txid)
     })
 
-    it('should throw an error if there is an issue with broadcasting a tx', async () => {
-      try {
-        // Mock live network calls.
-        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+    it('should leave frozen UTXOs out of coin selection', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = cloneDeep(mockUtxos.tokenUtxos01)
+      const bchUtxo = uut.utxos.utxoStore.bchUtxos[0]
+      uut.utxos.freeze([bchUtxo])
 
-        // Force an error
-        sandbox
-          .stub(uut.tokens, 'sendTokens')
-          .throws(new Error('error message'))
+      const sendStub = sandbox.stub(uut.sendBch, 'sendBch').resolves('txid')
 
-        await uut.sendTokens()
+      await uut.send()
 
-        assert.equal(true, false, 'unexpected result')
-      } catch (err) {
-        // console.log('err: ', err)
-        assert.include(err.message, 'error message')
-      }
+      assert.deepEqual(sendStub.getCall(0).args[2], [])
+    })
+
+    it('should spend the UTXOs passed as inputs, even if they are frozen', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = cloneDeep(mockUtxos.tokenUtxos01)
+      const bchUtxo = uut.utxos.utxoStore.bchUtxos[0]
+      uut.utxos.freeze([bchUtxo])
+
+      const sendStub = sandbox.stub(uut.sendBch, 'sendBch').resolves('txid')
+
+      await uut.send([], {
+        inputs: [{ txid: bchUtxo.tx_hash, vout: bchUtxo.tx_pos }]
+      })
+
+      assert.deepEqual(sendStub.getCall(0).args[2], [bchUtxo])
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        await uut.walletInfoPromise
+
+        // Mock live network calls.
+        sandbox.stub(uut.sendBch, 'sendBch').throws(new Error('error message'))
+
+        await uut.send()
+
+        assert.equal(true, false, 'unexpected result')
+      } catch (err) {
+        // console.log('err: ', err)
+        assert.include(err.message, 'error message')
+      }
+    })
+  })
+
+  describe('#signing methods of a watch-only wallet', () => {
+    it('should refuse to sign a transaction', async () => {
+      uut = new MinimalBCHWallet(mockXPub)
+      await uut.walletInfoPromise
+
+      const sendStub = sandbox.stub(uut.sendBch, 'sendBch').resolves('txid')
+      const tokenStub = sandbox.stub(uut.tokens, 'sendTokens').resolves('txid')
+
+      const methods = [
+        () => uut.send([]),
+        () => uut.sendTokens({}),
+        () => uut.sendAll('addr'),
+        () => uut.burnTokens(1, 'tokenId'),
+        () => uut.burnAll('tokenId'),
+        () => uut.sendOpReturn('msg')
+      ]
+
+      for (let i = 0; i < methods.length; i++) {
+        try {
+          await methods[i]()
+
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, 'Watch-only wallet can not sign transactions.')
+        }
+      }
+
+      assert.equal(sendStub.called, false)
+      assert.equal(tokenStub.called, false)
+    })
+  })
+
+  describe('#getMaxSendable', () => {
+    it('should calculate the maximum for the receivers', async () => {
+      uut.utxos.utxoStore = { bchUtxos: sendMockData.exampleUtxos01.utxos }
+      const spy = sandbox.spy(uut.sendBch, 'getMaxSendable')
+
+      const result = await uut.getMaxSendable({
+        outputs: [
+          'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq' }
+        ],
+        satsPerByte: 2
+      })
+
+      assert.isAbove(result, 0)
+      assert.equal(spy.getCall(0).args[0].length, 2)
+      assert.equal(spy.getCall(0).args[2], 2)
+    })
+
+    it('should default to a single receiver', async () => {
+      uut.utxos.utxoStore = { bchUtxos: sendMockData.exampleUtxos01.utxos }
+      const spy = sandbox.spy(uut.sendBch, 'getMaxSendable')
+
+      await uut.getMaxSendable()
+
+      assert.equal(spy.getCall(0).args[0].length, 1)
+      assert.equal(spy.getCall(0).args[2], uut.fee)
+    })
+
+    it('should include an OP_RETURN output', async () => {
+      uut.utxos.utxoStore = { bchUtxos: sendMockData.exampleUtxos01.utxos }
+
+      const max = await uut.getMaxSendable({ satsPerByte: 2 })
+      const result = await uut.getMaxSendable({
+        includeOpReturn: { msg: 'hello', prefix: '6d02' },
+        satsPerByte: 2
+      })
+
+      // OP_RETURN output: value (8), script length (1), OP_RETURN (1), and
+      // the pushes of the prefix (1 + 2) and the message (1 + 5).
+      assert.equal(max - result, 19 * 2)
+    })
+
+    it('should calculate the amount that sendOpReturn() can send', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = {
+        bchUtxos: sendMockData.exampleUtxos01.utxos,
+        nullUtxos: [],
+        slpUtxos: {}
+      }
+      const address = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+
+      const max = await uut.getMaxSendable({
+        outputs: [address],
+        includeOpReturn: { msg: 'hello', prefix: '6d02' }
+      })
+
+      // sendOpReturn() defaults to 1 sat per byte.
+      const result = await uut.sendOpReturn(
+        'hello',
+        '6d02',
+        [{ address, amountSat: max }],
+        undefined,
+        { dryRun: true }
+      )
+      assert.equal(result.dryRun, true)
+
+      try {
+        await uut.sendOpReturn(
+          'hello',
+          '6d02',
+          [{ address, amountSat: max + 1 }],
+          undefined,
+          { dryRun: true }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Insufficient balance')
+      }
+    })
+  })
+
+  describe('#dryRun', () => {
+    it('should return a preview of a TX without broadcasting it', async () => {
+      // A watch-only wallet can preview transactions.
+      uut = new MinimalBCHWallet(mockXPub)
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = {
+        bchUtxos: sendMockData.exampleUtxos01.utxos
+      }
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      const advanceStub = sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const outputs = [{
+        address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        amountSat: 1000
+      }]
+      const result = await uut.send(outputs, { dryRun: true })
+
+      assert.equal(result.dryRun, true)
+      assert.isString(result.hex)
+      assert.equal(result.outputs[0].address, outputs[0].address)
+      assert.equal(result.outputs[0].value, 1000)
+      assert.isAbove(result.fee, 0)
+      assert.property(result, 'donation')
+      assert.equal(sendStub.called, false)
+      assert.equal(advanceStub.called, false)
+    })
+
+    it('should not preview a batch of TXs', async () => {
+      try {
+        await uut.sendTokensBatch([], 1.0, { dryRun: true })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'can not create unsigned TXs or previews')
+      }
+    })
+  })
+
+  describe('#offline signing', () => {
+    it('should export, sign offline, and broadcast a transaction', async () => {
+      const mnemonic =
+        'minor bench until split suffer shine series bag avoid cruel orient aunt'
+
+      // Online watch-only wallet exports an unsigned transaction.
+      const onlineWallet = new MinimalBCHWallet(mockXPub)
+      await onlineWallet.walletInfoPromise
+      onlineWallet.utxos.utxoStore = {
+        bchUtxos: sendMockData.exampleUtxos01.utxos
+      }
+
+      const outputs = [{
+        address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        amountSat: 1000
+      }]
+      const unsignedTx = await onlineWallet.send(outputs, { unsigned: true })
+      assert.equal(unsignedTx.unsigned, true)
+
+      // Offline wallet signs it.
+      const offlineWallet = new MinimalBCHWallet(mnemonic)
+      const signedTx = await offlineWallet.signTransaction(
+        JSON.parse(JSON.stringify(unsignedTx))
+      )
+      assert.isString(signedTx.txid)
+
+      // Online wallet verifies and broadcasts it.
+      const sendStub = sandbox.stub(onlineWallet.ar, 'sendTx').resolves(signedTx.txid)
+      const txid = await onlineWallet.broadcastSignedTx(signedTx, unsignedTx)
+
+      assert.equal(txid, signedTx.txid)
+      assert.equal(sendStub.getCall(0).args[0], signedTx.hex)
+    })
+
+    it('should refuse to sign with a watch-only wallet', async () => {
+      try {
+        uut = new MinimalBCHWallet(mockXPub)
+
+        await uut.signTransaction({ hex: 'fake-hex', inputs: [] })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Watch-only wallet can not sign transactions.')
+      }
+    })
+
+    it('should catch and throw broadcast errors', async () => {
+      try {
+        sandbox
+          .stub(uut.sendBch, 'broadcastSignedTx')
+          .rejects(new Error('test error'))
+
+        await uut.broadcastSignedTx('fake-hex', {})
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#sendAll', () => {
+    it('should broadcast a transaction and return a txid', async () => {
+      await uut.walletInfoPromise
+
+      const txid =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      // Mock live network calls.
+      sandbox.stub(uut.sendBch, 'sendAllBch').resolves(txid)
+
+      const output = await uut.sendAll()
+
+      assert.equal(output, txid)
+    })
+
+    it('should only spend the UTXOs passed as inputs', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = {
+        bchUtxos: sendMockData.exampleUtxos01.utxos,
+        nullUtxos: [],
+        slpUtxos: {}
+      }
+      const inputs = sendMockData.exampleUtxos01.utxos.slice(0, 2)
+
+      // Mock live network calls.
+      const sendStub = sandbox.stub(uut.sendBch, 'sendAllBch').resolves('fake-txid')
+
+      await uut.sendAll(uut.walletInfo.cashAddress, { inputs })
+
+      assert.deepEqual(sendStub.getCall(0).args[2], inputs)
+    })
+
+    it('should not send frozen UTXOs', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = { bchUtxos: sendMockData.exampleUtxos01.utxos }
+      uut.utxos.freeze(sendMockData.exampleUtxos01.utxos.slice(2))
+
+      const sendStub = sandbox.stub(uut.sendBch, 'sendAllBch').resolves('fake-txid')
+
+      await uut.sendAll(uut.walletInfo.cashAddress)
+
+      assert.deepEqual(
+        sendStub.getCall(0).args[2],
+        sendMockData.exampleUtxos01.utxos.slice(0, 2)
+      )
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        await uut.walletInfoPromise
+
+        // Mock live network calls.
+        sandbox
+          .stub(uut.sendBch, 'sendAllBch')
+          .throws(new Error('error message'))
+
+        await uut.sendAll()
+
+        assert.equal(true, false, 'unexpected result')
+      } catch (err) {
+        // console.log('err: ', err)
+        assert.include(err.message, 'error message')
+      }
+    })
+
+    it('should return a rejected promise for an unknown input', async () => {
+      await uut.walletInfoPromise
+      uut.utxos.utxoStore = {
+        bchUtxos: sendMockData.exampleUtxos01.utxos,
+        nullUtxos: [],
+        slpUtxos: {}
+      }
+
+      const result = uut.sendAll(uut.walletInfo.cashAddress, {
+        inputs: [{ txid: 'unknown-txid', vout: 0 }]
+      })
+      assert.instanceOf(result, Promise)
+
+      try {
+        await result
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'is not a UTXO of this wallet')
+      }
+    })
+  })
+
+  describe('#sendTokens', () => {
+    it('should split the inputs into token and BCH UTXOs', async () => {
+      uut.utxos.utxoStore = cloneDeep(mockUtxos.tokenUtxos01)
+      const bchUtxo = uut.utxos.utxoStore.bchUtxos[0]
+      const tokenUtxo = uut.utxos.utxoStore.slpUtxos.type1.tokens[1]
+      const sendStub = sandbox.stub(uut.tokens, 'sendTokens').resolves('txid')
+
+      const output = {
+        address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+        tokenId: tokenUtxo.tokenId,
+        qty: 1
+      }
+      await uut.sendTokens(output, 1, { inputs: [tokenUtxo, bchUtxo] })
+
+      assert.deepEqual(sendStub.getCall(0).args[2], [bchUtxo])
+      assert.deepEqual(sendStub.getCall(0).args[3], [tokenUtxo])
+    })
+
+    it('should refuse inputs that hold another token', async () => {
+      try {
+        uut.utxos.utxoStore = cloneDeep(mockUtxos.tokenUtxos01)
+        const tokens = uut.utxos.utxoStore.slpUtxos.type1.tokens
+
+        const output = {
+          address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+          tokenId: tokens[1].tokenId,
+          qty: 1
+        }
+        await uut.sendTokens(output, 1, { inputs: [tokens[0], tokens[1]] })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'does not hold tokens of')
+      }
+    })
+
+    it('should broadcast a transaction and return a txid', async () => {
+      const txid =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      // Mock live network calls.
+      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      sandbox.stub(uut.tokens, 'sendTokens').resolves(txid)
+
+      const output = await uut.sendTokens()
+
+      assert.equal(output, txid)
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        // Mock live network calls.
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+
+        // Force an error
+        sandbox
+          .stub(uut.tokens, 'sendTokens')
+          .throws(new Error('error message'))
+
+        await uut.sendTokens()
+
+        assert.equal(true, false, 'unexpected result')
+      } catch (err) {
+        // console.log('err: ', err)
+        assert.include(err.message, 'error message')
+      }
     })
 
     it('should broadcast a transaction and return a txid', async () => {
@@ -504,6 +1331,18 @@ describe('#index.js - Minimal BCH Wallet', () => {
   })
 
   describe('#getUtxos', () => {
+    it('should get UTXOs for all addresses in multi-address mode', async () => {
+      uut = new MinimalBCHWallet(undefined, { multiAddress: true })
+      await uut.walletInfoPromise
+      uut.walletInfo.addresses = [{ address: 'addr1', hdPath: 'path1' }]
+
+      const initStub = sandbox.stub(uut.utxos, 'initUtxoStore').resolves({})
+
+      await uut.getUtxos()
+
+      assert.equal(initStub.getCall(0).args[0], uut.walletInfo.addresses)
+    })
+
     it('should wrap the initUtxoStore function', async () => {
       await uut.walletInfoPromise
 
@@ -542,6 +1381,288 @@ describe('#index.js - Minimal BCH Wallet', () => {
 
       assert.deepEqual(obj, {})
     })
+
+    it('should combine the tokens of all addresses of a watch-only wallet', async () => {
+      uut = new MinimalBCHWallet(mockXPub)
+      await uut.walletInfoPromise
+
+      const initStub = sandbox.stub(uut.utxos, 'initUtxoStore').callsFake(async () => {
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      })
+
+      const listSpy = sandbox.spy(uut.tokens, 'listTokensFromUtxos')
+
+      const result = await uut.listTokens()
+      // console.log('result: ', result)
+
+      assert.equal(initStub.getCall(0).args[0], uut.walletInfo.addresses)
+      assert.equal(listSpy.calledOnce, true)
+      assert.isArray(result)
+    })
+  })
+
+  describe('#sendTokensBatch', () => {
+    const outputs = [
+      { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq', tokenId: 'a', qty: 1 },
+      { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq', tokenId: 'b', qty: 2 },
+      { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq', tokenId: 'a', qty: 3 }
+    ]
+
+    it('should send a TX for each token and return the txids', async () => {
+      const sendStub = sandbox.stub(uut, 'sendTokens')
+      sendStub.onCall(0).resolves('txid1')
+      sendStub.onCall(1).resolves('txid2')
+
+      const result = await uut.sendTokensBatch(outputs, 1.0)
+
+      assert.deepEqual(result, ['txid1', 'txid2'])
+      assert.deepEqual(sendStub.getCall(0).args[0], [outputs[0], outputs[2]])
+      assert.deepEqual(sendStub.getCall(1).args[0], [outputs[1]])
+    })
+
+    it('should return the txids that were broadcast if a TX fails', async () => {
+      try {
+        const sendStub = sandbox.stub(uut, 'sendTokens')
+        sendStub.onCall(0).resolves('txid1')
+        sendStub.onCall(1).rejects(new Error('test error'))
+
+        await uut.sendTokensBatch(outputs)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+        assert.deepEqual(err.txids, ['txid1'])
+      }
+    })
+
+    it('should throw an error for unsigned TXs', async () => {
+      try {
+        await uut.sendTokensBatch(outputs, 1.0, { unsigned: true })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'can not create unsigned TXs')
+      }
+    })
+  })
+
+  describe('#createToken', () => {
+    it('should create a token and return the token ID', async () => {
+      const tokenId =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      sandbox.stub(uut.tokens, 'createToken').resolves(tokenId)
+      sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const result = await uut.createToken({ name: 'test', ticker: 'TST' })
+
+      assert.equal(result, tokenId)
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+        sandbox.stub(uut.tokens, 'createToken').rejects(new Error('error message'))
+
+        await uut.createToken({ name: 'test', ticker: 'TST' })
+
+        assert.fail('unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'error message')
+      }
+    })
+  })
+
+  describe('#createNftGroup', () => {
+    it('should create a token of type 129', async () => {
+      const createStub = sandbox.stub(uut, 'createToken').resolves('groupId')
+
+      const result = await uut.createNftGroup({ name: 'test', ticker: 'TST' })
+
+      assert.equal(result, 'groupId')
+      assert.equal(createStub.getCall(0).args[0].tokenType, 129)
+    })
+  })
+
+  describe('#splitNftGroup', () => {
+    const groupId =
+      '8cd26481aaed66198e22e05450839fda763daadbb9938b0c71521ef43c642299'
+
+    it('should send single units of the group back to the wallet', async () => {
+      uut.utxos.utxoStore = cloneDeep(mockUtxos.mockNFTGroupUtxos)
+      const batchStub = sandbox.stub(uut, 'sendTokensBatch').resolves(['txid'])
+
+      const result = await uut.splitNftGroup(groupId, 3)
+
+      assert.deepEqual(result, ['txid'])
+      const outputs = batchStub.getCall(0).args[0]
+      assert.equal(outputs.length, 3)
+      assert.equal(outputs[0].address, uut.walletInfo.cashAddress)
+    })
+
+    it('should not spend group UTXOs that already hold a single unit', async () => {
+      try {
+        uut.utxos.utxoStore = cloneDeep(mockUtxos.mockNFTGroupUtxos)
+        const batchStub = sandbox.stub(uut, 'sendTokensBatch').resolves(['txid'])
+
+        await uut.splitNftGroup(groupId, 3)
+        const { tokenUtxosFilter } = batchStub.getCall(0).args[2]
+        const groupUtxos = uut.utxos
+          .getSpendableTokenUtxos()
+          .filter(x => x.tokenId === groupId)
+        tokenUtxosFilter(groupUtxos)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'left to split')
+      }
+    })
+
+    it('should throw an error if the wallet does not hold the group', async () => {
+      try {
+        uut.utxos.utxoStore = cloneDeep(mockUtxos.tokenUtxos01)
+
+        await uut.splitNftGroup(groupId, 3)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'not found')
+      }
+    })
+  })
+
+  describe('#mintNfts', () => {
+    it('should mint an NFT for each object and return the token IDs', async () => {
+      uut.utxos.utxoStore = cloneDeep(mockUtxos.mockNFTGroupUtxos)
+      const childStub = sandbox.stub(uut.tokens, 'createNftChild')
+      childStub.onCall(0).resolves('nft1')
+      childStub.onCall(1).resolves('nft2')
+      sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const result = await uut.mintNfts('groupId', [
+        { ticker: 'NFT1', name: 'One', documentUri: 'ipfs://one' },
+        { ticker: 'NFT2', name: 'Two', documentUri: 'ipfs://two' }
+      ])
+
+      assert.deepEqual(result, ['nft1', 'nft2'])
+      assert.equal(childStub.getCall(1).args[1].documentUri, 'ipfs://two')
+    })
+
+    it('should return the token IDs that were minted if a TX fails', async () => {
+      try {
+        uut.utxos.utxoStore = cloneDeep(mockUtxos.mockNFTGroupUtxos)
+        const childStub = sandbox.stub(uut.tokens, 'createNftChild')
+        childStub.onCall(0).resolves('nft1')
+        childStub.onCall(1).rejects(new Error('test error'))
+        sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+        await uut.mintNfts('groupId', [{}, {}])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+        assert.deepEqual(err.tokenIds, ['nft1'])
+      }
+    })
+
+    it('should throw an error for unsigned TXs', async () => {
+      try {
+        await uut.mintNfts('groupId', [{}], 1, { unsigned: true })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'can not create unsigned TXs')
+      }
+    })
+  })
+
+  describe('#mintTokens', () => {
+    it('should mint tokens with the batons of the wallet', async () => {
+      const txid =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      const mintStub = sandbox.stub(uut.tokens, 'mintTokens').resolves(txid)
+      sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const result = await uut.mintTokens('abc', 10, { satsPerByte: 2 })
+
+      assert.equal(result, txid)
+      assert.deepEqual(mintStub.getCall(0).args[4], [])
+      assert.equal(mintStub.getCall(0).args[5], 2)
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+        sandbox.stub(uut.tokens, 'mintTokens').rejects(new Error('error message'))
+
+        await uut.mintTokens('abc', 10)
+
+        assert.fail('unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'error message')
+      }
+    })
+  })
+
+  describe('#sendMintBaton', () => {
+    it('should send a baton of the wallet', async () => {
+      const txid =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      const sendStub = sandbox.stub(uut.tokens, 'sendMintBaton').resolves(txid)
+      sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const result = await uut.sendMintBaton('abc', 'ecash:qp...')
+
+      assert.equal(result, txid)
+      assert.equal(sendStub.getCall(0).args[1], 'ecash:qp...')
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+        sandbox.stub(uut.tokens, 'sendMintBaton').rejects(new Error('error message'))
+
+        await uut.sendMintBaton('abc', 'ecash:qp...')
+
+        assert.fail('unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'error message')
+      }
+    })
+  })
+
+  describe('#destroyMintBaton', () => {
+    it('should destroy a baton of the wallet', async () => {
+      const txid =
+        '66b7d1fced6df27feb7faf305de2e3d6470decb0276648411fd6a2f69fec8543'
+
+      uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+      const destroyStub = sandbox.stub(uut.tokens, 'destroyMintBaton').resolves(txid)
+      sandbox.stub(uut, 'advanceChangeAddress').resolves()
+
+      const result = await uut.destroyMintBaton('abc', 1, { confirm: true })
+
+      assert.equal(result, txid)
+      assert.deepEqual(destroyStub.getCall(0).args[5], { confirm: true })
+    })
+
+    it('should throw an error if there is an issue with broadcasting a tx', async () => {
+      try {
+        uut.utxos.utxoStore = mockUtxos.tokenUtxos01
+        sandbox.stub(uut.tokens, 'destroyMintBaton').rejects(new Error('error message'))
+
+        await uut.destroyMintBaton('abc')
+
+        assert.fail('unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'error message')
+      }
+    })
   })
 
   describe('#burnTokens', () => {
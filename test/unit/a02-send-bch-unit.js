@@ -7,6 +7,7 @@ const assert = require('chai').assert
 const sinon = require('sinon')
 const BCHJS = require('@psf/bch-js')
 const clone = require('lodash.clonedeep')
+const { Transaction } = require('@psf/bitcoincashjs-lib')
 
 // Local libraries
 const SendBCH = require('../../lib/send-bch')
@@ -31,6 +32,9 @@ describe('#SendBCH', () => {
     config.ar = new AdapterRouter(config)
     uut = new SendBCH(config)
 
+    // The mock UTXOs are not SLP UTXOs. See TokenGuard.lookupInputs().
+    sandbox.stub(config.ar, 'getTxData').resolves([{ isValidSlp: false, vout: [] }])
+
     mockData = clone(mockDataLib)
   })
 
@@ -61,26 +65,131 @@ describe('#SendBCH', () => {
     })
   })
 
+  describe('#sortUtxosBySize', () => {
+    it('should sort UTXOs in ascending order', () => {
+      const utxos = uut.sortUtxosBySize(mockData.exampleUtxos01.utxos)
+      // console.log('utxos: ', utxos)
+
+      const lastElem = utxos.length - 1
+
+      assert.isAbove(utxos[lastElem].value, utxos[0].value)
+    })
+
+    it('should sort UTXOs in descending order', () => {
+      const utxos = uut.sortUtxosBySize(
+        mockData.exampleUtxos01.utxos,
+        'DESCENDING'
+      )
+      // console.log('utxos: ', utxos)
+
+      const lastElem = utxos.length - 1
+
+      assert.isAbove(utxos[0].value, utxos[lastElem].value)
+    })
+  })
+
+  describe('#updateUtxoStore', () => {
+    it('should do nothing if the UTXO library was not injected', () => {
+      const result = uut.updateUtxoStore('fake-hex', mockData.mockWallet)
+
+      assert.equal(result, false)
+    })
+
+    it('should update the UTXO store with the wallet addresses', () => {
+      uut.utxos = { updateUtxoStore: sinon.stub().returns(true) }
+
+      const result = uut.updateUtxoStore('fake-hex', mockData.mockWallet)
+
+      assert.equal(result, true)
+      const ownAddrs = uut.utxos.updateUtxoStore.getCall(0).args[1]
+      assert.equal(ownAddrs[0].cashAddress, mockData.mockWallet.cashAddress)
+    })
+
+    it('should not throw errors', () => {
+      uut.utxos = {
+        updateUtxoStore: sinon.stub().throws(new Error('test error'))
+      }
+
+      const result = uut.updateUtxoStore('fake-hex', mockData.mockWallet)
+
+      assert.equal(result, false)
+    })
+  })
+
+  describe('#getWalletAddresses', () => {
+    it('should return all wallet addresses in cash address format', () => {
+      const walletInfo = {
+        cashAddress: 'ecash:qzm37w9223x86y0fekpueg3ek34h9elsay7s3lwq9v',
+        hdPath: "m/44'/1899'/0'/0/0",
+        changeAddress: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        changeHdPath: "m/44'/1899'/0'/1/0",
+        addresses: [
+          { cashAddress: 'bitcoincash:addr2', hdPath: "m/44'/1899'/0'/0/2" }
+        ]
+      }
+
+      const result = uut.getWalletAddresses(walletInfo)
+
+      assert.equal(result.length, 3)
+      assert.equal(result[0].hdPath, "m/44'/1899'/0'/0/2")
+      assert.equal(
+        result[1].cashAddress,
+        'bitcoincash:qzm37w9223x86y0fekpueg3ek34h9elsay8a9546rm'
+      )
+      assert.equal(result[2].hdPath, "m/44'/1899'/0'/1/0")
+    })
+  })
+
+  describe('#getChangeAddress', () => {
+    it('should return the wallet address by default', () => {
+      const walletInfo = { cashAddress: 'bitcoincash:main' }
+
+      const result = uut.getChangeAddress(walletInfo)
+
+      assert.equal(result, 'bitcoincash:main')
+    })
+
+    it('should return the change address if one is assigned', () => {
+      const walletInfo = {
+        cashAddress: 'bitcoincash:main',
+        changeAddress: 'bitcoincash:change'
+      }
+
+      const result = uut.getChangeAddress(walletInfo)
+
+      assert.equal(result, 'bitcoincash:change')
+    })
+  })
+
   describe('#calculateFee', () => {
     it('should accurately calculate a P2PKH with 1 input and 2 outputs', () => {
       const fee = uut.calculateFee(1, 2, 1)
       // console.log('fee: ', fee)
 
-      assert.equal(fee, 260)
+      assert.equal(fee, 227)
     })
 
     it('should accurately calculate a P2PKH with 2 input and 2 outputs', () => {
       const fee = uut.calculateFee(2, 2, 1)
       // console.log('fee: ', fee)
 
-      assert.equal(fee, 408)
+      assert.equal(fee, 376)
     })
 
     it('should accurately calculate a P2PKH with 2 input and 3 outputs', () => {
       const fee = uut.calculateFee(2, 3, 1)
       // console.log('fee: ', fee)
 
-      assert.equal(fee, 442)
+      assert.equal(fee, 410)
+    })
+
+    it('should match the fee engine', () => {
+      const outputs = [
+        { address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h' },
+        { address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h' }
+      ]
+
+      assert.equal(uut.calculateFee(3, 2, 2), uut.feeEngine.getFee(3, outputs, 2))
     })
 
     it('should throw an error for bad input', () => {
@@ -99,30 +208,43 @@ describe('#SendBCH', () => {
     })
   })
 
-  describe('#sortUtxosBySize', () => {
-    it('should sort UTXOs in ascending order', () => {
-      const utxos = uut.sortUtxosBySize(mockData.exampleUtxos01.utxos)
-      // console.log('utxos: ', utxos)
+  describe('#getNecessaryUtxosAndChange', () => {
+    it('should spend all the UTXOs chosen with opts.inputs', () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+      const utxos = mockData.exampleUtxos01.utxos.slice(2)
 
-      const lastElem = utxos.length - 1
+      const result = uut.getNecessaryUtxosAndChange(outputs, utxos, 1, {
+        inputs: utxos,
+        donation: false
+      })
 
-      assert.isAbove(utxos[lastElem].value, utxos[0].value)
+      assert.equal(result.strategy, 'manual')
+      assert.deepEqual(result.necessaryUtxos, utxos)
     })
 
-    it('should sort UTXOs in descending order', () => {
-      const utxos = uut.sortUtxosBySize(
-        mockData.exampleUtxos01.utxos,
-        'DESCENDING'
-      )
-      // console.log('utxos: ', utxos)
+    it('should throw an error if the inputs can not pay for the TX', () => {
+      try {
+        const outputs = [
+          {
+            address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+            amountSat: 600
+          }
+        ]
+        const utxos = mockData.exampleUtxos01.utxos.slice(1, 2)
 
-      const lastElem = utxos.length - 1
+        uut.getNecessaryUtxosAndChange(outputs, utxos, 1, { inputs: utxos })
 
-      assert.isAbove(utxos[0].value, utxos[lastElem].value)
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'opts.inputs can not pay for the TX')
+      }
     })
-  })
 
-  describe('#getNecessaryUtxosAndChange', () => {
     it('should return UTXOs to achieve single output', () => {
       const outputs = [
         {
@@ -208,6 +330,316 @@ describe('#SendBCH', () => {
 
       assert.ok(sortingStub.calledOnceWith(mockData.exampleUtxos01.utxos))
     })
+
+    it('should report the fee and change of the strategy used', () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+
+      const result = uut.getNecessaryUtxosAndChange(
+        outputs,
+        mockData.exampleUtxos01.utxos,
+        1.0,
+        { coinSelection: 'largest-first' }
+      )
+      // console.log('result: ', result)
+
+      assert.equal(result.strategy, 'largest-first')
+      assert.equal(result.necessaryUtxos.length, 1)
+      // 1 input, and the payment, donation and change outputs.
+      assert.equal(result.fee, 10 + 149 + 3 * 34)
+      assert.equal(
+        result.change,
+        result.necessaryUtxos[0].value - 600 - 2000 - result.fee
+      )
+    })
+
+    it('should leave out the change output if only that can pay for the TX', () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+      const utxos = [{ tx_hash: 'a', tx_pos: 0, value: 2840 }]
+
+      const result = uut.getNecessaryUtxosAndChange(outputs, utxos, 1.0)
+
+      // The payment and donation, but no change output.
+      assert.isAtLeast(result.fee, 10 + 149 + 2 * 34)
+      assert.equal(result.fee, 2840 - 600 - 2000)
+      assert.equal(result.change, 0)
+    })
+
+    it('should skip UTXOs at the unconfirmed chain limit', () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+      const utxos = mockData.exampleUtxos01.utxos
+      utxos[0].unconfirmedAncestors = 50
+
+      const { necessaryUtxos } = uut.getNecessaryUtxosAndChange(outputs, utxos)
+
+      assert.equal(necessaryUtxos.length, 2)
+      assert.notInclude(necessaryUtxos, utxos[0])
+    })
+
+    it('should throw a chain limit error if the balance is only in skipped UTXOs', () => {
+      try {
+        const outputs = [
+          {
+            address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+            amountSat: 600
+          }
+        ]
+        const utxos = mockData.exampleUtxos01.utxos
+        utxos.forEach(x => { x.unconfirmedAncestors = 5 })
+
+        uut.getNecessaryUtxosAndChange(outputs, utxos, 1.0, { chainLimit: 5 })
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'Unconfirmed chain limit of 5 reached')
+      }
+    })
+  })
+
+  describe('#getFeeInclusiveUtxosAndChange', () => {
+    const addr1 = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+    const addr2 = 'bitcoincash:qqwsylce7r5ufe4mfc94xkd56t30ncnanq3v9m0kjj'
+
+    it('should subtract the fee and the donation from the chosen output', () => {
+      const outputs = [
+        { address: addr1, amountSat: 10000 },
+        { address: addr2, amountSat: 5000 }
+      ]
+
+      const result = uut.getFeeInclusiveUtxosAndChange(
+        outputs,
+        mockData.exampleUtxos01.utxos,
+        1,
+        { subtractFeeFrom: 0 }
+      )
+
+      const inputSats = result.necessaryUtxos.reduce((acc, x) => acc + x.value, 0)
+      assert.equal(result.donation.amount, 2000)
+      assert.equal(result.outputs[0].amountSat, 10000 - result.fee - 2000)
+      assert.equal(result.outputs[1].amountSat, 5000)
+      assert.equal(inputSats, 15000 + result.change)
+
+      // The outputs passed in are not modified.
+      assert.equal(outputs[0].amountSat, 10000)
+    })
+
+    it('should throw an error for an invalid output index', () => {
+      try {
+        const outputs = [{ address: addr1, amountSat: 10000 }]
+
+        uut.getFeeInclusiveUtxosAndChange(
+          outputs,
+          mockData.exampleUtxos01.utxos,
+          1,
+          { subtractFeeFrom: 1 }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'subtractFeeFrom must be the index of an output')
+      }
+    })
+
+    it('should throw an error if the output can not pay the fee', () => {
+      try {
+        const outputs = [{ address: addr1, amountSat: 2500 }]
+
+        uut.getFeeInclusiveUtxosAndChange(
+          outputs,
+          mockData.exampleUtxos01.utxos,
+          1,
+          { subtractFeeFrom: 0 }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Output 0 can not pay the fee')
+      }
+    })
+
+    it('should throw an error if the balance is too small', () => {
+      try {
+        const outputs = [{ address: addr1, amountSat: 100000000 }]
+
+        uut.getFeeInclusiveUtxosAndChange(
+          outputs,
+          mockData.exampleUtxos01.utxos,
+          1,
+          { subtractFeeFrom: 0 }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Insufficient balance')
+      }
+    })
+
+    it('should build a TX that pays the fee from an output', async () => {
+      const outputs = [
+        { address: addr1, amountSat: 10000 },
+        { address: addr2, amountSat: 5000 }
+      ]
+
+      const result = await uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos,
+        { subtractFeeFrom: 1, dryRun: true }
+      )
+
+      assert.equal(result.outputs[0].value, 10000)
+      assert.equal(result.outputs[1].value, 5000 - result.fee - 2000)
+    })
+  })
+
+  describe('#getMaxSendable', () => {
+    const addr1 = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+    const addr2 = 'bitcoincash:qqwsylce7r5ufe4mfc94xkd56t30ncnanq3v9m0kjj'
+
+    // Send amountSat, split between the receivers.
+    const createTx = (amountSat, strategy) => {
+      const outputs = [
+        { address: addr1, amountSat: Math.floor(amountSat / 2) },
+        { address: addr2, amountSat: Math.ceil(amountSat / 2) }
+      ]
+
+      return uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos,
+        { coinSelection: strategy }
+      )
+    }
+
+    it('should return the exact maximum that can be sent', async () => {
+      const outputs = [{ address: addr1 }, { address: addr2 }]
+
+      const max = uut.getMaxSendable(outputs, mockData.exampleUtxos01.utxos)
+
+      for (const strategy of ['smallest-first', 'largest-first', 'privacy']) {
+        const tx = await createTx(max, strategy)
+        assert.isString(tx.hex)
+
+        try {
+          await createTx(max + 1, strategy)
+
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, 'Insufficient balance')
+        }
+      }
+    })
+
+    it('should take a percentage donation into account', async () => {
+      uut.donation.policy = uut.donation.parsePolicy({ percent: 1 })
+      const outputs = [{ address: addr1 }, { address: addr2 }]
+
+      const max = uut.getMaxSendable(outputs, mockData.exampleUtxos01.utxos)
+
+      const tx = await createTx(max)
+      assert.isAbove(tx.donation.amount, 0)
+
+      try {
+        await createTx(max + 1)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Insufficient balance')
+      }
+    })
+
+    it('should size the OP_RETURN and the fee rate', () => {
+      const outputs = [{ address: addr1 }]
+      const utxos = mockData.exampleUtxos01.utxos
+
+      const max = uut.getMaxSendable(outputs, utxos)
+      const opReturn = { script: Buffer.alloc(50) }
+      const maxWithOpReturn = uut.getMaxSendable([opReturn].concat(outputs), utxos)
+      const maxAt2 = uut.getMaxSendable(outputs, utxos, 2)
+
+      assert.equal(max - maxWithOpReturn, 8 + 1 + 50)
+      assert.equal(max - maxAt2, uut.feeEngine.getFee(utxos.length, outputs.concat({ address: addr1 })))
+    })
+
+    it('should return 0 if the balance can not pay the receivers', () => {
+      const outputs = [{ address: addr1 }, { address: addr2 }]
+      const utxos = [{ tx_hash: 'a', tx_pos: 0, value: 1000 }]
+
+      assert.equal(uut.getMaxSendable(outputs, utxos), 0)
+    })
+
+    it('should skip UTXOs over the unconfirmed chain limit', () => {
+      const outputs = [{ address: addr1 }]
+      const utxos = clone(mockData.exampleUtxos01.utxos)
+
+      const max = uut.getMaxSendable(outputs, utxos)
+      utxos[0].unconfirmedAncestors = 50
+
+      assert.isBelow(uut.getMaxSendable(outputs, utxos), max)
+    })
+  })
+
+  describe('#filterByChainLimit', () => {
+    it('should use the default chain limit of 50', () => {
+      const utxos = [
+        { tx_hash: 'a' },
+        { tx_hash: 'b', unconfirmedAncestors: 49 },
+        { tx_hash: 'c', unconfirmedAncestors: 50 }
+      ]
+
+      const result = uut.filterByChainLimit(utxos)
+
+      assert.deepEqual(result.map(x => x.tx_hash), ['a', 'b'])
+    })
+
+    it('should use the chain limit passed to the constructor', () => {
+      uut = new SendBCH({ bchjs: uut.bchjs, ar: uut.ar, chainLimit: 2 })
+      const utxos = [
+        { tx_hash: 'a', unconfirmedAncestors: 1 },
+        { tx_hash: 'b', unconfirmedAncestors: 2 }
+      ]
+
+      const result = uut.filterByChainLimit(utxos)
+
+      assert.deepEqual(result.map(x => x.tx_hash), ['a'])
+    })
+  })
+
+  describe('#getEligibleUtxos', () => {
+    const utxos = [
+      { tx_hash: 'a', unconfirmedAncestors: 1 },
+      { tx_hash: 'b', unconfirmedAncestors: 50 }
+    ]
+
+    it('should skip the UTXOs over the chain limit', () => {
+      const result = uut.getEligibleUtxos(utxos)
+
+      assert.deepEqual(result.map(x => x.tx_hash), ['a'])
+    })
+
+    it('should refuse inputs chosen by the user that are over the chain limit', () => {
+      try {
+        uut.getEligibleUtxos(utxos, { inputs: utxos })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Unconfirmed chain limit of 50 reached')
+      }
+    })
   })
 
   describe('#getKeyPairFromMnemonic', () => {
@@ -245,6 +677,63 @@ describe('#SendBCH', () => {
         assert.include(err.message, 'Wallet has no mnemonic or private key!')
       }
     })
+
+    it('should throw error for a watch-only wallet', async () => {
+      try {
+        mockData.mockWallet.watchOnly = true
+
+        await uut.getKeyPairFromMnemonic(mockData.mockWallet)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Watch-only wallet can not sign transactions.')
+      }
+    })
+  })
+
+  describe('#getKeyPairs', () => {
+    it('should use the wallet key pair for UTXOs without an hdPath', async () => {
+      const utxos = mockData.exampleUtxos01.utxos
+
+      const keyPairs = await uut.getKeyPairs(mockData.mockWallet, utxos)
+
+      assert.equal(keyPairs.length, 3)
+      assert.equal(keyPairs[0], keyPairs[1])
+      assert.equal(keyPairs[1], keyPairs[2])
+    })
+
+    it('should generate child keys for UTXOs from other HD addresses', async () => {
+      const utxos = mockData.exampleUtxos01.utxos
+      utxos[0].hdPath = mockData.mockWallet.hdPath
+      utxos[1].hdPath = "m/44'/245'/0'/0/1"
+      utxos[2].hdPath = "m/44'/245'/0'/0/1"
+
+      const keyPairs = await uut.getKeyPairs(mockData.mockWallet, utxos)
+
+      const walletAddr = uut.bchjs.ECPair.toCashAddress(keyPairs[0])
+      const childAddr = uut.bchjs.ECPair.toCashAddress(keyPairs[1])
+
+      assert.equal(walletAddr, mockData.mockWallet.cashAddress)
+      assert.notEqual(childAddr, mockData.mockWallet.cashAddress)
+      assert.equal(keyPairs[1], keyPairs[2])
+    })
+  })
+
+  describe('#signInputs', () => {
+    it('should sign each input with its key pair', async () => {
+      const utxos = mockData.exampleUtxos01.utxos
+      const transactionBuilder = new uut.bchjs.TransactionBuilder()
+      utxos.forEach(utxo => transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos))
+      transactionBuilder.addOutput(mockData.mockWallet.cashAddress, 10000)
+
+      const signSpy = sandbox.spy(transactionBuilder, 'sign')
+
+      await uut.signInputs(transactionBuilder, mockData.mockWallet, utxos)
+
+      assert.equal(signSpy.callCount, 3)
+      assert.equal(signSpy.getCall(2).args[0], 2)
+      assert.equal(signSpy.getCall(2).args[4], utxos[2].value)
+    })
   })
 
   describe('#createTransaction', () => {
@@ -343,6 +832,50 @@ describe('#SendBCH', () => {
       assert.isString(hex)
       assert.isString(txid)
     })
+
+    it('should report the donation of the transaction', async () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+
+      const result = await uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos
+      )
+
+      assert.equal(result.donation.policy, 'fixed')
+      assert.equal(result.donation.amount, 2000)
+
+      const tx = Transaction.fromHex(result.hex)
+      assert.equal(tx.outs[1].value, 2000)
+    })
+
+    it('should not add a donation output if the donation is disabled', async () => {
+      uut = new SendBCH({ bchjs: uut.bchjs, ar: uut.ar, donation: false })
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+
+      const result = await uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos
+      )
+
+      assert.equal(result.donation.policy, 'disabled')
+
+      // The payment and the change.
+      const tx = Transaction.fromHex(result.hex)
+      assert.equal(tx.outs.length, 2)
+      assert.equal(tx.outs[0].value, 600)
+    })
   })
 
   describe('#sendBch', () => {
@@ -361,6 +894,30 @@ describe('#SendBCH', () => {
       assert.equal(output, txid)
     })
 
+    it('should return a receipt of the transaction', async () => {
+      const outputs = [{
+        address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        amountSat: 1000
+      }]
+      const utxos = clone(mockData.exampleUtxos01.utxos)
+
+      // Mock live network calls.
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+
+      const result = await uut.sendBch(outputs, mockData.mockWallet, utxos, {
+        receipt: true
+      })
+      // console.log('result: ', result)
+
+      assert.equal(result.txid.length, 64)
+      assert.equal(result.hex, sendStub.getCall(0).args[0])
+      assert.isAbove(result.inputs.length, 0)
+      assert.equal(result.outputs[0].address, outputs[0].address)
+      assert.equal(result.outputs[0].value, 1000)
+      assert.isAbove(result.fee, 0)
+      assert.isAtLeast(result.satsPerByte, 1)
+    })
+
     it('should throw an error if there is an issue with broadcasting a tx', async () => {
       try {
         const hex =
@@ -424,6 +981,44 @@ describe('#SendBCH', () => {
       assert.isString(txid)
     })
 
+    it('should throw an error if the balance can not pay the fee and the donation', async () => {
+      try {
+        const toAddress =
+          'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+        const utxos = [
+          { tx_hash: mockData.exampleUtxos01.utxos[0].tx_hash, tx_pos: 0, value: 700 }
+        ]
+
+        await uut.createSendAllTx(toAddress, mockData.mockWallet, utxos)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        // console.log('err: ', err)
+        assert.include(err.message, 'can not pay the fee')
+        assert.include(err.message, 'below the dust limit of 546 sats')
+      }
+    })
+
+    it('should skip the donation of a consolidation if the policy says so', async () => {
+      uut = new SendBCH({
+        bchjs: uut.bchjs,
+        ar: uut.ar,
+        donation: { consolidate: false }
+      })
+      const toAddress =
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+
+      const result = await uut.createSendAllTx(
+        toAddress,
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos,
+        { consolidate: true }
+      )
+
+      assert.equal(result.donation.policy, 'disabled')
+      assert.equal(Transaction.fromHex(result.hex).outs.length, 1)
+    })
+
     it('should use default fee if fee is not specified.', async () => {
       const toAddress =
         'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
@@ -477,4 +1072,296 @@ describe('#SendBCH', () => {
       }
     })
   })
+
+  describe('#finishTransaction', () => {
+    it('should return an unsigned transaction if opts.unsigned is true', async () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+      const utxos = mockData.exampleUtxos01.utxos
+
+      const result = await uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        utxos,
+        { unsigned: true }
+      )
+      // console.log('result: ', result)
+
+      assert.equal(result.unsigned, true)
+      assert.isString(result.hex)
+      assert.notProperty(result, 'txid')
+      const spentUtxo = utxos.find(x => x.tx_hash === result.inputs[0].txid)
+      assert.equal(result.inputs[0].vout, spentUtxo.tx_pos)
+      assert.equal(result.inputs[0].value, spentUtxo.value)
+      assert.equal(result.inputs[0].hdPath, null)
+    })
+
+    it('should pass the coin selection strategy to getNecessaryUtxosAndChange', async () => {
+      const outputs = [
+        {
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }
+      ]
+      const utxos = mockData.exampleUtxos01.utxos
+
+      const result = await uut.createTransaction(
+        outputs,
+        mockData.mockWallet,
+        utxos,
+        { unsigned: true, coinSelection: 'largest-first' }
+      )
+
+      assert.equal(result.inputs.length, 1)
+      assert.equal(result.inputs[0].value, 12525803)
+    })
+  })
+
+  describe('#signTransaction', () => {
+    it('should sign a transaction the same way as the online wallet', async () => {
+      const toAddress =
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+      const utxos = mockData.exampleUtxos01.utxos
+
+      const signedOnline = await uut.createSendAllTx(
+        toAddress,
+        mockData.mockWallet,
+        utxos
+      )
+
+      const unsignedTx = await uut.createSendAllTx(
+        toAddress,
+        mockData.mockWallet,
+        utxos,
+        { unsigned: true }
+      )
+
+      // Simulate the round trip to the offline wallet.
+      const portable = JSON.parse(JSON.stringify(unsignedTx))
+
+      const result = await uut.signTransaction(portable, mockData.mockWallet)
+
+      assert.equal(result.hex, signedOnline.hex)
+      assert.equal(result.txid, signedOnline.txid)
+    })
+
+    it('should throw an error if input information is missing', async () => {
+      try {
+        await uut.signTransaction({ hex: 'abc' }, mockData.mockWallet)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'unsignedTx must have a hex and an inputs property')
+      }
+    })
+
+    it('should throw an error if input information does not match', async () => {
+      try {
+        const unsignedTx = await uut.createSendAllTx(
+          'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          mockData.mockWallet,
+          mockData.exampleUtxos01.utxos,
+          { unsigned: true }
+        )
+        unsignedTx.inputs[0].vout = 5
+
+        await uut.signTransaction(unsignedTx, mockData.mockWallet)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Input 0 does not match the input information')
+      }
+    })
+  })
+
+  describe('#token guard', () => {
+    const tokenUtxo = {
+      height: 655965,
+      tx_hash: '72b5d6f4c2e1d1b69ee3c4fb0d6f1cd2bc8d5c3a0a7ee2e4a2aeb1f2a0fa1b3c',
+      tx_pos: 1,
+      value: 546,
+      tokenId:
+        '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+      tokenType: 1,
+      decimals: 8,
+      qtyStr: '1',
+      type: 'token'
+    }
+
+    it('should refuse to send BCH from a list that contains a token UTXO', async () => {
+      try {
+        const outputs = [{
+          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          amountSat: 600
+        }]
+        const utxos = [tokenUtxo].concat(mockData.exampleUtxos01.utxos)
+
+        // The largest-first strategy spends the token UTXO last.
+        await uut.createTransaction(outputs, mockData.mockWallet, utxos, {
+          coinSelection: 'smallest-first'
+        })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Transaction would burn tokens')
+      }
+    })
+
+    it('should burn tokens with the allowBurn option', async () => {
+      const utxos = [tokenUtxo].concat(mockData.exampleUtxos01.utxos)
+
+      const result = await uut.createSendAllTx(
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        mockData.mockWallet,
+        utxos,
+        { allowBurn: true }
+      )
+
+      assert.isString(result.hex)
+    })
+
+    it('should export the token information of the inputs', async () => {
+      const utxos = [tokenUtxo].concat(mockData.exampleUtxos01.utxos)
+
+      const unsignedTx = await uut.createSendAllTx(
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        mockData.mockWallet,
+        utxos,
+        { allowBurn: true, unsigned: true }
+      )
+
+      assert.equal(unsignedTx.allowBurn, true)
+      assert.equal(unsignedTx.inputs[0].tokenId, tokenUtxo.tokenId)
+      assert.notProperty(unsignedTx.inputs[1], 'tokenId')
+    })
+
+    it('should refuse to sign an unsigned TX that burns tokens by accident', async () => {
+      try {
+        const utxos = [tokenUtxo].concat(mockData.exampleUtxos01.utxos)
+        const unsignedTx = await uut.createSendAllTx(
+          'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          mockData.mockWallet,
+          utxos,
+          { allowBurn: true, unsigned: true }
+        )
+        delete unsignedTx.allowBurn
+
+        await uut.signTransaction(unsignedTx, mockData.mockWallet)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Transaction would burn tokens')
+      }
+    })
+  })
+
+  describe('#getFullHdPath', () => {
+    it('should convert a path relative to an xpub', () => {
+      const walletInfo = { hdPath: "m/44'/1899'/0'/0/0" }
+
+      const result = uut.getFullHdPath('m/1/3', walletInfo)
+
+      assert.equal(result, "m/44'/1899'/0'/1/3")
+    })
+
+    it('should return full paths and empty values unchanged', () => {
+      const walletInfo = { hdPath: "m/44'/1899'/0'/0/0" }
+
+      assert.equal(
+        uut.getFullHdPath("m/44'/1899'/0'/0/2", walletInfo),
+        "m/44'/1899'/0'/0/2"
+      )
+      assert.equal(uut.getFullHdPath(null, walletInfo), null)
+    })
+  })
+
+  describe('#verifySignedTx', () => {
+    let unsignedTx, signedTx
+
+    beforeEach(async () => {
+      unsignedTx = await uut.createSendAllTx(
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos,
+        { unsigned: true }
+      )
+      signedTx = await uut.signTransaction(unsignedTx, mockData.mockWallet)
+    })
+
+    it('should return true for a matching signed transaction', () => {
+      const result = uut.verifySignedTx(signedTx.hex, unsignedTx)
+
+      assert.equal(result, true)
+    })
+
+    it('should throw an error if an output was changed', async () => {
+      try {
+        // Sign a transaction that sends the funds somewhere else.
+        const otherTx = await uut.createSendAllTx(
+          'bitcoincash:qzm37w9223x86y0fekpueg3ek34h9elsay8a9546rm',
+          mockData.mockWallet,
+          mockData.exampleUtxos01.utxos
+        )
+
+        uut.verifySignedTx(otherTx.hex, unsignedTx)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'does not match the unsigned transaction: output 0')
+      }
+    })
+
+    it('should throw an error if an input is not signed', () => {
+      try {
+        uut.verifySignedTx(unsignedTx.hex, unsignedTx)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Input 0 of the transaction has not been signed')
+      }
+    })
+  })
+
+  describe('#broadcastSignedTx', () => {
+    it('should verify and broadcast a signed transaction', async () => {
+      const unsignedTx = await uut.createSendAllTx(
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        mockData.mockWallet,
+        mockData.exampleUtxos01.utxos,
+        { unsigned: true }
+      )
+      const signedTx = await uut.signTransaction(unsignedTx, mockData.mockWallet)
+
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+
+      const result = await uut.broadcastSignedTx(signedTx, unsignedTx)
+
+      assert.equal(result, 'fake-txid')
+      assert.equal(sendStub.getCall(0).args[0], signedTx.hex)
+    })
+
+    it('should not broadcast a transaction that fails verification', async () => {
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+
+      try {
+        const unsignedTx = await uut.createSendAllTx(
+          'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+          mockData.mockWallet,
+          mockData.exampleUtxos01.utxos,
+          { unsigned: true }
+        )
+
+        await uut.broadcastSignedTx(unsignedTx.hex, unsignedTx)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'has not been signed')
+        assert.equal(sendStub.called, false)
+      }
+    })
+  })
 })
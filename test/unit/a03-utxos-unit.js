@@ -74,6 +74,18 @@ describe('#UTXOs', () => {
       assert.property(utxos, 'address')
     })
 
+    it('should count unconfirmed ancestors of each UTXO', async () => {
+      const addr = 'bitcoincash:qzs02v05l7qs5s24srqju498qu55dwuj0cx5ehjm2c'
+
+      mockData.tokenUtxos01.bchUtxos[0].height = 0
+      sandbox.stub(uut.ar, 'getUtxos').resolves(mockData.tokenUtxos01)
+
+      const utxos = await uut.initUtxoStore(addr)
+
+      assert.equal(utxos.bchUtxos[0].unconfirmedAncestors, 1)
+      assert.equal(utxos.slpUtxos.type1.tokens[0].unconfirmedAncestors, 0)
+    })
+
     it('should handle errors', async () => {
       try {
         const addr = 'bitcoincash:qzs02v05l7qs5s24srqju498qu55dwuj0cx5ehjm2c'
@@ -108,6 +120,218 @@ describe('#UTXOs', () => {
     })
   })
 
+  describe('#initUtxoStore with multiple addresses', () => {
+    it('should combine the UTXOs of each address', async () => {
+      const addrs = [
+        { address: 'ecash:addr1', hdPath: "m/44'/1899'/0'/0/0" },
+        { address: 'ecash:addr2', hdPath: "m/44'/1899'/0'/0/1" }
+      ]
+
+      // Mock network calls.
+      const getUtxosStub = sandbox.stub(uut.ar, 'getUtxos')
+      getUtxosStub.onCall(0).resolves(cloneDeep(mockData.tokenUtxos01))
+      getUtxosStub.onCall(1).resolves(cloneDeep(mockData.mockNFTGroupUtxos))
+
+      const utxos = await uut.initUtxoStore(addrs)
+      // console.log(`utxos: ${JSON.stringify(utxos, null, 2)}`)
+
+      assert.equal(utxos.bchUtxos.length, 2)
+      assert.equal(utxos.slpUtxos.type1.tokens.length, 4)
+      assert.equal(utxos.slpUtxos.group.tokens.length, 1)
+      assert.equal(utxos.address, mockData.tokenUtxos01.address)
+
+      // Each UTXO should be tagged with the HD path of its address.
+      assert.equal(utxos.bchUtxos[0].hdPath, "m/44'/1899'/0'/0/0")
+      assert.equal(utxos.bchUtxos[1].hdPath, "m/44'/1899'/0'/0/1")
+      assert.equal(utxos.slpUtxos.group.tokens[0].hdPath, "m/44'/1899'/0'/0/1")
+    })
+
+    it('should handle network errors', async () => {
+      try {
+        const addrs = [{ address: 'ecash:addr1', hdPath: "m/44'/1899'/0'/0/0" }]
+
+        sandbox
+          .stub(uut.ar, 'getUtxos')
+          .resolves({ status: 422, message: 'test error' })
+
+        await uut.initUtxoStore(addrs)
+
+        assert.fail('unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+
+  describe('#mergeUtxoStores', () => {
+    it('should return an empty UTXO store if there are no stores', () => {
+      const result = uut.mergeUtxoStores([])
+
+      assert.equal(result.address, '')
+      assert.equal(result.bchUtxos.length, 0)
+      assert.property(result.slpUtxos, 'type1')
+      assert.property(result.slpUtxos, 'nft')
+      assert.property(result.slpUtxos, 'group')
+    })
+
+    it('should keep token types that it does not know about', () => {
+      const store = cloneDeep(mockData.tokenUtxos01)
+      store.slpUtxos.other = { tokens: ['a'] }
+
+      const result = uut.mergeUtxoStores([store])
+
+      assert.deepEqual(result.slpUtxos.other.tokens, ['a'])
+    })
+  })
+
+  describe('#updateUtxoStore', () => {
+    const ownAddr = 'bitcoincash:qzm37w9223x86y0fekpueg3ek34h9elsay8a9546rm'
+    const otherAddr = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+    const ownAddrs = [{ cashAddress: ownAddr, hdPath: "m/44'/1899'/0'/1/0" }]
+
+    // Build a transaction that spends the given UTXOs. outputs is an array of
+    // address or script, and value, pairs.
+    function buildTx (utxos, outputs) {
+      const transactionBuilder = new uut.bchjs.TransactionBuilder()
+      utxos.forEach(x => transactionBuilder.addInput(x.tx_hash, x.tx_pos))
+      outputs.forEach(x => transactionBuilder.addOutput(x[0], x[1]))
+
+      return transactionBuilder.transaction.buildIncomplete()
+    }
+
+    it('should return false if the UTXO store has not been initialized', () => {
+      const result = uut.updateUtxoStore('fake-hex', ownAddrs)
+
+      assert.equal(result, false)
+    })
+
+    it('should remove spent UTXOs and add change as an unconfirmed UTXO', () => {
+      uut.utxoStore = mockData.tokenUtxos01
+      const spentUtxo = uut.utxoStore.bchUtxos[0]
+
+      const tx = buildTx([spentUtxo], [[otherAddr, 1000], [ownAddr, 1500]])
+
+      const result = uut.updateUtxoStore(tx.toHex(), ownAddrs)
+
+      assert.equal(result, true)
+      assert.equal(uut.utxoStore.bchUtxos.length, 1)
+
+      const newUtxo = uut.utxoStore.bchUtxos[0]
+      assert.equal(newUtxo.tx_hash, tx.getId())
+      assert.equal(newUtxo.tx_pos, 1)
+      assert.equal(newUtxo.value, 1500)
+      assert.equal(newUtxo.height, 0)
+      assert.equal(newUtxo.hdPath, "m/44'/1899'/0'/1/0")
+      assert.equal(newUtxo.unconfirmedAncestors, 1)
+    })
+
+    it('should add one to the deepest unconfirmed chain that is spent', () => {
+      uut.utxoStore = mockData.tokenUtxos01
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+      const tokenUtxo = uut.utxoStore.slpUtxos.type1.tokens[0]
+      bchUtxo.unconfirmedAncestors = 3
+      tokenUtxo.unconfirmedAncestors = 7
+
+      const tx = buildTx([tokenUtxo, bchUtxo], [[ownAddr, 1500]])
+
+      uut.updateUtxoStore(tx.toHex(), ownAddrs)
+
+      assert.equal(uut.utxoStore.bchUtxos[0].unconfirmedAncestors, 8)
+    })
+
+    it('should add token change with the token information of the spent UTXO', async () => {
+      uut.utxoStore = mockData.tokenUtxos01
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+      const tokenUtxo = uut.utxoStore.slpUtxos.type1.tokens[0]
+
+      // Send 0.4 of 1 TROUT, and keep 0.6 as token change.
+      const slpData = uut.bchjs.SLP.TokenType1.generateSendOpReturn(
+        [Object.assign({}, tokenUtxo, { tokenQty: 1 })],
+        0.4
+      )
+      const tx = buildTx(
+        [tokenUtxo, bchUtxo],
+        [[slpData.script, 0], [otherAddr, 546], [ownAddr, 546]]
+      )
+
+      uut.updateUtxoStore(tx.toHex(), ownAddrs)
+      // console.log(`utxoStore: ${JSON.stringify(uut.utxoStore, null, 2)}`)
+
+      const tokens = uut.utxoStore.slpUtxos.type1.tokens
+      assert.equal(tokens.length, 3)
+      assert.equal(uut.utxoStore.bchUtxos.length, 0)
+
+      const tokenChange = tokens[2]
+      assert.equal(tokenChange.tx_hash, tx.getId())
+      assert.equal(tokenChange.tx_pos, 2)
+      assert.equal(tokenChange.tokenId, tokenUtxo.tokenId)
+      assert.equal(tokenChange.tokenTicker, 'TROUT')
+      assert.equal(tokenChange.decimals, 2)
+      assert.equal(tokenChange.qty, '60')
+      assert.equal(tokenChange.qtyStr, '0.6')
+      assert.equal(tokenChange.type, 'token')
+      assert.equal(tokenChange.isSlp, true)
+      assert.equal(tokenChange.height, 0)
+    })
+
+    it('should not add a token output if the token is unknown', () => {
+      uut.utxoStore = mockData.tokenUtxos01
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+
+      // A token that the wallet does not have a UTXO for.
+      const slpData = uut.bchjs.SLP.TokenType1.generateSendOpReturn(
+        [{
+          tokenId: '82e3d97b3cd033e60ffa755450b9075cf44fe1b2f6d5dc13657d8263e7165555',
+          decimals: 0,
+          tokenQty: 2
+        }],
+        1
+      )
+      const tx = buildTx(
+        [bchUtxo],
+        [[slpData.script, 0], [otherAddr, 546], [ownAddr, 546]]
+      )
+
+      uut.updateUtxoStore(tx.toHex(), ownAddrs)
+
+      assert.equal(uut.utxoStore.bchUtxos.length, 0)
+      assert.equal(uut.utxoStore.slpUtxos.type1.tokens.length, 3)
+    })
+
+    it('should add the tokens and minting baton of a genesis transaction', () => {
+      uut.utxoStore = mockData.tokenUtxos01
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+
+      const slpData = uut.bchjs.SLP.TokenType1.generateGenesisOpReturn({
+        name: 'Test Token',
+        ticker: 'TST',
+        documentUrl: 'https://example.com',
+        decimals: 2,
+        initialQty: 10,
+        documentHash: '',
+        mintBatonVout: 2
+      })
+      const tx = buildTx(
+        [bchUtxo],
+        [[slpData, 0], [ownAddr, 546], [ownAddr, 546]]
+      )
+
+      uut.updateUtxoStore(tx.toHex(), ownAddrs)
+
+      const newToken = uut.utxoStore.slpUtxos.type1.tokens[3]
+      assert.equal(newToken.tokenId, tx.getId())
+      assert.equal(newToken.ticker, 'TST')
+      assert.equal(newToken.name, 'Test Token')
+      assert.equal(newToken.qtyStr, '10')
+      assert.equal(newToken.tokenType, 1)
+
+      const baton = uut.utxoStore.slpUtxos.type1.mintBatons[0]
+      assert.equal(baton.type, 'baton')
+      assert.equal(baton.tx_pos, 2)
+      assert.notProperty(baton, 'qtyStr')
+    })
+  })
+
   describe('#getSpendableTokenUtxos', () => {
     it('should return all the spendable UTXOs', () => {
       uut.utxoStore = mockData.tokenUtxos01
@@ -133,4 +357,155 @@ describe('#UTXOs', () => {
       }
     })
   })
+
+  describe('#getMintBatonUtxos', () => {
+    it('should return the Type 1 and Group minting batons', () => {
+      uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      uut.utxoStore.slpUtxos.type1.mintBatons.push({ tokenId: 'a', type: 'baton' })
+      uut.utxoStore.slpUtxos.group.mintBatons.push({ tokenId: 'b', type: 'baton' })
+
+      const result = uut.getMintBatonUtxos()
+
+      assert.deepEqual(result.map(x => x.tokenId), ['a', 'b'])
+    })
+
+    it('should leave out frozen minting batons', () => {
+      uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      const baton = { tx_hash: 'c', tx_pos: 2, tokenId: 'a', type: 'baton' }
+      uut.utxoStore.slpUtxos.type1.mintBatons.push(baton)
+      uut.freeze([baton])
+
+      assert.deepEqual(uut.getMintBatonUtxos(), [])
+    })
+  })
+
+  describe('#freeze', () => {
+    it('should keep frozen UTXOs out of the spendable UTXOs', () => {
+      uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+      const tokenUtxo = uut.utxoStore.slpUtxos.type1.tokens[0]
+
+      const result = uut.freeze([bchUtxo, { txid: tokenUtxo.tx_hash, vout: 1 }])
+
+      assert.deepEqual(result, [
+        { txid: bchUtxo.tx_hash, vout: bchUtxo.tx_pos },
+        { txid: tokenUtxo.tx_hash, vout: 1 }
+      ])
+      assert.deepEqual(uut.getSpendableBchUtxos(), [])
+      assert.equal(uut.getSpendableTokenUtxos().length, 2)
+      assert.equal(uut.isFrozen(tokenUtxo), true)
+    })
+
+    it('should not freeze an outpoint twice', () => {
+      uut.freeze({ txid: 'a', vout: 0 })
+
+      const result = uut.freeze([{ txid: 'a', vout: 0 }])
+
+      assert.equal(result.length, 1)
+    })
+
+    it('should throw an error for an invalid outpoint', () => {
+      try {
+        uut.freeze([{ txid: 'a' }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'An outpoint must be an object')
+      }
+    })
+
+    it('should persist the frozen outpoints to the storage', () => {
+      const items = {}
+      const storage = {
+        getItem: key => items[key],
+        setItem: (key, value) => { items[key] = value }
+      }
+      uut = new UTXOs({ bchjs: uut.bchjs, ar: uut.ar, storage })
+
+      uut.freeze([{ txid: 'a', vout: 0 }, { txid: 'b', vout: 1 }])
+      uut.unfreeze([{ tx_hash: 'a', tx_pos: 0 }])
+
+      // A new instance restores the list.
+      uut = new UTXOs({ bchjs: uut.bchjs, ar: uut.ar, storage })
+
+      assert.deepEqual(uut.getFrozenUtxos(), [{ txid: 'b', vout: 1 }])
+    })
+  })
+
+  describe('#unfreeze', () => {
+    it('should make a UTXO spendable again', () => {
+      uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+      uut.freeze([bchUtxo])
+
+      const result = uut.unfreeze([bchUtxo])
+
+      assert.deepEqual(result, [])
+      assert.deepEqual(uut.getSpendableBchUtxos(), [bchUtxo])
+    })
+  })
+
+  describe('#getInputs', () => {
+    it('should return the UTXOs of the store, in order', () => {
+      uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      const bchUtxo = uut.utxoStore.bchUtxos[0]
+      const tokenUtxo = uut.utxoStore.slpUtxos.type1.tokens[2]
+      uut.freeze([bchUtxo])
+
+      const result = uut.getInputs([
+        { txid: tokenUtxo.tx_hash, vout: tokenUtxo.tx_pos },
+        { tx_hash: bchUtxo.tx_hash, tx_pos: bchUtxo.tx_pos }
+      ])
+
+      assert.deepEqual(result, [tokenUtxo, bchUtxo])
+    })
+
+    it('should throw an error for a UTXO that is not in the store', () => {
+      try {
+        uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+
+        uut.getInputs([{ txid: 'a', vout: 0 }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Input a:0 is not a UTXO of this wallet')
+      }
+    })
+
+    it('should throw an error for a UTXO with an unknown SLP status', () => {
+      try {
+        uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+        uut.utxoStore.nullUtxos.push({ tx_hash: 'a', tx_pos: 0 })
+
+        uut.getInputs([{ txid: 'a', vout: 0 }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'SLP status of input a:0 is unknown')
+      }
+    })
+
+    it('should throw an error for an input listed twice', () => {
+      try {
+        uut.utxoStore = cloneDeep(mockData.tokenUtxos01)
+        const bchUtxo = uut.utxoStore.bchUtxos[0]
+
+        uut.getInputs([bchUtxo, bchUtxo])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'is listed more than once')
+      }
+    })
+
+    it('should throw an error if no inputs are passed', () => {
+      try {
+        uut.getInputs([])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'inputs must be a non-empty array')
+      }
+    })
+  })
 })
@@ -5,6 +5,9 @@
 const assert = require('chai').assert
 const sinon = require('sinon')
 const BCHJS = require('@psf/bch-js')
+const cloneDeep = require('lodash.clonedeep')
+const { Transaction } = require('@psf/bitcoincashjs-lib')
+const slpMdm = require('slp-mdm')
 
 const Tokens = require('../../lib/tokens')
 const Utxos = require('../../lib/utxos')
@@ -33,6 +36,9 @@ describe('#tokens', () => {
 
     sandbox = sinon.createSandbox()
 
+    // The mock BCH UTXOs are not SLP UTXOs. See TokenGuard.lookupInputs().
+    sandbox.stub(config.ar, 'getTxData').resolves([{ isValidSlp: false, vout: [] }])
+
     mockData = Object.assign({}, mockDataLib)
     sendMockData = Object.assign({}, sendMockDataLib)
   })
@@ -126,6 +132,163 @@ describe('#tokens', () => {
   })
 
   describe('#createTransaction', () => {
+    it('should export an unsigned transaction with token inputs first', async () => {
+      const output = {
+        address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+        tokenId:
+          '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+        qty: 1
+      }
+
+      utxos.utxoStore = mockData.tokenUtxos01
+      const bchUtxos = utxos.utxoStore.bchUtxos
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      const result = await uut.createTransaction(
+        output,
+        sendMockData.mockWallet,
+        bchUtxos,
+        tokenUtxos,
+        1,
+        { unsigned: true }
+      )
+      // console.log('result: ', result)
+
+      const tokenUtxo = tokenUtxos.find(x => x.tokenId === output.tokenId)
+      assert.equal(result.unsigned, true)
+      assert.isString(result.hex)
+      assert.equal(result.inputs[0].txid, tokenUtxo.tx_hash)
+      assert.equal(result.inputs[1].txid, bchUtxos[0].tx_hash)
+    })
+
+    it('should return a preview of the transaction', async () => {
+      const output = {
+        address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+        tokenId:
+          '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+        qty: 0.25
+      }
+
+      utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      utxos.utxoStore.bchUtxos[0].value = 10000
+      const bchUtxos = utxos.utxoStore.bchUtxos
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      const result = await uut.createTransaction(
+        output,
+        sendMockData.mockWallet,
+        bchUtxos,
+        tokenUtxos,
+        1,
+        { dryRun: true }
+      )
+      // console.log('result: ', result)
+
+      assert.equal(result.dryRun, true)
+      assert.equal(result.slp.transactionType, 'SEND')
+      assert.equal(result.outputs[1].token.qtyStr, '0.25')
+      assert.equal(result.outputs[2].token.qtyStr, '0.75')
+      assert.equal(result.outputs[2].isChange, true)
+      assert.deepEqual(result.burns, [])
+    })
+
+    it('should return a receipt of the tokens sent', async () => {
+      const output = {
+        address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
+        tokenId:
+          '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+        qty: 0.25
+      }
+
+      utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      utxos.utxoStore.bchUtxos[0].value = 10000
+      const bchUtxos = utxos.utxoStore.bchUtxos
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      // Mock live network calls.
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+
+      const result = await uut.sendTokens(
+        output,
+        sendMockData.mockWallet,
+        bchUtxos,
+        tokenUtxos,
+        1,
+        { receipt: true }
+      )
+      // console.log('result: ', result)
+
+      assert.equal(result.txid.length, 64)
+      assert.deepEqual(result.tokens, [{
+        tokenId: output.tokenId,
+        tokenType: 1,
+        spent: '100000000',
+        sent: '25000000',
+        kept: '75000000',
+        burned: '0'
+      }])
+    })
+
+    it('should throw an error if the token UTXOs are at the chain limit', async () => {
+      try {
+        const output = {
+          address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+          tokenId:
+            '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+          qty: 1
+        }
+
+        utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+        const tokenUtxos = utxos.getSpendableTokenUtxos()
+        tokenUtxos.forEach(x => { x.unconfirmedAncestors = 50 })
+
+        await uut.createTransaction(
+          output,
+          sendMockData.mockWallet,
+          utxos.utxoStore.bchUtxos,
+          tokenUtxos
+        )
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'Unconfirmed chain limit of 50 reached')
+      }
+    })
+
+    it('should throw an error if a token input chosen with opts.inputs is over the chain limit', async () => {
+      try {
+        const output = {
+          address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+          tokenId:
+            '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+          qty: 1
+        }
+
+        utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+        const tokenUtxos = utxos
+          .getSpendableTokenUtxos()
+          .filter(x => x.tokenId === output.tokenId)
+        const overLimit = Object.assign({}, tokenUtxos[0], {
+          tx_pos: 5,
+          unconfirmedAncestors: 50
+        })
+        tokenUtxos.push(overLimit)
+
+        await uut.createTransaction(
+          output,
+          sendMockData.mockWallet,
+          utxos.utxoStore.bchUtxos,
+          tokenUtxos,
+          1,
+          { inputs: tokenUtxos }
+        )
+
+        assert.fail('Unexpected result')
+      } catch (err) {
+        assert.include(err.message, 'Unconfirmed chain limit of 50 reached')
+      }
+    })
+
     it('should throw an error if there are no BCH UTXOs.', async () => {
       try {
         await uut.createTransaction({}, {}, [], [])
@@ -246,9 +409,11 @@ describe('#tokens', () => {
 
       const walletInfo = sendMockData.mockWallet
 
-      // Prep the utxo data.
-      utxos.utxoStore = mockData.tokenUtxos01
+      // Prep the utxo data. The BCH UTXO pays for the outputs and the fee,
+      // with less than dust left over.
+      utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
       const bchUtxos = utxos.utxoStore.bchUtxos
+      bchUtxos[0].value = 3100
       let tokenUtxos = utxos.getSpendableTokenUtxos()
 
       // modify tokenUtxo for this test.
@@ -267,6 +432,42 @@ describe('#tokens', () => {
       assert.isString(txid)
     })
 
+    it('should pay the exact fee of the token outputs', async () => {
+      const output = {
+        address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+        tokenId:
+          '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7',
+        qty: 0.5
+      }
+
+      utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      const bchUtxos = utxos.utxoStore.bchUtxos
+      bchUtxos[0].value = 100000
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      const result = await uut.createTransaction(
+        output,
+        sendMockData.mockWallet,
+        bchUtxos,
+        tokenUtxos
+      )
+
+      // The fee is what is left over by the outputs.
+      const tx = Transaction.fromHex(result.hex)
+      const allUtxos = bchUtxos.concat(tokenUtxos)
+      const inputSats = tx.ins.reduce((acc, input) => {
+        const txid = Buffer.from(input.hash).reverse().toString('hex')
+        return acc + allUtxos.find(x => x.tx_hash === txid).value
+      }, 0)
+      const outputSats = tx.outs.reduce((acc, x) => acc + x.value, 0)
+      assert.equal(inputSats - outputSats, result.fee)
+
+      // Within 2 bytes per input of 1 sat per byte.
+      const size = result.hex.length / 2
+      assert.isAtLeast(result.fee, size)
+      assert.isAtMost(result.fee, size + 2 * tx.ins.length)
+    })
+
     it('should send token with no token change and UTXO change', async () => {
       const output = {
         address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
@@ -462,7 +663,8 @@ describe('#tokens', () => {
 
       const fn = sandbox.stub(uut.sendBch, 'getNecessaryUtxosAndChange').returns({
         necessaryUtxos: mockData.simpleUtxos.utxos,
-        change: 0
+        change: 0,
+        donation: { policy: 'disabled', address: null, amount: 0 }
       })
 
       await uut.createTransaction(
@@ -481,6 +683,135 @@ describe('#tokens', () => {
         { config: 'ok' }
       ))
     })
+    it('should send a token to several receivers in one TX', async () => {
+      const tokenId =
+        '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+      const outputs = [
+        {
+          address: 'simpleledger:qqwsylce7r5ufe4mfc94xkd56t30ncnanqahwq6kvv',
+          tokenId,
+          qty: 0.25
+        },
+        {
+          address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq',
+          tokenId,
+          qty: 0.5
+        }
+      ]
+
+      utxos.utxoStore = cloneDeep(mockData.tokenUtxos01)
+      utxos.utxoStore.bchUtxos[0].value = 10000
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      const result = await uut.createTransaction(
+        outputs,
+        sendMockData.mockWallet,
+        utxos.utxoStore.bchUtxos,
+        tokenUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+
+      // 0.25 tokens are sent back to the wallet as token change.
+      const expectedScript = slpMdm.TokenType1.send(tokenId, [
+        new slpMdm.BN(25000000),
+        new slpMdm.BN(50000000),
+        new slpMdm.BN(25000000)
+      ])
+      assert.equal(tx.outs[0].script.toString('hex'), expectedScript.toString('hex'))
+      assert.equal(tx.outs[1].value, 546)
+      assert.equal(tx.outs[2].value, 546)
+      assert.equal(tx.outs[3].value, 546)
+    })
+
+    it('should throw an error if the outputs have different token IDs', async () => {
+      try {
+        const outputs = [
+          { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq', tokenId: 'a', qty: 1 },
+          { address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq', tokenId: 'b', qty: 1 }
+        ]
+
+        await uut.createTransaction(outputs, {}, ['placeholder'], ['placeholder'])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'must have the same token ID')
+      }
+    })
+  })
+
+  describe('#generateSendOpReturn', () => {
+    let tokenUtxos
+
+    beforeEach(() => {
+      utxos.utxoStore = mockData.tokenUtxos01
+      tokenUtxos = utxos
+        .getSpendableTokenUtxos()
+        .filter(x => x.tokenId === '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7')
+    })
+
+    it('should not add token change if all tokens are sent', () => {
+      const result = uut.generateSendOpReturn(tokenUtxos, [{ qty: 1 }])
+
+      assert.equal(result.outputs, 1)
+      assert.instanceOf(result.script, Buffer)
+    })
+
+    it('should throw an error if the wallet holds too few tokens', () => {
+      try {
+        uut.generateSendOpReturn(tokenUtxos, [{ qty: 0.75 }, { qty: 0.5 }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Trying to send 1.25, but the wallet only holds 1')
+      }
+    })
+
+    it('should throw an error for an invalid quantity', () => {
+      try {
+        uut.generateSendOpReturn(tokenUtxos, [{ qty: 0 }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Invalid token quantity: 0')
+      }
+    })
+
+    it('should throw an error if there are more than 19 token outputs', () => {
+      try {
+        const outputs = new Array(19).fill({ qty: 0.01 })
+
+        uut.generateSendOpReturn(tokenUtxos, outputs)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'at most 19 token outputs')
+      }
+    })
+  })
+
+  describe('#batchTokenOutputs', () => {
+    it('should group the outputs by token ID', () => {
+      const outputs = [
+        { tokenId: 'a', qty: 1 },
+        { tokenId: 'b', qty: 2 },
+        { tokenId: 'a', qty: 3 }
+      ]
+
+      const result = uut.batchTokenOutputs(outputs)
+
+      assert.deepEqual(result, [[outputs[0], outputs[2]], [outputs[1]]])
+    })
+
+    it('should split a token into batches of 18 receivers', () => {
+      const outputs = new Array(40).fill({ tokenId: 'a', qty: 1 })
+
+      const result = uut.batchTokenOutputs(outputs)
+
+      assert.deepEqual(result.map(x => x.length), [18, 18, 4])
+    })
   })
 
   describe('#sendTokens', () => {
@@ -517,6 +848,19 @@ describe('#tokens', () => {
       }
     })
 
+    it('should return an unsigned transaction without broadcasting it', async () => {
+      const unsignedTx = { unsigned: true, hex: 'fake-hex', inputs: [] }
+
+      // Mock live network calls.
+      sandbox.stub(uut, 'createTransaction').resolves(unsignedTx)
+      const sendStub = sandbox.stub(uut.ar, 'sendTx').resolves('ok')
+
+      const result = await uut.sendTokens(null, null, null, null, null, { unsigned: true })
+
+      assert.equal(result, unsignedTx)
+      assert.equal(sendStub.called, false)
+    })
+
     it('should pass options to createTransaction', async () => {
       // Mock live network calls.
       const ct = sandbox.stub(uut, 'createTransaction').resolves('ok')
@@ -659,32 +1003,31 @@ describe('#tokens', () => {
         assert.include(err.message, 'tokenId does not match')
       }
     })
-    /*
-    it('should throw an error for non token type1.', async () => {
-      try {
-        const tokenId =
-          '8cd26481aaed66198e22e05450839fda763daadbb9938b0c71521ef43c642299'
-        const walletInfo = sendMockData.mockWallet
+    it('should burn a group token with a group SEND message', async () => {
+      const tokenId =
+        '8cd26481aaed66198e22e05450839fda763daadbb9938b0c71521ef43c642299'
 
-        // Prep the utxo data.
-        utxos.utxoStore = mockData.mockNFTGroupUtxos
-        const bchUtxos = utxos.utxoStore.bchUtxos
-        const tokenUtxos = utxos.getSpendableTokenUtxos()
+      utxos.utxoStore = cloneDeep(mockData.mockNFTGroupUtxos)
+      utxos.utxoStore.bchUtxos[0].value = 10000
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
 
-        await uut.createBurnTransaction(
-          1,
-          tokenId,
-          walletInfo,
-          bchUtxos,
-          tokenUtxos
-        )
+      const result = await uut.createBurnTransaction(
+        1,
+        tokenId,
+        sendMockData.mockWallet,
+        utxos.utxoStore.bchUtxos,
+        tokenUtxos,
+        1,
+        { unsigned: true }
+      )
 
-        assert.equal(true, false, 'unexpecte result')
-      } catch (err) {
-        assert.include(err.message, 'Token must be type 1')
-      }
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.tokenType, 129)
+      assert.equal(slpData.transactionType, 'SEND')
+      assert.equal(slpData.data.amounts[0].toString(), '0')
     })
-*/
+
     it('should generate burn transaction', async () => {
       const tokenId =
         'a4fb5c2da1aa064e25018a43f9165040071d9e984ba190c222a7f59053af84b2'
@@ -879,4 +1222,637 @@ describe('#tokens', () => {
       }
     })
   })
+
+  describe('#generateGenesisOpReturn', () => {
+    const tokenData = {
+      name: 'Loyalty Points',
+      ticker: 'LOYAL',
+      documentUri: 'https://example.com',
+      decimals: 2,
+      initialQty: 10000
+    }
+
+    it('should generate a GENESIS OP_RETURN', () => {
+      const result = uut.generateGenesisOpReturn(tokenData, 2)
+
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(result)
+      assert.equal(slpData.transactionType, 'GENESIS')
+      assert.equal(slpData.tokenType, 1)
+      assert.equal(slpData.data.ticker.toString(), 'LOYAL')
+      assert.equal(slpData.data.decimals, 2)
+      assert.equal(slpData.data.qty.toString(), '1000000')
+      assert.equal(slpData.data.mintBatonVout, 2)
+    })
+
+    it('should throw an error if the quantity has too many decimals', () => {
+      try {
+        uut.generateGenesisOpReturn(Object.assign({}, tokenData, { initialQty: 1.234 }))
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'initialQty must be a number')
+      }
+    })
+
+    it('should throw an error for invalid decimals', () => {
+      try {
+        uut.generateGenesisOpReturn(Object.assign({}, tokenData, { decimals: 10 }))
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'decimals must be an integer from 0 to 9')
+      }
+    })
+
+    it('should throw an error if the ticker is missing', () => {
+      try {
+        uut.generateGenesisOpReturn({ name: 'test', initialQty: 1 })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'ticker and name must be strings')
+      }
+    })
+  })
+
+  describe('#createTokenTransaction', () => {
+    const tokenData = {
+      name: 'Loyalty Points',
+      ticker: 'LOYAL',
+      decimals: 2,
+      initialQty: 10000
+    }
+    let bchUtxos
+
+    beforeEach(() => {
+      bchUtxos = cloneDeep(mockData.tokenUtxos01.bchUtxos)
+      bchUtxos[0].value = 10000
+    })
+
+    it('should send the tokens and the minting baton to the wallet', async () => {
+      const walletInfo = sendMockData.mockWallet
+
+      const result = await uut.createTokenTransaction(
+        tokenData,
+        walletInfo,
+        bchUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const addr = uut.bchjs.Address.fromOutputScript(tx.outs[1].script)
+      const batonAddr = uut.bchjs.Address.fromOutputScript(tx.outs[2].script)
+      assert.equal(addr, walletInfo.cashAddress)
+      assert.equal(batonAddr, walletInfo.cashAddress)
+      assert.equal(tx.outs[2].value, 546)
+    })
+
+    it('should send the minting baton to another address', async () => {
+      const batonAddr = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+
+      const result = await uut.createTokenTransaction(
+        Object.assign({}, tokenData, { mintBatonAddress: batonAddr }),
+        sendMockData.mockWallet,
+        bchUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      assert.equal(uut.bchjs.Address.fromOutputScript(tx.outs[2].script), batonAddr)
+    })
+
+    it('should create a token with a fixed supply', async () => {
+      const result = await uut.createTokenTransaction(
+        Object.assign({}, tokenData, { mintBatonAddress: null }),
+        sendMockData.mockWallet,
+        bchUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.data.mintBatonVout, 0)
+
+      // The OP_RETURN, the tokens, the donation and the change.
+      assert.equal(tx.outs.length, 4)
+    })
+
+    it('should throw an error if there are no BCH UTXOs', async () => {
+      try {
+        await uut.createTokenTransaction(tokenData, sendMockData.mockWallet, [])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'BCH UTXO list is empty')
+      }
+    })
+  })
+
+  describe('#createToken', () => {
+    it('should broadcast the TX and return the token ID', async () => {
+      sandbox.stub(uut, 'createTokenTransaction').resolves({ hex: 'fake-hex' })
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      sandbox.stub(uut.sendBch, 'updateUtxoStore').returns(true)
+
+      const result = await uut.createToken({}, sendMockData.mockWallet, [])
+
+      assert.equal(result, 'fake-txid')
+    })
+
+    it('should return an unsigned TX', async () => {
+      sandbox.stub(uut, 'createTokenTransaction').resolves({ hex: 'fake-hex', unsigned: true })
+
+      const result = await uut.createToken({}, sendMockData.mockWallet, [], 1, { unsigned: true })
+
+      assert.equal(result.unsigned, true)
+    })
+  })
+
+  describe('#createMintTransaction', () => {
+    const tokenId =
+      '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+    let bchUtxos
+    let batonUtxos
+
+    beforeEach(() => {
+      bchUtxos = cloneDeep(mockData.tokenUtxos01.bchUtxos)
+      bchUtxos[0].value = 10000
+
+      batonUtxos = [{
+        height: 0,
+        tx_hash: '8962566e413501224d178a02effc89be5ac0d8e4195f617415d443dc4c38fe50',
+        tx_pos: 2,
+        value: 546,
+        tokenId,
+        tokenType: 1,
+        decimals: 8,
+        type: 'baton'
+      }]
+    })
+
+    it('should mint tokens and keep the baton', async () => {
+      const walletInfo = sendMockData.mockWallet
+
+      const result = await uut.createMintTransaction(
+        tokenId,
+        2.5,
+        walletInfo,
+        bchUtxos,
+        batonUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.transactionType, 'MINT')
+      assert.equal(slpData.data.qty.toString(), '250000000')
+      assert.equal(slpData.data.mintBatonVout, 2)
+      assert.equal(
+        uut.bchjs.Address.fromOutputScript(tx.outs[2].script),
+        walletInfo.cashAddress
+      )
+
+      // The baton is spent first.
+      assert.equal(result.inputs[0].txid, batonUtxos[0].tx_hash)
+    })
+
+    it('should pass the baton on to another address', async () => {
+      const batonReceiver = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+
+      const result = await uut.createMintTransaction(
+        tokenId,
+        1,
+        sendMockData.mockWallet,
+        bchUtxos,
+        batonUtxos,
+        1,
+        { unsigned: true, batonReceiver }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      assert.equal(uut.bchjs.Address.fromOutputScript(tx.outs[2].script), batonReceiver)
+    })
+
+    it('should throw an error if the wallet does not hold the baton', async () => {
+      try {
+        await uut.createMintTransaction('abc123', 1, sendMockData.mockWallet, bchUtxos, batonUtxos)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Minting baton for token ID abc123 not found')
+      }
+    })
+
+    it('should throw an error for an invalid quantity', async () => {
+      try {
+        await uut.createMintTransaction(tokenId, 0, sendMockData.mockWallet, bchUtxos, batonUtxos)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'qty must be a number above 0')
+      }
+    })
+
+    it('should throw an error for a token type that can not be minted', async () => {
+      try {
+        batonUtxos[0].tokenType = 65
+
+        await uut.createMintTransaction(tokenId, 1, sendMockData.mockWallet, bchUtxos, batonUtxos)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Token Type 65 can not be minted')
+      }
+    })
+  })
+
+  describe('#mintTokens', () => {
+    it('should broadcast the TX and return the txid', async () => {
+      sandbox.stub(uut, 'createMintTransaction').resolves({ hex: 'fake-hex' })
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      sandbox.stub(uut.sendBch, 'updateUtxoStore').returns(true)
+
+      const result = await uut.mintTokens('abc', 1, sendMockData.mockWallet, [], [])
+
+      assert.equal(result, 'fake-txid')
+    })
+  })
+
+  describe('#NFT genesis', () => {
+    const groupId =
+      '8cd26481aaed66198e22e05450839fda763daadbb9938b0c71521ef43c642299'
+    let bchUtxos
+
+    beforeEach(() => {
+      bchUtxos = cloneDeep(mockData.tokenUtxos01.bchUtxos)
+      bchUtxos[0].value = 10000
+    })
+
+    it('should generate the GENESIS OP_RETURN of an NFT group', () => {
+      const result = uut.generateGenesisOpReturn(
+        { ticker: 'GRP', name: 'Group', initialQty: 100, tokenType: 129 },
+        2
+      )
+
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(result)
+      assert.equal(slpData.tokenType, 129)
+      assert.equal(slpData.data.qty.toString(), '100')
+    })
+
+    it('should generate the GENESIS OP_RETURN of a child NFT', () => {
+      const result = uut.generateGenesisOpReturn({
+        ticker: 'NFT1',
+        name: 'First NFT',
+        documentUri: 'ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi',
+        tokenType: 65
+      })
+
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(result)
+      assert.equal(slpData.tokenType, 65)
+      assert.equal(slpData.data.qty.toString(), '1')
+      assert.include(slpData.data.documentUri.toString(), 'ipfs://')
+    })
+
+    it('should create an NFT group', async () => {
+      const result = await uut.createTokenTransaction(
+        { ticker: 'GRP', name: 'Group', initialQty: 100, tokenType: 129 },
+        sendMockData.mockWallet,
+        bchUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.tokenType, 129)
+    })
+
+    it('should throw an error for an unsupported token type', async () => {
+      try {
+        await uut.createTokenTransaction(
+          { ticker: 'NFT', name: 'NFT', tokenType: 65 },
+          sendMockData.mockWallet,
+          bchUtxos
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'tokenType must be 1 or 129')
+      }
+    })
+
+    it('should mint a child NFT by burning a single group unit', async () => {
+      utxos.utxoStore = mockData.mockNFTGroupUtxos
+      const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+      const result = await uut.createNftChildTransaction(
+        groupId,
+        { ticker: 'NFT1', name: 'First NFT', documentUri: 'ipfs://abc' },
+        sendMockData.mockWallet,
+        bchUtxos,
+        tokenUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.transactionType, 'GENESIS')
+      assert.equal(slpData.tokenType, 65)
+      const groupUtxo = tokenUtxos.find(x => x.tokenId === groupId)
+      assert.equal(result.inputs[0].txid, groupUtxo.tx_hash)
+    })
+
+    it('should throw an error if there is no group UTXO of a single unit', async () => {
+      try {
+        utxos.utxoStore = cloneDeep(mockData.mockNFTGroupUtxos)
+        utxos.utxoStore.slpUtxos.group.tokens[0].tokenQty = 5
+        const tokenUtxos = utxos.getSpendableTokenUtxos()
+
+        await uut.createNftChildTransaction(
+          groupId,
+          { ticker: 'NFT1', name: 'First NFT' },
+          sendMockData.mockWallet,
+          bchUtxos,
+          tokenUtxos
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Split the group tokens first')
+      }
+    })
+
+    it('should broadcast the child NFT and return its token ID', async () => {
+      sandbox.stub(uut, 'createNftChildTransaction').resolves({ hex: 'fake-hex' })
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      sandbox.stub(uut.sendBch, 'updateUtxoStore').returns(true)
+
+      const result = await uut.createNftChild(groupId, {}, sendMockData.mockWallet, [], [])
+
+      assert.equal(result, 'fake-txid')
+    })
+  })
+
+  describe('#getGroupSplitOutputs', () => {
+    it('should generate an output of one unit for each UTXO', () => {
+      const result = uut.getGroupSplitOutputs('abc', 3, 'ecash:qp...', 2)
+
+      assert.equal(result.length, 3)
+      assert.deepEqual(result[0], { address: 'ecash:qp...', tokenId: 'abc', qty: '0.01' })
+    })
+
+    it('should throw an error for an invalid number of UTXOs', () => {
+      try {
+        uut.getGroupSplitOutputs('abc', 0, 'ecash:qp...')
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'must be a positive integer')
+      }
+    })
+  })
+
+  describe('#isSingleUnit', () => {
+    it('should detect UTXOs of a single base unit', () => {
+      assert.equal(uut.isSingleUnit({ qtyStr: '0.01', decimals: 2 }), true)
+      assert.equal(uut.isSingleUnit({ qtyStr: '1', decimals: 2 }), false)
+      assert.equal(uut.isSingleUnit({ tokenQty: 1, decimals: 0 }), true)
+    })
+  })
+
+  describe('#generateBurnOpReturn', () => {
+    const tokenId =
+      '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+    let tokenUtxos
+
+    beforeEach(() => {
+      utxos.utxoStore = mockData.tokenUtxos01
+      tokenUtxos = utxos
+        .getSpendableTokenUtxos()
+        .filter(x => x.tokenId === tokenId)
+    })
+
+    it('should send the remaining tokens back to the wallet', () => {
+      const result = uut.generateBurnOpReturn(tokenUtxos, 0.25)
+
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(result)
+      assert.equal(slpData.tokenType, 1)
+      assert.equal(slpData.data.amounts[0].toString(), '75000000')
+    })
+
+    it('should throw an error if the wallet holds too few tokens', () => {
+      try {
+        uut.generateBurnOpReturn(tokenUtxos, 2)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Trying to burn 2, but the wallet only holds 1')
+      }
+    })
+
+    it('should burn a child NFT', () => {
+      const nftUtxos = [{ tokenId, tokenType: 65, decimals: 0, qtyStr: '1' }]
+
+      const result = uut.generateBurnOpReturn(nftUtxos, 1)
+
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(result)
+      assert.equal(slpData.tokenType, 65)
+      assert.equal(slpData.data.amounts[0].toString(), '0')
+    })
+  })
+
+  describe('#createDestroyBatonTransaction', () => {
+    const tokenId =
+      '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+    let bchUtxos
+    let batonUtxos
+
+    beforeEach(() => {
+      bchUtxos = cloneDeep(mockData.tokenUtxos01.bchUtxos)
+      bchUtxos[0].value = 10000
+
+      batonUtxos = [{
+        height: 0,
+        tx_hash: '8962566e413501224d178a02effc89be5ac0d8e4195f617415d443dc4c38fe50',
+        tx_pos: 2,
+        value: 546,
+        tokenId,
+        tokenType: 1,
+        decimals: 8,
+        type: 'baton'
+      }]
+    })
+
+    it('should spend the baton in a TX without an SLP message', async () => {
+      const result = await uut.createDestroyBatonTransaction(
+        tokenId,
+        sendMockData.mockWallet,
+        bchUtxos,
+        batonUtxos,
+        1,
+        { unsigned: true, confirm: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      assert.equal(result.inputs[0].txid, batonUtxos[0].tx_hash)
+      tx.outs.forEach(x => assert.notEqual(x.script[0], 0x6a))
+    })
+
+    it('should explain what it does if it is not confirmed', async () => {
+      try {
+        await uut.createDestroyBatonTransaction(
+          tokenId,
+          sendMockData.mockWallet,
+          bchUtxos,
+          batonUtxos
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'permanently caps its supply')
+      }
+    })
+
+    it('should throw an error if the wallet does not hold the baton', async () => {
+      try {
+        await uut.createDestroyBatonTransaction(
+          'abc123',
+          sendMockData.mockWallet,
+          bchUtxos,
+          batonUtxos,
+          1,
+          { confirm: true }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Minting baton for token ID abc123 not found')
+      }
+    })
+  })
+
+  describe('#destroyMintBaton', () => {
+    it('should broadcast the TX and return the txid', async () => {
+      sandbox.stub(uut, 'createDestroyBatonTransaction').resolves({ hex: 'fake-hex' })
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      sandbox.stub(uut.sendBch, 'updateUtxoStore').returns(true)
+
+      const result = await uut.destroyMintBaton('abc', sendMockData.mockWallet, [], [])
+
+      assert.equal(result, 'fake-txid')
+    })
+  })
+
+  describe('#createSendBatonTransaction', () => {
+    const tokenId =
+      '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+    const receiver = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+    let bchUtxos
+    let batonUtxos
+
+    beforeEach(() => {
+      bchUtxos = cloneDeep(mockData.tokenUtxos01.bchUtxos)
+      bchUtxos[0].value = 10000
+
+      batonUtxos = [{
+        height: 0,
+        tx_hash: '8962566e413501224d178a02effc89be5ac0d8e4195f617415d443dc4c38fe50',
+        tx_pos: 2,
+        value: 546,
+        tokenId,
+        tokenType: 1,
+        decimals: 8,
+        type: 'baton'
+      }]
+    })
+
+    it('should move the baton with a MINT of 0 tokens', async () => {
+      const result = await uut.createSendBatonTransaction(
+        tokenId,
+        receiver,
+        sendMockData.mockWallet,
+        bchUtxos,
+        batonUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.transactionType, 'MINT')
+      assert.equal(slpData.data.qty.toString(), '0')
+      assert.equal(slpData.data.mintBatonVout, 2)
+      assert.equal(uut.bchjs.Address.fromOutputScript(tx.outs[2].script), receiver)
+      assert.equal(result.inputs[0].txid, batonUtxos[0].tx_hash)
+    })
+
+    it('should move the baton of an NFT group', async () => {
+      batonUtxos[0].tokenType = 129
+
+      const result = await uut.createSendBatonTransaction(
+        tokenId,
+        receiver,
+        sendMockData.mockWallet,
+        bchUtxos,
+        batonUtxos,
+        1,
+        { unsigned: true }
+      )
+
+      const tx = Transaction.fromHex(result.hex)
+      const slpData = uut.bchjs.SLP.Utils.slpParser.parseSLP(tx.outs[0].script)
+      assert.equal(slpData.tokenType, 129)
+    })
+
+    it('should throw an error if the wallet does not hold the baton', async () => {
+      try {
+        await uut.createSendBatonTransaction(
+          'abc123',
+          receiver,
+          sendMockData.mockWallet,
+          bchUtxos,
+          batonUtxos
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Minting baton for token ID abc123 not found')
+      }
+    })
+
+    it('should throw an error if the baton is at the chain limit', async () => {
+      try {
+        batonUtxos[0].unconfirmedAncestors = 50
+
+        await uut.createSendBatonTransaction(
+          tokenId,
+          receiver,
+          sendMockData.mockWallet,
+          bchUtxos,
+          batonUtxos
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Unconfirmed chain limit of 50 reached')
+      }
+    })
+  })
+
+  describe('#sendMintBaton', () => {
+    it('should broadcast the TX and return the txid', async () => {
+      sandbox.stub(uut, 'createSendBatonTransaction').resolves({ hex: 'fake-hex' })
+      sandbox.stub(uut.ar, 'sendTx').resolves('fake-txid')
+      sandbox.stub(uut.sendBch, 'updateUtxoStore').returns(true)
+
+      const result = await uut.sendMintBaton('abc', 'addr', sendMockData.mockWallet, [], [])
+
+      assert.equal(result, 'fake-txid')
+    })
+  })
 })
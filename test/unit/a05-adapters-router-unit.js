@@ -66,6 +66,144 @@ describe('#adapter-router', () => {
       assert.equal(uut.interface, 'consumer-api')
       assert.equal(uut.bchConsumer.restURL, 'fakeUrl')
     })
+
+    it('should throw an error for an unknown interface', () => {
+      try {
+        const bchjs = new BCHJS()
+        uut = new AdapterRouter({ bchjs, interface: 'unknown-api' })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, "Unknown interface 'unknown-api'")
+      }
+    })
+  })
+
+  describe('#registerAdapter', () => {
+    // An adapter that implements every method of the adapter interface.
+    const mockAdapter = () => ({
+      getBalance: async () => ({
+        success: true,
+        balance: { confirmed: 1000, unconfirmed: 0 }
+      }),
+      getUtxos: async () => ({}),
+      getTransactions: async () => ({ success: true, transactions: [] }),
+      getTxData: async () => [],
+      sendTx: async () => 'fake-txid',
+      getUsd: async () => 100,
+      utxoIsValid: async () => true,
+      getTokenData: async () => ({}),
+      getTokenData2: async () => ({})
+    })
+
+    // Keep the registry the same for the other tests.
+    afterEach(() => {
+      AdapterRouter.listAdapters()
+        .filter(x => x.startsWith('test-'))
+        .forEach(x => AdapterRouter.unregisterAdapter(x))
+    })
+
+    it('should route the network calls to a registered adapter', async () => {
+      AdapterRouter.registerAdapter('test-object-api', mockAdapter())
+
+      const bchjs = new BCHJS()
+      uut = new AdapterRouter({ bchjs, interface: 'test-object-api' })
+
+      assert.equal(uut.interface, 'test-object-api')
+      assert.include(AdapterRouter.listAdapters(), 'test-object-api')
+      assert.equal(await uut.sendTx('hex'), 'fake-txid')
+      assert.equal(await uut.getUsd(), 100)
+    })
+
+    it('should instantiate an adapter registered as a class', async () => {
+      class TestAdapter {
+        constructor (localConfig) {
+          Object.assign(this, mockAdapter())
+          this.restURL = localConfig.restURL
+        }
+      }
+      AdapterRouter.registerAdapter('test-class-api', TestAdapter)
+
+      const bchjs = new BCHJS()
+      uut = new AdapterRouter({
+        bchjs,
+        interface: 'test-class-api',
+        restURL: 'http://localhost:5000'
+      })
+
+      assert.instanceOf(uut.getAdapter(), TestAdapter)
+      assert.equal(uut.getAdapter().restURL, 'http://localhost:5000')
+      assert.equal(await uut.utxoIsValid({}), true)
+    })
+
+    it('should throw an error for an adapter that is not complete', () => {
+      try {
+        const adapter = mockAdapter()
+        delete adapter.getUsd
+        delete adapter.sendTx
+
+        AdapterRouter.registerAdapter('test-partial-api', adapter)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'does not implement: sendTx, getUsd')
+      }
+    })
+
+    it('should not replace a built-in adapter', () => {
+      try {
+        AdapterRouter.registerAdapter('rest-api', mockAdapter())
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, "The built-in 'rest-api' adapter")
+      }
+    })
+
+    it('should throw an error if the name is not a string', () => {
+      try {
+        AdapterRouter.registerAdapter(null, mockAdapter())
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'The name of an adapter must be a string')
+      }
+    })
+  })
+
+  describe('#unregisterAdapter', () => {
+    it('should remove a registered adapter', () => {
+      const TestAdapter = function () {}
+      AdapterRouter.registerAdapter('test-removed-api', TestAdapter)
+
+      const result = AdapterRouter.unregisterAdapter('test-removed-api')
+
+      assert.equal(result, true)
+      assert.notInclude(AdapterRouter.listAdapters(), 'test-removed-api')
+
+      try {
+        const bchjs = new BCHJS()
+        uut = new AdapterRouter({ bchjs, interface: 'test-removed-api' })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, "Unknown interface 'test-removed-api'")
+      }
+    })
+
+    it('should return false if the adapter is not registered', () => {
+      assert.equal(AdapterRouter.unregisterAdapter('test-missing-api'), false)
+    })
+
+    it('should not remove a built-in adapter', () => {
+      try {
+        AdapterRouter.unregisterAdapter('chronik')
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, "The built-in 'chronik' adapter")
+      }
+    })
   })
 
   describe('#getUtxos', () => {
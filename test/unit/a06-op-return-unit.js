@@ -6,6 +6,7 @@
 const assert = require('chai').assert
 const sinon = require('sinon')
 const BCHJS = require('@psf/bch-js')
+const { Transaction } = require('@psf/bitcoincashjs-lib')
 
 // Local libraries
 const OpReturn = require('../../lib/op-return')
@@ -30,6 +31,9 @@ describe('#OP_RETURN', () => {
 
     sandbox = sinon.createSandbox()
 
+    // The mock UTXOs are not SLP UTXOs. See TokenGuard.lookupInputs().
+    sandbox.stub(config.ar, 'getTxData').resolves([{ isValidSlp: false, vout: [] }])
+
     // mockData = Object.assign({}, mockDataLib)
     // sendMockData = Object.assign({}, sendMockDataLib)
   })
@@ -61,116 +65,6 @@ describe('#OP_RETURN', () => {
     })
   })
 
-  describe('#calculateFee', () => {
-    it('should accurately calculate a P2PKH with 2 input and 2 outputs', () => {
-      const fee = uut.calculateFee(2, 2, 3, 1)
-      // console.log('fee: ', fee)
-
-      assert.equal(fee, 421)
-    })
-
-    it('should throw an error for bad input', () => {
-      try {
-        uut.calculateFee('a', 'b', 'c')
-        // console.log('fee: ', fee)
-
-        assert.fail('Unexpected code path')
-      } catch (err) {
-        // console.log('err: ', err)
-        assert.include(
-          err.message,
-          'Invalid input. Fee could not be calculated'
-        )
-      }
-    })
-
-    it('should calculate fee for minimum OP_RETURN size', () => {
-      const fee = uut.calculateFee(1, 2, 3, 1)
-      // console.log('fee: ', fee)
-
-      assert.equal(fee, 273)
-    })
-
-    it('should calculate fee for maximum OP_RETURN size', () => {
-      const fee = uut.calculateFee(1, 2, 223, 1)
-      // console.log('fee: ', fee)
-
-      assert.equal(fee, 493)
-    })
-  })
-
-  describe('#getNecessaryUtxosAndChange', () => {
-    it('should return UTXOs to achieve single output', () => {
-      const outputs = [
-        {
-          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
-          amountSat: 600
-        }
-      ]
-
-      const { necessaryUtxos, change } = uut.getNecessaryUtxosAndChange(
-        outputs,
-        sendMockData.exampleUtxos01.utxos
-      )
-      // console.log('necessaryUtxos: ', necessaryUtxos)
-      // console.log('change: ', change)
-
-      assert.isArray(necessaryUtxos)
-      assert.equal(necessaryUtxos.length, 3)
-      assert.isNumber(change)
-    })
-
-    it('should return UTXOs to achieve multiple outputs', () => {
-      const outputs = [
-        {
-          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
-          amountSat: 12513803
-        },
-        {
-          address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
-          amountSat: 2000
-        }
-      ]
-
-      const { necessaryUtxos, change } = uut.getNecessaryUtxosAndChange(
-        outputs,
-        sendMockData.exampleUtxos01.utxos
-      )
-      // console.log('necessaryUtxos: ', necessaryUtxos)
-      // console.log('change: ', change)
-
-      assert.isArray(necessaryUtxos)
-      assert.equal(necessaryUtxos.length, 3)
-      assert.isNumber(change)
-    })
-
-    it('should throw an error if not enough BCH', () => {
-      try {
-        const outputs = [
-          {
-            address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
-            amountSat: 12525803
-          },
-          {
-            address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h',
-            amountSat: 2000
-          }
-        ]
-
-        uut.getNecessaryUtxosAndChange(
-          outputs,
-          sendMockData.exampleUtxos01.utxos
-        )
-
-        assert.equal(true, false, 'Unexpected result')
-      } catch (err) {
-        // console.log('err: ', err)
-
-        assert.include(err.message, 'Insufficient balance')
-      }
-    })
-  })
-
   describe('#createTransaction', () => {
     it('should throw an error if there are no BCH UTXOs.', async () => {
       try {
@@ -222,6 +116,85 @@ describe('#OP_RETURN', () => {
       assert.isString(result.hex)
       assert.isString(result.txid)
     })
+
+    it('should pay at least the fee rate for a large OP_RETURN', async () => {
+      const utxos = sendMockData.exampleUtxos01.utxos
+
+      const result = await uut.createTransaction(
+        sendMockData.mockWallet,
+        utxos,
+        'a'.repeat(220),
+        '6d02',
+        [],
+        2.0
+      )
+
+      // The fee is what is left over by the outputs.
+      const tx = Transaction.fromHex(result.hex)
+      const inputSats = tx.ins.reduce((acc, input) => {
+        const txid = Buffer.from(input.hash).reverse().toString('hex')
+        return acc + utxos.find(x => x.tx_hash === txid).value
+      }, 0)
+      const outputSats = tx.outs.reduce((acc, x) => acc + x.value, 0)
+      assert.equal(inputSats - outputSats, result.fee)
+
+      // Within 2 bytes per input of the requested rate.
+      const size = result.hex.length / 2
+      assert.isAtLeast(result.fee, size * 2)
+      assert.isAtMost(result.fee, (size + 2 * tx.ins.length) * 2)
+    })
+  })
+
+  describe('#calculateFee', () => {
+    it('should accurately calculate a P2PKH with 2 input and 2 outputs', () => {
+      const fee = uut.calculateFee(2, 2, 3, 1)
+      // console.log('fee: ', fee)
+
+      assert.equal(fee, 388)
+    })
+
+    it('should throw an error for bad input', () => {
+      try {
+        uut.calculateFee('a', 'b', 'c')
+        // console.log('fee: ', fee)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        // console.log('err: ', err)
+        assert.include(
+          err.message,
+          'Invalid input. Fee could not be calculated'
+        )
+      }
+    })
+
+    it('should calculate fee for minimum OP_RETURN size', () => {
+      const fee = uut.calculateFee(1, 2, 3, 1)
+      // console.log('fee: ', fee)
+
+      assert.equal(fee, 239)
+    })
+
+    it('should calculate fee for maximum OP_RETURN size', () => {
+      const fee = uut.calculateFee(1, 2, 223, 1)
+      // console.log('fee: ', fee)
+
+      assert.equal(fee, 459)
+    })
+  })
+
+  describe('#generateScript', () => {
+    it('should generate an OP_RETURN script', () => {
+      const result = uut.generateScript('hello', '6d02')
+
+      assert.equal(result.toString('hex'), '6a026d020568656c6c6f')
+    })
+
+    it('should default to an empty memo.cash post', () => {
+      const result = uut.generateScript()
+
+      assert.equal(result.toString('hex').slice(0, 8), '6a026d02')
+    })
   })
 
   describe('#sendOpReturn', () => {
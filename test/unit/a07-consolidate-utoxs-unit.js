@@ -13,6 +13,40 @@ const ConsolidateUtxos = require('../../lib/consolidate-utxos.js')
 const SlpWallet = require('../../index.js')
 const mockDataLib = require('./mocks/consolidate-utxos-mocks')
 
+// Generate cnt BCH UTXOs holding value satoshis each.
+function mockUtxos (cnt, value = 1000) {
+  const utxos = []
+  for (let i = 0; i < cnt; i++) {
+    utxos.push({
+      height: 0,
+      tx_hash: '1034346a618d3492882722cb8a21f72ceba802ee3a1f1c4a22bac80f13d13244',
+      tx_pos: i,
+      value
+    })
+  }
+
+  return utxos
+}
+
+// Generate cnt token UTXOs of the token tokenId, holding one token each.
+function mockTokenUtxos (cnt, tokenId, tokenType = 1) {
+  return mockUtxos(cnt, 546).map(utxo =>
+    Object.assign(utxo, {
+      isSlp: true,
+      type: 'token',
+      tokenId,
+      tokenType,
+      ticker: 'TST',
+      name: 'Test token',
+      decimals: 0,
+      qtyStr: '1'
+    })
+  )
+}
+
+const GROUP_ID =
+  '8cd26481aaed66198e22e05450839fda763daadbb9938b0c71521ef43c642299'
+
 describe('#Consolidate-UTXOs', () => {
   let sandbox
   let uut
@@ -91,6 +125,24 @@ describe('#Consolidate-UTXOs', () => {
       assert.equal(result[0].cnt, 1)
       assert.equal(result[1].cnt, 2)
     })
+
+    it('should include NFT group tokens, and leave out child NFTs', () => {
+      uut.wallet.utxos.utxoStore = {
+        slpUtxos: {
+          type1: { tokens: mockData.tokenUtxos01, mintBatons: [] },
+          group: { tokens: mockTokenUtxos(3, GROUP_ID, 129), mintBatons: [] },
+          nft: { tokens: mockTokenUtxos(2, 'nft-id', 65) }
+        }
+      }
+
+      const result = uut.countTokenUtxos()
+
+      assert.equal(result.length, 3)
+      assert.equal(result[2].tokenId, GROUP_ID)
+      assert.equal(result[2].tokenType, 129)
+      assert.equal(result[2].cnt, 3)
+      assert.equal(result[0].tokenType, 1)
+    })
   })
 
   describe('#consolidateTokenUtxos', () => {
@@ -106,13 +158,297 @@ describe('#Consolidate-UTXOs', () => {
       assert.equal(result.length, 1)
       assert.equal(result[0], 'fake-txid')
     })
+
+    it('should flag the transactions as consolidations', async () => {
+      const sendStub = sandbox.stub(uut.wallet, 'sendTokens').resolves('fake-txid')
+      sandbox.stub(uut.bchjs.Util, 'sleep').resolves()
+      sandbox.stub(uut, 'updateUtxos').resolves()
+
+      await uut.consolidateTokenUtxos(mockData.countTokenUtxosOut01)
+
+      assert.equal(sendStub.getCall(0).args[2].consolidate, true)
+    })
+
+    it('should send only the UTXOs of each batch', async () => {
+      const sendStub = sandbox.stub(uut.wallet, 'sendTokens').resolves('fake-txid')
+      sandbox.stub(uut.bchjs.Util, 'sleep').resolves()
+      sandbox.stub(uut, 'updateUtxos').resolves()
+
+      const token = mockData.countTokenUtxosOut01[1]
+      const batchUtxos = token.utxos.slice(0, 1)
+      token.batches = [
+        { utxos: batchUtxos, qty: '1', skipped: null },
+        { utxos: token.utxos.slice(1), qty: '1', skipped: 'Skipped' }
+      ]
+
+      const result = await uut.consolidateTokenUtxos([token])
+
+      assert.deepEqual(result, ['fake-txid'])
+      assert.equal(sendStub.callCount, 1)
+      assert.equal(sendStub.getCall(0).args[0].qty, '1')
+
+      const filter = sendStub.getCall(0).args[2].tokenUtxosFilter
+      assert.deepEqual(filter(token.utxos), batchUtxos)
+    })
+  })
+
+  describe('#consolidateBchUtxos', () => {
+    it('should send the BCH of each batch back to the wallet as a consolidation', async () => {
+      const sendStub = sandbox.stub(uut.wallet, 'sendAll').resolves('fake-txid')
+      const batches = [
+        { utxos: mockUtxos(2), skipped: null },
+        { utxos: mockUtxos(2), skipped: 'The fee would exceed the budget' }
+      ]
+
+      const result = await uut.consolidateBchUtxos(batches)
+
+      assert.deepEqual(result, ['fake-txid'])
+      assert.ok(
+        sendStub.calledOnceWith(uut.wallet.walletInfo.cashAddress, {
+          consolidate: true,
+          inputs: batches[0].utxos
+        })
+      )
+    })
+
+    it('should not send a batch again when it is retried', async () => {
+      const sendStub = sandbox.stub(uut.wallet, 'sendAll').resolves('fake-txid2')
+      const batches = [
+        { utxos: mockUtxos(2), skipped: null, txid: 'fake-txid1' },
+        { utxos: mockUtxos(2), skipped: null }
+      ]
+
+      const result = await uut.consolidateBchUtxos(batches)
+
+      assert.deepEqual(result, ['fake-txid1', 'fake-txid2'])
+      assert.equal(sendStub.callCount, 1)
+    })
+  })
+
+  describe('#getPolicy', () => {
+    it('should return the default policy', () => {
+      const result = uut.getPolicy()
+
+      assert.equal(result.minUtxos, 2)
+      assert.equal(result.maxInputs, 500)
+      assert.equal(result.dustOnly, false)
+      assert.equal(result.maxFee, Infinity)
+      assert.equal(result.skipUneconomical, false)
+    })
+
+    it('should override the defaults', () => {
+      const result = uut.getPolicy({ maxInputs: 100, dustOnly: true, dryRun: true })
+
+      assert.equal(result.maxInputs, 100)
+      assert.equal(result.dustOnly, true)
+      assert.notProperty(result, 'dryRun')
+    })
+
+    it('should throw an error for an invalid policy', () => {
+      const policies = [
+        { minUtxos: 1 },
+        { maxInputs: 1.5 },
+        { dustThreshold: 0 },
+        { maxFee: -1 }
+      ]
+
+      policies.forEach(policy => {
+        try {
+          uut.getPolicy(policy)
+
+          assert.fail('Unexpected code path')
+        } catch (err) {
+          assert.include(err.message, Object.keys(policy)[0])
+        }
+      })
+    })
+  })
+
+  describe('#planBchConsolidation', () => {
+    it('should split thousands of dust UTXOs into batches', () => {
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(3000, 600) }
+
+      const result = uut.planBchConsolidation(uut.getPolicy())
+
+      assert.equal(result.length, 6)
+      result.forEach(batch => {
+        assert.equal(batch.utxoCnt, 500)
+        assert.equal(batch.skipped, null)
+      })
+    })
+
+    it('should split the UTXOs into batches of about the same size', () => {
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(11, 10000) }
+
+      const result = uut.planBchConsolidation(uut.getPolicy({ maxInputs: 5 }))
+
+      assert.deepEqual(result.map(x => x.utxoCnt), [4, 4, 3])
+    })
+
+    it('should not consolidate fewer than minUtxos UTXOs', () => {
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(4, 10000) }
+
+      const result = uut.planBchConsolidation(uut.getPolicy({ minUtxos: 5 }))
+
+      assert.deepEqual(result, [])
+    })
+
+    it('should only consolidate dust in dust-only mode', () => {
+      const bchUtxos = mockUtxos(3, 800).concat(mockUtxos(2, 50000))
+      uut.wallet.utxos.utxoStore = { bchUtxos }
+
+      const result = uut.planBchConsolidation(uut.getPolicy({ dustOnly: true }))
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].utxoCnt, 3)
+      assert.equal(result[0].value, 2400)
+    })
+
+    it('should skip batches that would exceed the fee budget', () => {
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(4, 10000) }
+      const policy = uut.getPolicy({ maxInputs: 2 })
+      const fee = uut.planBchConsolidation(policy)[0].fee
+
+      const budget = { remaining: fee + 10 }
+      const result = uut.planBchConsolidation(policy, budget)
+
+      assert.equal(result[0].skipped, null)
+      assert.include(result[1].skipped, 'fee budget')
+      assert.equal(budget.remaining, 10)
+    })
+
+    it('should skip batches that can not pay their fee', () => {
+      uut.wallet.fee = 10
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(2, 1000) }
+
+      const result = uut.planBchConsolidation(uut.getPolicy())
+
+      assert.include(result[0].skipped, 'can not pay the fee')
+    })
+
+    it('should leave frozen UTXOs alone', () => {
+      const utxos = mockUtxos(3, 1000)
+      uut.wallet.utxos.utxoStore = { bchUtxos: utxos }
+      uut.wallet.utxos.freeze([utxos[0]])
+
+      const result = uut.planBchConsolidation(uut.getPolicy())
+
+      assert.equal(result[0].utxoCnt, 2)
+      assert.notInclude(result[0].utxos, utxos[0])
+    })
+  })
+
+  describe('#planTokenConsolidation', () => {
+    it('should plan the consolidation of the UTXOs of a token', () => {
+      const token = mockData.countTokenUtxosOut01[1]
+
+      const result = uut.planTokenConsolidation(token, uut.getPolicy())
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].utxoCnt, 2)
+      assert.equal(result[0].qty, '2')
+      assert.equal(result[0].skipped, null)
+    })
+
+    it('should skip a token batch whose fee exceeds the dust recovered', () => {
+      const token = mockData.countTokenUtxosOut01[1]
+
+      const result = uut.planTokenConsolidation(
+        token,
+        uut.getPolicy({ skipUneconomical: true })
+      )
+
+      assert.include(result[0].skipped, 'sats recovered')
+    })
+
+    it('should plan the consolidation of NFT group tokens', () => {
+      const token = {
+        tokenId: GROUP_ID,
+        tokenType: 129,
+        cnt: 3,
+        utxos: mockTokenUtxos(3, GROUP_ID, 129)
+      }
+
+      const result = uut.planTokenConsolidation(token, uut.getPolicy())
+
+      assert.equal(result.length, 1)
+      assert.equal(result[0].utxoCnt, 3)
+      assert.equal(result[0].qty, '3')
+      assert.equal(result[0].skipped, null)
+    })
+
+    it('should not consolidate a token with a single UTXO', () => {
+      const token = mockData.countTokenUtxosOut01[0]
+
+      const result = uut.planTokenConsolidation(token, uut.getPolicy())
+
+      assert.deepEqual(result, [])
+    })
+  })
+
+  describe('#summarize', () => {
+    it('should summarize the consolidation by UTXO type', () => {
+      uut.wallet.fee = 1
+      uut.wallet.utxos.utxoStore = {
+        slpUtxos: { nft: { tokens: mockTokenUtxos(2, 'nft-id', 65) } }
+      }
+      const outObj = {
+        bchUtxoCnt: 12,
+        bchBatches: [
+          { utxoCnt: 6, value: 6000, fee: 1000, donation: 0, skipped: null },
+          { utxoCnt: 6, value: 6000, fee: 1000, donation: 0, skipped: 'Skipped' }
+        ],
+        tokenUtxos: [
+          {
+            tokenType: 1,
+            cnt: 1,
+            batches: []
+          },
+          {
+            tokenType: 129,
+            cnt: 3,
+            batches: [
+              { utxoCnt: 3, value: 1638, fee: 700, donation: 0, skipped: null }
+            ]
+          }
+        ]
+      }
+
+      const result = uut.summarize(outObj)
+
+      assert.deepInclude(result.bch, {
+        utxoCnt: 12,
+        utxosAfter: 7,
+        utxosSaved: 5,
+        txCnt: 1,
+        fee: 1000,
+        spendFeeSaved: 5 * 149
+      })
+      assert.deepInclude(result.type1, { tokens: 1, utxoCnt: 1, utxosSaved: 0 })
+      assert.deepInclude(result.group, {
+        tokens: 1,
+        utxoCnt: 3,
+        utxosAfter: 1,
+        utxosSaved: 2,
+        fee: 700,
+        dustRecovered: 1092
+      })
+      assert.deepInclude(result.nft, { utxoCnt: 2, utxosAfter: 2, utxosSaved: 0 })
+      assert.deepInclude(result.total, {
+        utxoCnt: 18,
+        utxosAfter: 11,
+        utxosSaved: 7,
+        txCnt: 2,
+        fee: 1700
+      })
+    })
   })
 
   describe('#start', () => {
     it('should return expected properties and values if there are no UTXOs to consolidate', async () => {
       // Mock dependencies and force desired code path
       sandbox.stub(uut, 'updateUtxos').resolves()
-      sandbox.stub(uut, 'countBchUtxos').returns(1)
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(1, 10000) }
       sandbox.stub(uut, 'countTokenUtxos').returns([])
 
       const result = await uut.start()
@@ -134,7 +470,7 @@ describe('#Consolidate-UTXOs', () => {
     it('should consolidate BCH and token UTXOs', async () => {
       // Mock dependencies and force desired code path
       sandbox.stub(uut, 'updateUtxos').resolves()
-      sandbox.stub(uut, 'countBchUtxos').returns(2)
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(2, 10000) }
       sandbox.stub(uut.wallet, 'sendAll').resolves('fake-bch-txid')
       sandbox.stub(uut.bchjs.Util, 'sleep').resolves()
       sandbox.stub(uut, 'countTokenUtxos').returns(mockData.countTokenUtxosOut01)
@@ -156,6 +492,27 @@ describe('#Consolidate-UTXOs', () => {
       assert.equal(result.tokenTxids.length, 1)
     })
 
+    it('should report the batches without sending them in a dry run', async () => {
+      sandbox.stub(uut, 'updateUtxos').resolves()
+      uut.wallet.utxos.utxoStore = { bchUtxos: mockUtxos(3000, 600) }
+      const sendStub = sandbox.stub(uut.wallet, 'sendAll').resolves('fake-txid')
+      const tokenStub = sandbox.stub(uut.wallet, 'sendTokens').resolves('fake-txid')
+      sandbox.stub(uut, 'countTokenUtxos').returns(mockData.countTokenUtxosOut01)
+
+      const result = await uut.start({ dryRun: true, maxInputs: 1000 })
+
+      assert.equal(result.policy.maxInputs, 1000)
+      assert.equal(result.bchBatches.length, 3)
+      assert.equal(result.tokenUtxos[1].batches.length, 1)
+      assert.equal(result.summary.bch.txCnt, 3)
+      assert.equal(result.summary.bch.utxosAfter, 3)
+      assert.equal(result.summary.type1.tokens, 2)
+      assert.equal(result.summary.type1.utxosSaved, 1)
+      assert.equal(result.bchTxid, null)
+      assert.equal(sendStub.called, false)
+      assert.equal(tokenStub.called, false)
+    })
+
     it('should catch and throw errors', async () => {
       try {
         // Mock dependencies and force desired code path
@@ -0,0 +1,193 @@
+/*
+  Unit tests for the hd-wallet.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+const BCHJS = require('@psf/bch-js')
+
+// Local libraries
+const HdWallet = require('../../lib/hd-wallet')
+const AdapterRouter = require('../../lib/adapters/router')
+const sendMockData = require('./mocks/send-bch-mocks')
+
+describe('#HdWallet', () => {
+  let sandbox
+  let uut
+
+  beforeEach(() => {
+    const config = {
+      restURL: 'https://api.fullstack.cash/v5/'
+    }
+    const bchjs = new BCHJS(config)
+    config.bchjs = bchjs
+    config.ar = new AdapterRouter(config)
+    uut = new HdWallet(config)
+
+    sandbox = sinon.createSandbox()
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw an error if instance of bch-js is not passed', () => {
+      try {
+        uut = new HdWallet()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating HdWallet.'
+        )
+      }
+    })
+
+    it('should throw an error if instance of Adapter Router is not passed', () => {
+      try {
+        uut = new HdWallet({ bchjs: {} })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Must pass instance of Adapter Router.')
+      }
+    })
+
+    it('should use a default gap limit of 20', () => {
+      assert.equal(uut.gapLimit, 20)
+    })
+
+    it('should accept a custom gap limit', () => {
+      uut = new HdWallet({ bchjs: {}, ar: {}, gapLimit: 5 })
+
+      assert.equal(uut.gapLimit, 5)
+    })
+  })
+
+  describe('#getAccountPath', () => {
+    it('should strip the chain and index from a BIP44 path', () => {
+      const result = uut.getAccountPath("m/44'/1899'/0'/0/0")
+
+      assert.equal(result, "m/44'/1899'/0'")
+    })
+
+    it('should throw an error for a path that is not BIP44', () => {
+      try {
+        uut.getAccountPath("m/44'/245'/0'/1'")
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'is not a BIP44 path')
+      }
+    })
+
+    it('should throw an error if hdPath is not a string', () => {
+      try {
+        uut.getAccountPath()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'hdPath must be a string')
+      }
+    })
+  })
+
+  describe('#getAddressIndex', () => {
+    it('should return the address index of a path', () => {
+      const result = uut.getAddressIndex("m/44'/1899'/0'/0/5")
+
+      assert.equal(result, 5)
+    })
+  })
+
+  describe('#deriveAddress', () => {
+    it('should derive the same address as the wallet hdPath', async () => {
+      const mnemonic = sendMockData.mockWallet.mnemonic
+      const accountPath = "m/44'/245'/0'"
+      const accountNode = await uut.getAccountNode(mnemonic, accountPath)
+
+      const result = uut.deriveAddress(accountNode, accountPath, 0, 0)
+      // console.log('result: ', result)
+
+      assert.equal(result.hdIndex, 0)
+      assert.equal(result.chain, 0)
+      assert.equal(result.hdPath, "m/44'/245'/0'/0/0")
+      assert.equal(result.cashAddress, sendMockData.mockWallet.cashAddress)
+      assert.include(result.address, 'ecash:')
+    })
+  })
+
+  describe('#addressIsUsed', () => {
+    it('should return true if address has a transaction history', async () => {
+      sandbox.stub(uut.ar, 'getTransactions').resolves({
+        success: true,
+        transactions: [{ height: 603416, tx_hash: 'fake-txid' }]
+      })
+
+      const result = await uut.addressIsUsed('fake-addr')
+
+      assert.equal(result, true)
+    })
+
+    it('should return false if address has no transaction history', async () => {
+      sandbox
+        .stub(uut.ar, 'getTransactions')
+        .resolves({ success: true, transactions: [] })
+
+      const result = await uut.addressIsUsed('fake-addr')
+
+      assert.equal(result, false)
+    })
+  })
+
+  describe('#scanChain', () => {
+    it('should stop after gap limit unused addresses', async () => {
+      const mnemonic = sendMockData.mockWallet.mnemonic
+      const accountPath = "m/44'/245'/0'"
+      const accountNode = await uut.getAccountNode(mnemonic, accountPath)
+
+      // Addresses 0 and 2 are used.
+      const isUsedStub = sandbox.stub(uut, 'addressIsUsed')
+      isUsedStub.resolves(false)
+      isUsedStub.onCall(0).resolves(true)
+      isUsedStub.onCall(2).resolves(true)
+
+      const result = await uut.scanChain(accountNode, accountPath, 0, 3)
+      // console.log('result: ', result)
+
+      assert.equal(result.used.length, 2)
+      assert.equal(result.used[0].hdIndex, 0)
+      assert.equal(result.used[1].hdIndex, 2)
+      assert.equal(result.nextIndex, 3)
+
+      // Indexes 0 through 5 are checked.
+      assert.equal(isUsedStub.callCount, 6)
+    })
+
+    it('should return a next index of 0 if no addresses are used', async () => {
+      const mnemonic = sendMockData.mockWallet.mnemonic
+      const accountPath = "m/44'/245'/0'"
+      const accountNode = await uut.getAccountNode(mnemonic, accountPath)
+
+      sandbox.stub(uut, 'addressIsUsed').resolves(false)
+
+      const result = await uut.scanChain(accountNode, accountPath, 0, 2)
+
+      assert.equal(result.used.length, 0)
+      assert.equal(result.nextIndex, 0)
+    })
+
+    it('should catch and throw errors', async () => {
+      try {
+        sandbox.stub(uut, 'deriveAddress').throws(new Error('test error'))
+
+        await uut.scanChain({}, "m/44'/245'/0'", 0)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'test error')
+      }
+    })
+  })
+})
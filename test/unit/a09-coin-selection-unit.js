@@ -0,0 +1,261 @@
+/*
+  Unit tests for the coin-selection.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const sinon = require('sinon')
+
+// Local libraries
+const CoinSelection = require('../../lib/coin-selection')
+
+describe('#CoinSelection', () => {
+  let uut
+  let utxos
+
+  beforeEach(() => {
+    uut = new CoinSelection()
+
+    utxos = [
+      { tx_hash: 'a', value: 5000, height: 700000 },
+      { tx_hash: 'b', value: 20000, height: 0 },
+      { tx_hash: 'c', value: 1000, height: 690000 },
+      { tx_hash: 'd', value: 10000, height: 710000 }
+    ]
+  })
+
+  // Returns the tx_hash of each selected UTXO.
+  const hashes = result => result.necessaryUtxos.map(x => x.tx_hash)
+
+  describe('#constructor', () => {
+    it('should default to the smallest-first strategy', () => {
+      assert.equal(uut.strategy, 'smallest-first')
+    })
+
+    it('should accept a strategy', () => {
+      uut = new CoinSelection({ coinSelection: 'privacy' })
+
+      assert.equal(uut.strategy, 'privacy')
+    })
+
+    it('should throw an error for an unknown strategy', () => {
+      try {
+        uut = new CoinSelection({ coinSelection: 'random' })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, "Unknown coin selection strategy 'random'")
+      }
+    })
+  })
+
+  describe('#select', () => {
+    it('should use the default strategy', () => {
+      const result = uut.select(utxos, { amount: 5500, fee: 200 })
+
+      assert.equal(result.strategy, 'smallest-first')
+    })
+
+    it('should use the strategy passed in opts', () => {
+      const result = uut.select(
+        utxos,
+        { amount: 5500, fee: 200 },
+        { coinSelection: 'largest-first' }
+      )
+
+      assert.equal(result.strategy, 'largest-first')
+      assert.deepEqual(hashes(result), ['b'])
+    })
+
+    it('should spend UTXOs in the order of a custom sorting function', () => {
+      const sortingFn = sinon.stub().returns([utxos[3], utxos[0]])
+
+      const result = uut.select(
+        utxos,
+        { amount: 5500, fee: 200 },
+        { utxoSortingFn: sortingFn }
+      )
+
+      assert.equal(result.strategy, 'custom')
+      assert.deepEqual(hashes(result), ['d'])
+      assert.ok(sortingFn.calledOnceWith(utxos))
+    })
+
+    it('should use a custom sorting function instead of the strategy of the constructor', () => {
+      uut = new CoinSelection({ coinSelection: 'largest-first' })
+      const sortingFn = sinon.stub().returns([utxos[2], utxos[0], utxos[3]])
+
+      const result = uut.select(
+        utxos,
+        { amount: 5500, fee: 200 },
+        { utxoSortingFn: sortingFn }
+      )
+
+      assert.equal(result.strategy, 'custom')
+      assert.deepEqual(hashes(result), ['c', 'a'])
+    })
+
+    it('should throw an error if a custom sorting function and a strategy are both passed', () => {
+      try {
+        uut.select(
+          utxos,
+          { amount: 5500, fee: 200 },
+          { utxoSortingFn: sinon.stub(), coinSelection: 'largest-first' }
+        )
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'utxoSortingFn and coinSelection options can not be used together'
+        )
+      }
+    })
+
+    it('should spend all the UTXOs chosen with opts.inputs', () => {
+      const result = uut.select(
+        utxos,
+        { amount: 5500, fee: 200 },
+        { inputs: utxos }
+      )
+
+      assert.equal(result.strategy, 'manual')
+      assert.deepEqual(hashes(result), ['a', 'b', 'c', 'd'])
+      assert.equal(result.change, 36000 - 5500 - 200 - 4 * 148)
+    })
+  })
+
+  describe('#smallestFirst', () => {
+    it('should spend the smallest UTXOs first', () => {
+      const result = uut.smallestFirst(utxos, {
+        amount: 5500,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['c', 'a'])
+      assert.equal(result.fee, 200 + 2 * 148)
+      assert.equal(result.change, 6000 - 5500 - result.fee)
+    })
+
+    it('should not sort the UTXOs in place', () => {
+      uut.smallestFirst(utxos, { amount: 5500, fee: 200, costPerInput: 148 })
+
+      assert.equal(utxos[0].tx_hash, 'a')
+    })
+
+    it('should return a negative change if the balance is too low', () => {
+      const result = uut.smallestFirst(utxos, {
+        amount: 50000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.equal(result.necessaryUtxos.length, 4)
+      assert.isBelow(result.change, 0)
+    })
+  })
+
+  describe('#largestFirst', () => {
+    it('should spend the largest UTXOs first', () => {
+      const result = uut.largestFirst(utxos, {
+        amount: 25000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['b', 'd'])
+      assert.equal(result.strategy, 'largest-first')
+    })
+  })
+
+  describe('#oldestFirst', () => {
+    it('should spend confirmed UTXOs by height, and unconfirmed UTXOs last', () => {
+      const result = uut.oldestFirst(utxos, {
+        amount: 20000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['c', 'a', 'd', 'b'])
+      assert.equal(result.strategy, 'oldest-first')
+    })
+  })
+
+  describe('#privacy', () => {
+    it('should spend the smallest single UTXO that pays for the TX', () => {
+      const result = uut.privacy(utxos, {
+        amount: 5500,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['d'])
+      assert.equal(result.strategy, 'privacy')
+    })
+
+    it('should spend the fewest inputs possible', () => {
+      const result = uut.privacy(utxos, {
+        amount: 24000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['b', 'a'])
+    })
+
+    it('should return a negative change if the balance is too low', () => {
+      const result = uut.privacy(utxos, {
+        amount: 50000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.isBelow(result.change, 0)
+      assert.equal(result.strategy, 'privacy')
+    })
+  })
+
+  describe('#branchAndBound', () => {
+    it('should find a set of UTXOs that does not need a change output', () => {
+      // 10000 + 5000 pays for the TX with 100 sats left over.
+      const result = uut.branchAndBound(utxos, {
+        amount: 14404,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.deepEqual(hashes(result), ['d', 'a'])
+      assert.equal(result.change, 100)
+      assert.equal(result.strategy, 'branch-and-bound')
+    })
+
+    it('should search with the fee of a TX without a change output', () => {
+      // The change output adds 34 sats to the fee. 'e' exactly pays for the TX
+      // without it, but not for the TX with it.
+      utxos.push({ tx_hash: 'e', value: 10000 + 266 + 148, height: 700000 })
+
+      const result = uut.branchAndBound(utxos, {
+        amount: 10000,
+        getFee: numInputs => 300 + numInputs * 148,
+        getNoChangeFee: numInputs => 266 + numInputs * 148
+      })
+
+      assert.equal(result.strategy, 'branch-and-bound')
+      assert.deepEqual(hashes(result), ['e'])
+      assert.equal(result.change, 0)
+      assert.equal(result.fee, 414)
+    })
+
+    it('should fall back to smallest-first if there is no such set', () => {
+      const result = uut.branchAndBound(utxos, {
+        amount: 2000,
+        fee: 200,
+        costPerInput: 148
+      })
+
+      assert.equal(result.strategy, 'smallest-first')
+      assert.deepEqual(hashes(result), ['c', 'a'])
+    })
+  })
+})
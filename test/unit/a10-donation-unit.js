@@ -0,0 +1,173 @@
+/*
+  Unit tests for the donation.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const BCHJS = require('@psf/bch-js')
+
+// Local libraries
+const Donation = require('../../lib/donation')
+
+const PSF_ADDR = 'bitcoincash:qqsrke9lh257tqen99dkyy2emh4uty0vky9y0z0lsr'
+
+describe('#Donation', () => {
+  let bchjs
+  let uut
+
+  beforeEach(() => {
+    bchjs = new BCHJS()
+    uut = new Donation({ bchjs })
+  })
+
+  describe('#constructor', () => {
+    it('should throw an error if instance of bch-js is not passed', () => {
+      try {
+        uut = new Donation()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating Donation library.'
+        )
+      }
+    })
+
+    it('should default to a 2000 sat donation to PSF', () => {
+      assert.equal(uut.policy.type, 'fixed')
+      assert.equal(uut.policy.amount, 2000)
+      assert.equal(uut.policy.address, PSF_ADDR)
+    })
+  })
+
+  describe('#parsePolicy', () => {
+    it('should disable the donation', () => {
+      const result = uut.parsePolicy(false)
+
+      assert.equal(result.type, 'disabled')
+    })
+
+    it('should disable the donation if the amount is 0', () => {
+      const result = uut.parsePolicy({ amount: 0 })
+
+      assert.equal(result.type, 'disabled')
+    })
+
+    it('should accept a custom amount and recipient', () => {
+      const result = uut.parsePolicy({
+        amount: 1000,
+        address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq'
+      })
+
+      assert.equal(result.type, 'fixed')
+      assert.equal(result.amount, 1000)
+      assert.equal(
+        result.address,
+        'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+      )
+    })
+
+    it('should accept a percentage with a cap', () => {
+      const result = uut.parsePolicy({ percent: 1, max: 5000 })
+
+      assert.equal(result.type, 'percent')
+      assert.equal(result.percent, 1)
+      assert.equal(result.max, 5000)
+    })
+
+    it('should throw an error for an amount below the dust limit', () => {
+      try {
+        uut.parsePolicy({ amount: 100 })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'donation amount must be 0, or an integer')
+      }
+    })
+
+    it('should throw an error for an invalid percentage', () => {
+      try {
+        uut.parsePolicy({ percent: 150 })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'donation percent must be a number')
+      }
+    })
+
+    it('should throw an error for an invalid address', () => {
+      try {
+        uut.parsePolicy({ address: 'bitcoincash:bad-address' })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.ok(err)
+      }
+    })
+
+    it('should throw an error if the option is not an object', () => {
+      try {
+        uut.parsePolicy(1000)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'donation option must be false or an object')
+      }
+    })
+  })
+
+  describe('#getDonation', () => {
+    it('should return the default donation', () => {
+      const result = uut.getDonation(10000)
+
+      assert.deepEqual(result, {
+        policy: 'fixed',
+        address: PSF_ADDR,
+        amount: 2000
+      })
+    })
+
+    it('should return no donation if it is disabled', () => {
+      uut = new Donation({ bchjs, donation: false })
+
+      const result = uut.getDonation(10000)
+
+      assert.equal(result.policy, 'disabled')
+      assert.equal(result.amount, 0)
+    })
+
+    it('should return a percentage of the amount sent', () => {
+      uut = new Donation({ bchjs, donation: { percent: 1, max: 5000 } })
+
+      const result = uut.getDonation(100000)
+
+      assert.equal(result.policy, 'percent')
+      assert.equal(result.amount, 1000)
+    })
+
+    it('should cap a percentage donation', () => {
+      uut = new Donation({ bchjs, donation: { percent: 1, max: 5000 } })
+
+      const result = uut.getDonation(10000000)
+
+      assert.equal(result.amount, 5000)
+    })
+
+    it('should skip a percentage donation below the dust limit', () => {
+      uut = new Donation({ bchjs, donation: { percent: 1 } })
+
+      const result = uut.getDonation(10000)
+
+      assert.equal(result.policy, 'percent')
+      assert.equal(result.amount, 0)
+    })
+
+    it('should skip the donation of a consolidation if the policy says so', () => {
+      uut = new Donation({ bchjs, donation: { consolidate: false } })
+
+      assert.equal(uut.getDonation(10000).amount, 2000)
+      assert.equal(uut.getDonation(10000, { consolidate: true }).amount, 0)
+    })
+  })
+})
@@ -0,0 +1,113 @@
+/*
+  Unit tests for the fee-engine.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const BCHJS = require('@psf/bch-js')
+
+// Local libraries
+const FeeEngine = require('../../lib/fee-engine')
+
+describe('#FeeEngine', () => {
+  let uut
+
+  beforeEach(() => {
+    const bchjs = new BCHJS()
+    uut = new FeeEngine({ bchjs })
+  })
+
+  describe('#constructor', () => {
+    it('should throw an error if instance of bch-js is not passed', () => {
+      try {
+        uut = new FeeEngine()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating FeeEngine library.'
+        )
+      }
+    })
+  })
+
+  describe('#varIntSize', () => {
+    it('should return the size of a variable length integer', () => {
+      assert.equal(uut.varIntSize(0xfc), 1)
+      assert.equal(uut.varIntSize(0xfd), 3)
+      assert.equal(uut.varIntSize(0x10000), 5)
+      assert.equal(uut.varIntSize(0x100000000), 9)
+    })
+  })
+
+  describe('#outputSize', () => {
+    it('should size a P2PKH output', () => {
+      const result = uut.outputSize({
+        address: 'ecash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwg0rdk4xrq'
+      })
+
+      assert.equal(result, 34)
+    })
+
+    it('should size a P2SH output', () => {
+      const result = uut.outputSize({
+        address: 'bitcoincash:pp2rmj8heytjrksxm2xrjs0hncnvl08xwgptyjfl72'
+      })
+
+      assert.equal(result, 32)
+    })
+
+    it('should size an output from its script', () => {
+      const result = uut.outputSize({ script: Buffer.alloc(223) })
+
+      assert.equal(result, 8 + 1 + 223)
+    })
+
+    it('should size an output with a script of 253 bytes or more', () => {
+      const result = uut.outputSize({ script: Buffer.alloc(300) })
+
+      assert.equal(result, 8 + 3 + 300)
+    })
+  })
+
+  describe('#getTxSize', () => {
+    it('should calculate the size of a P2PKH TX', () => {
+      const addr = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+
+      const result = uut.getTxSize(2, [{ address: addr }, { address: addr }])
+
+      assert.equal(result, 10 + 2 * 149 + 2 * 34)
+    })
+  })
+
+  describe('#getFee', () => {
+    const outputs = [
+      { address: 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h' },
+      { script: Buffer.alloc(80) }
+    ]
+
+    it('should calculate the fee at the requested rate', () => {
+      const size = uut.getTxSize(1, outputs)
+
+      const result = uut.getFee(1, outputs, 2.5)
+
+      assert.equal(result, Math.ceil(size * 2.5))
+    })
+
+    it('should not go below the minimum relay fee', () => {
+      const size = uut.getTxSize(1, outputs)
+
+      assert.equal(uut.getFee(1, outputs, 0.5), size)
+      assert.equal(uut.getFee(1, outputs), size)
+    })
+  })
+
+  describe('#getInputFee', () => {
+    it('should calculate the fee of one P2PKH input', () => {
+      assert.equal(uut.getInputFee(2), 298)
+      assert.equal(uut.getInputFee(), 149)
+      assert.equal(uut.getInputFee(0.5), 149)
+    })
+  })
+})
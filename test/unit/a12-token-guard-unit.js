@@ -0,0 +1,340 @@
+/*
+  Unit tests for the token-guard.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const BCHJS = require('@psf/bch-js')
+const slpMdm = require('slp-mdm')
+
+// Local libraries
+const TokenGuard = require('../../lib/token-guard')
+
+const TOKEN_ID =
+  '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+const OTHER_TOKEN_ID =
+  'a4fb5c2da1aa064e25018a43f9165040071d9e984ba190c222a7f59053af84b2'
+
+describe('#TokenGuard', () => {
+  let uut
+  let bchUtxo
+  let tokenUtxo
+  let batonUtxo
+
+  beforeEach(() => {
+    const bchjs = new BCHJS()
+    uut = new TokenGuard({ bchjs })
+
+    bchUtxo = { tx_hash: 'a', tx_pos: 0, value: 10000, isSlp: false }
+    tokenUtxo = {
+      tx_hash: 'b',
+      tx_pos: 1,
+      value: 546,
+      tokenId: TOKEN_ID,
+      tokenType: 1,
+      decimals: 2,
+      qtyStr: '10',
+      type: 'token'
+    }
+    batonUtxo = {
+      tx_hash: 'c',
+      tx_pos: 2,
+      value: 546,
+      tokenId: TOKEN_ID,
+      tokenType: 1,
+      decimals: 2,
+      type: 'baton'
+    }
+  })
+
+  // Mock a TX with an OP_RETURN and a number of other outputs. Only the
+  // outputs are read by the token guard.
+  const mockTx = (script, numOutputs = 3) => {
+    const outs = [{ script, value: 0 }]
+    for (let i = 0; i < numOutputs; i++) {
+      outs.push({ script: Buffer.alloc(25), value: 546 })
+    }
+
+    return { outs }
+  }
+  const send = (tokenId, amounts, tokenType = 1) => {
+    const bns = amounts.map(x => new slpMdm.BN(x))
+    if (tokenType === 129) return slpMdm.NFT1.Group.send(tokenId, bns)
+
+    return slpMdm.TokenType1.send(tokenId, bns)
+  }
+
+  describe('#constructor', () => {
+    it('should throw an error if instance of bch-js is not passed', () => {
+      try {
+        uut = new TokenGuard()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating TokenGuard library.'
+        )
+      }
+    })
+  })
+
+  describe('#checkTransaction', () => {
+    it('should allow a BCH TX that spends BCH UTXOs', async () => {
+      const tx = { outs: [{ script: Buffer.alloc(25), value: 1000 }] }
+
+      assert.equal(await uut.checkTransaction(tx, [bchUtxo]), true)
+    })
+
+    it('should refuse a BCH TX that spends a token UTXO', async () => {
+      try {
+        const tx = { outs: [{ script: Buffer.alloc(25), value: 1000 }] }
+
+        await uut.checkTransaction(tx, [tokenUtxo, bchUtxo])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Transaction would burn tokens')
+        assert.include(err.message, `input 0 holds tokens of ${TOKEN_ID}`)
+        assert.include(err.message, 'allowBurn')
+      }
+    })
+
+    it('should allow burning tokens with the allowBurn option', async () => {
+      const tx = { outs: [{ script: Buffer.alloc(25), value: 1000 }] }
+
+      const result = await uut.checkTransaction(tx, [tokenUtxo], { allowBurn: true })
+
+      assert.equal(result, true)
+    })
+
+    it('should refuse an input that is not in the UTXO store and can not be looked up', async () => {
+      try {
+        const tx = { outs: [{ script: Buffer.alloc(25), value: 1000 }] }
+
+        await uut.checkTransaction(tx, [{ tx_hash: 'f', tx_pos: 0, value: 1000 }])
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'the SLP status of input 0 is unknown')
+      }
+    })
+
+    it('should look up an input that is not in the UTXO store', async () => {
+      uut.ar = { getTxData: async () => [{ txid: 'f', isValidSlp: false, vout: [{}] }] }
+      const tx = { outs: [{ script: Buffer.alloc(25), value: 1000 }] }
+
+      const result = await uut.checkTransaction(tx, [{ tx_hash: 'f', tx_pos: 0, value: 1000 }])
+
+      assert.equal(result, true)
+    })
+  })
+
+  describe('#getBurns', () => {
+    it('should allow a SEND that sends all the tokens of the inputs', () => {
+      const tx = mockTx(send(TOKEN_ID, [600, 400]))
+
+      assert.deepEqual(uut.getBurns(tx, [tokenUtxo, bchUtxo]), [])
+    })
+
+    it('should detect tokens that are left out of a SEND', () => {
+      const tx = mockTx(send(TOKEN_ID, [600]))
+
+      const result = uut.getBurns(tx, [tokenUtxo, bchUtxo])
+
+      assert.include(result[0], '400 base units of token')
+    })
+
+    it('should detect a SEND of more tokens than the inputs hold', () => {
+      const tx = mockTx(send(TOKEN_ID, [2000]))
+
+      const result = uut.getBurns(tx, [tokenUtxo])
+
+      assert.include(result[0], 'sends more tokens than the inputs hold')
+    })
+
+    it('should detect a SEND to outputs that do not exist', () => {
+      const tx = mockTx(send(TOKEN_ID, [500, 500]), 1)
+
+      const result = uut.getBurns(tx, [tokenUtxo])
+
+      assert.include(result[0], 'outputs that do not exist')
+    })
+
+    it('should detect a SEND of another token', () => {
+      const tx = mockTx(send(OTHER_TOKEN_ID, [0]))
+
+      const result = uut.getBurns(tx, [tokenUtxo])
+
+      assert.include(result[0], 'which is not sent by the TX')
+    })
+
+    it('should detect a SEND of the same token ID with another token type', () => {
+      const tx = mockTx(send(TOKEN_ID, [1000], 129))
+
+      const result = uut.getBurns(tx, [tokenUtxo])
+
+      assert.include(result[0], 'which is not sent by the TX')
+    })
+
+    it('should detect a minting baton spent by a SEND', () => {
+      const tx = mockTx(send(TOKEN_ID, [1000]))
+
+      const result = uut.getBurns(tx, [tokenUtxo, batonUtxo])
+
+      assert.include(result[0], 'input 1 is a minting baton')
+    })
+
+    it('should allow a MINT that passes on the baton', () => {
+      const script = slpMdm.TokenType1.mint(TOKEN_ID, 2, new slpMdm.BN(100))
+
+      assert.deepEqual(uut.getBurns(mockTx(script), [batonUtxo, bchUtxo]), [])
+    })
+
+    it('should detect a MINT that destroys the baton', () => {
+      const script = slpMdm.TokenType1.mint(TOKEN_ID, null, new slpMdm.BN(100))
+
+      const result = uut.getBurns(mockTx(script), [batonUtxo])
+
+      assert.include(result[0], 'which the TX destroys')
+    })
+
+    it('should detect token UTXOs spent by a MINT', () => {
+      const script = slpMdm.TokenType1.mint(TOKEN_ID, 2, new slpMdm.BN(100))
+
+      const result = uut.getBurns(mockTx(script), [batonUtxo, tokenUtxo])
+
+      assert.include(result[0], 'input 1 holds tokens')
+    })
+
+    it('should allow a child NFT GENESIS that spends a group token first', () => {
+      const script = slpMdm.NFT1.Child.genesis('NFT', 'NFT', '', '')
+      tokenUtxo.tokenType = 129
+
+      assert.deepEqual(uut.getBurns(mockTx(script), [tokenUtxo, bchUtxo]), [])
+    })
+
+    it('should detect a group token that is not the first input of a child NFT GENESIS', () => {
+      const script = slpMdm.NFT1.Child.genesis('NFT', 'NFT', '', '')
+      tokenUtxo.tokenType = 129
+
+      const result = uut.getBurns(mockTx(script), [bchUtxo, tokenUtxo])
+
+      assert.include(result[0], 'input 1 holds tokens')
+    })
+
+    it('should detect a token UTXO with an unknown quantity', () => {
+      const tx = mockTx(send(TOKEN_ID, [1000]))
+      delete tokenUtxo.qtyStr
+
+      const result = uut.getBurns(tx, [tokenUtxo])
+
+      assert.include(result[0], 'token quantity of input 0 is unknown')
+    })
+  })
+
+  describe('#getTokenInfo', () => {
+    it('should return null for a BCH UTXO', () => {
+      assert.equal(uut.getTokenInfo(bchUtxo), null)
+    })
+
+    it('should flag a UTXO that is not in the UTXO store', () => {
+      uut.utxos = {
+        utxoStore: { bchUtxos: [bchUtxo], nullUtxos: [], slpUtxos: {} }
+      }
+
+      assert.equal(uut.getTokenInfo({ tx_hash: 'a', tx_pos: 0 }), null)
+      assert.deepEqual(uut.getTokenInfo({ tx_hash: 'f', tx_pos: 0 }), { unknown: true })
+    })
+
+    it('should flag an SLP UTXO without a token ID', () => {
+      const result = uut.getTokenInfo({ tx_hash: 'd', tx_pos: 0, isSlp: true })
+
+      assert.equal(result.unknown, true)
+    })
+
+    it('should find a token UTXO in the UTXO store', () => {
+      uut.utxos = {
+        utxoStore: {
+          bchUtxos: [],
+          nullUtxos: [],
+          slpUtxos: { type1: { tokens: [tokenUtxo], mintBatons: [] } }
+        }
+      }
+
+      const result = uut.getTokenInfo({ tx_hash: 'b', tx_pos: 1, value: 546 })
+
+      assert.equal(result.tokenId, TOKEN_ID)
+    })
+
+    it('should flag a UTXO whose SLP status is unknown to the UTXO store', () => {
+      uut.utxos = {
+        utxoStore: {
+          bchUtxos: [],
+          nullUtxos: [{ tx_hash: 'e', tx_pos: 0 }],
+          slpUtxos: {}
+        }
+      }
+
+      const result = uut.getTokenInfo({ txid: 'e', vout: 0 })
+
+      assert.equal(result.unknown, true)
+    })
+  })
+
+  describe('#lookupInputs', () => {
+    const lookup = async (txData, vout) => {
+      uut.ar = { getTxData: async () => [txData] }
+      await uut.lookupInputs([{ tx_hash: txData.txid, tx_pos: vout }])
+
+      return uut.getTokenInfo({ tx_hash: txData.txid, tx_pos: vout })
+    }
+
+    it('should find the tokens of an output of a SEND', async () => {
+      const txData = {
+        txid: 'g',
+        isValidSlp: true,
+        tokenDecimals: 2,
+        vout: [
+          { scriptPubKey: { hex: send(TOKEN_ID, [1000]).toString('hex') } },
+          { tokenQtyStr: '10' },
+          { tokenQtyStr: '0' }
+        ]
+      }
+
+      const result = await lookup(txData, 1)
+
+      assert.equal(result.tokenId, TOKEN_ID)
+      assert.equal(result.type, 'token')
+      assert.equal(uut.getUtxoQty(result).toFixed(), '1000')
+      assert.equal(await lookup(txData, 2), null)
+    })
+
+    it('should find the minting baton of a MINT', async () => {
+      const script = slpMdm.TokenType1.mint(TOKEN_ID, 2, new slpMdm.BN(100))
+      const txData = {
+        txid: 'h',
+        isValidSlp: true,
+        vout: [{ scriptPubKey: { hex: script.toString('hex') } }, {}, {}]
+      }
+
+      const result = await lookup(txData, 2)
+
+      assert.equal(result.type, 'baton')
+      assert.equal(result.tokenId, TOKEN_ID)
+    })
+
+    it('should leave the status unknown if the indexer does not know it', async () => {
+      const result = await lookup({ txid: 'i', isValidSlp: null, vout: [{}] }, 0)
+
+      assert.equal(result.unknown, true)
+    })
+
+    it('should leave the status unknown if the TX can not be fetched', async () => {
+      uut.ar = { getTxData: async () => { throw new Error('network error') } }
+      await uut.lookupInputs([{ tx_hash: 'j', tx_pos: 0 }])
+
+      assert.equal(uut.getTokenInfo({ tx_hash: 'j', tx_pos: 0 }).unknown, true)
+    })
+  })
+})
@@ -0,0 +1,261 @@
+/*
+  Unit tests for the tx-preview.js library.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const BCHJS = require('@psf/bch-js')
+const slpMdm = require('slp-mdm')
+
+// Local libraries
+const TxPreview = require('../../lib/tx-preview')
+
+const TOKEN_ID =
+  '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+const RECEIVER = 'bitcoincash:qp2rmj8heytjrksxm2xrjs0hncnvl08xwgkweawu9h'
+const WALLET_ADDR = 'bitcoincash:qqwsylce7r5ufe4mfc94xkd56t30ncnanq3v9m0kjj'
+
+describe('#TxPreview', () => {
+  let bchjs
+  let uut
+  let bchUtxo
+  let tokenUtxo
+
+  beforeEach(() => {
+    bchjs = new BCHJS()
+    uut = new TxPreview({ bchjs })
+
+    bchUtxo = {
+      tx_hash: '72b5d6f4c2e1d1b69ee3c4fb0d6f1cd2bc8d5c3a0a7ee2e4a2aeb1f2a0fa1b3c',
+      tx_pos: 0,
+      value: 10000,
+      isSlp: false
+    }
+    tokenUtxo = {
+      tx_hash: '8962566e413501224d178a02effc89be5ac0d8e4195f617415d443dc4c38fe50',
+      tx_pos: 1,
+      value: 546,
+      tokenId: TOKEN_ID,
+      tokenType: 1,
+      decimals: 2,
+      qtyStr: '10',
+      type: 'token'
+    }
+  })
+
+  // Build an unsigned TX that spends utxos. outputs is an array of objects
+  // with an address or a script, and a value.
+  const buildTx = (utxos, outputs) => {
+    const transactionBuilder = new bchjs.TransactionBuilder()
+    utxos.forEach(utxo => transactionBuilder.addInput(utxo.tx_hash, utxo.tx_pos))
+    outputs.forEach(output => {
+      const addr = output.script || bchjs.Address.toLegacyAddress(output.address)
+      transactionBuilder.addOutput(addr, output.value)
+    })
+
+    return transactionBuilder.transaction.buildIncomplete()
+  }
+
+  describe('#constructor', () => {
+    it('should throw an error if instance of bch-js is not passed', () => {
+      try {
+        uut = new TxPreview()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating TxPreview library.'
+        )
+      }
+    })
+  })
+
+  describe('#getPreview', () => {
+    it('should summarize a BCH TX', () => {
+      const donation = { policy: 'fixed', address: RECEIVER, amount: 2000 }
+      const tx = buildTx([bchUtxo], [
+        { address: RECEIVER, value: 1000 },
+        { address: WALLET_ADDR, value: 8500 }
+      ])
+
+      const result = uut.getPreview(tx, [bchUtxo], [WALLET_ADDR], { donation })
+
+      assert.equal(result.dryRun, true)
+      assert.equal(result.hex, tx.toHex())
+      assert.equal(result.inputs[0].txid, bchUtxo.tx_hash)
+      assert.notProperty(result.inputs[0], 'token')
+      assert.equal(result.outputs[0].address, RECEIVER)
+      assert.equal(result.outputs[0].isChange, false)
+      assert.equal(result.outputs[1].isChange, true)
+      assert.equal(result.slp, null)
+      assert.equal(result.fee, 500)
+      assert.equal(result.change, 8500)
+      assert.equal(result.satsPerByte, Math.round((500 / result.size) * 100) / 100)
+      assert.deepEqual(result.donation, donation)
+      assert.deepEqual(result.burns, [])
+    })
+
+    it('should decode the tokens sent by a SEND', () => {
+      const script = slpMdm.TokenType1.send(TOKEN_ID, [
+        new slpMdm.BN(250),
+        new slpMdm.BN(750)
+      ])
+      const tx = buildTx([tokenUtxo, bchUtxo], [
+        { script, value: 0 },
+        { address: RECEIVER, value: 546 },
+        { address: WALLET_ADDR, value: 546 }
+      ])
+
+      const result = uut.getPreview(tx, [tokenUtxo, bchUtxo], [WALLET_ADDR])
+
+      assert.equal(result.inputs[0].token.qty, '1000')
+      assert.isString(result.outputs[0].script)
+      assert.notProperty(result.outputs[0], 'token')
+      assert.deepEqual(result.outputs[1].token, {
+        tokenId: TOKEN_ID,
+        tokenType: 1,
+        type: 'token',
+        qty: '250',
+        qtyStr: '2.5'
+      })
+      assert.equal(result.outputs[2].token.qtyStr, '7.5')
+      assert.equal(result.slp.transactionType, 'SEND')
+      assert.equal(result.slp.tokenId, TOKEN_ID)
+    })
+
+    it('should list the tokens burned by the TX', () => {
+      const tx = buildTx([tokenUtxo, bchUtxo], [{ address: RECEIVER, value: 9000 }])
+
+      const result = uut.getPreview(tx, [tokenUtxo, bchUtxo])
+
+      assert.equal(result.burns.length, 1)
+      assert.include(result.burns[0], TOKEN_ID)
+    })
+  })
+
+  describe('#getReceipt', () => {
+    it('should summarize a signed TX', () => {
+      const tx = buildTx([bchUtxo], [
+        { address: RECEIVER, value: 1000 },
+        { address: WALLET_ADDR, value: 8500 }
+      ])
+
+      const result = uut.getReceipt(tx, [bchUtxo], [WALLET_ADDR])
+
+      assert.equal(result.txid, tx.getId())
+      assert.equal(result.hex, tx.toHex())
+      assert.equal(result.size, tx.byteLength())
+      assert.equal(result.fee, 500)
+      assert.equal(result.change, 8500)
+      assert.equal(result.inputs[0].txid, bchUtxo.tx_hash)
+      assert.equal(result.outputs[1].vout, 1)
+      assert.deepEqual(result.tokens, [])
+      assert.equal(result.donation.amount, 0)
+    })
+
+    it('should report the tokens moved by the TX', () => {
+      const script = slpMdm.TokenType1.send(TOKEN_ID, [
+        new slpMdm.BN(250),
+        new slpMdm.BN(700)
+      ])
+      const tx = buildTx([tokenUtxo, bchUtxo], [
+        { script, value: 0 },
+        { address: RECEIVER, value: 546 },
+        { address: WALLET_ADDR, value: 546 }
+      ])
+
+      const result = uut.getReceipt(tx, [tokenUtxo, bchUtxo], [WALLET_ADDR])
+
+      assert.deepEqual(result.tokens, [{
+        tokenId: TOKEN_ID,
+        tokenType: 1,
+        spent: '1000',
+        sent: '250',
+        kept: '700',
+        burned: '50'
+      }])
+    })
+
+    it('should use the TXID as the token ID of a new token', () => {
+      const script = slpMdm.TokenType1.genesis(
+        'TST',
+        'Test',
+        '',
+        '',
+        0,
+        null,
+        new slpMdm.BN(100)
+      )
+      const tx = buildTx([bchUtxo], [
+        { script, value: 0 },
+        { address: WALLET_ADDR, value: 546 }
+      ])
+
+      const result = uut.getReceipt(tx, [bchUtxo], [WALLET_ADDR])
+
+      assert.equal(result.outputs[1].token.tokenId, tx.getId())
+      assert.equal(result.tokens[0].kept, '100')
+    })
+  })
+
+  describe('#getOutputToken', () => {
+    it('should decode the new tokens and the baton of a GENESIS', () => {
+      const script = slpMdm.TokenType1.genesis(
+        'TST',
+        'Test',
+        '',
+        '',
+        2,
+        2,
+        new slpMdm.BN(12345)
+      )
+      const tx = buildTx([bchUtxo], [
+        { script, value: 0 },
+        { address: WALLET_ADDR, value: 546 },
+        { address: WALLET_ADDR, value: 546 }
+      ])
+
+      const result = uut.getPreview(tx, [bchUtxo], [WALLET_ADDR])
+
+      assert.equal(result.outputs[1].token.tokenId, null)
+      assert.equal(result.outputs[1].token.qtyStr, '123.45')
+      assert.equal(result.outputs[2].token.type, 'baton')
+    })
+
+    it('should decode the new tokens of a MINT', () => {
+      const slp = {
+        transactionType: 'MINT',
+        tokenType: 1,
+        tokenId: TOKEN_ID,
+        mintBatonVout: 2,
+        qty: new slpMdm.BN(500)
+      }
+
+      assert.equal(uut.getOutputToken(slp, 1, 2).qtyStr, '5')
+      assert.equal(uut.getOutputToken(slp, 2, 2).type, 'baton')
+      assert.equal(uut.getOutputToken(slp, 3, 2), null)
+    })
+
+    it('should return null for a TX without an SLP message', () => {
+      assert.equal(uut.getOutputToken(null, 1), null)
+    })
+  })
+
+  describe('#getInput', () => {
+    it('should flag a token UTXO with an unknown SLP status', () => {
+      const result = uut.getInput({ tx_hash: 'a', tx_pos: 0, isSlp: true }, 0)
+
+      assert.deepEqual(result.token, { unknown: true })
+    })
+
+    it('should show a minting baton', () => {
+      tokenUtxo.type = 'baton'
+
+      const result = uut.getInput(tokenUtxo, 0)
+
+      assert.equal(result.token.type, 'baton')
+      assert.equal(result.token.qty, '0')
+    })
+  })
+})
@@ -0,0 +1,511 @@
+/*
+  Unit tests for the lib/adapters/chronik.js library. The adapter talks to a
+  local mock Chronik server, which answers with protobuf messages like a real
+  Chronik indexer.
+*/
+
+// Public npm libraries
+const assert = require('chai').assert
+const http = require('http')
+const BCHJS = require('@psf/bch-js')
+const proto = require('chronik-client/dist/proto/chronik')
+
+// Local libraries
+const ChronikAdapter = require('../../lib/adapters/chronik')
+const AdapterRouter = require('../../lib/adapters/router')
+const Tokens = require('../../lib/tokens')
+
+const ADDR = 'bitcoincash:qqwsylce7r5ufe4mfc94xkd56t30ncnanq3v9m0kjj'
+const TOKEN_ID =
+  '497291b8a1dfe69c8daea50677a3d31a5ef0e9484d8bebb610dac64bbc202fb7'
+const GROUP_ID =
+  'a4fb5c2da1aa064e25018a43f9165040071d9e984ba190c222a7f59053af84b2'
+const NFT_ID =
+  '0e4543f820699294ab57e02ee2b1815a8bbc7b17a4333e4a138034e4b2324a61'
+const ALP_ID =
+  'cdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcdcd'
+const TXID1 =
+  '72b5d6f4c2e1d1b69ee3c4fb0d6f1cd2bc8d5c3a0a7ee2e4a2aeb1f2a0fa1b3c'
+const TXID2 =
+  '8962566e413501224d178a02effc89be5ac0d8e4195f617415d443dc4c38fe50'
+
+// Chronik encodes TXIDs in little-endian byte order.
+const txidBytes = txid => Buffer.from(txid, 'hex').reverse()
+
+describe('#chronik-adapter', () => {
+  let bchjs
+  let uut
+  let server
+  let restURL
+  let scriptPath
+
+  // The responses of the mock server, by request path.
+  let routes
+
+  const setRoute = (path, Message, data) => {
+    routes[path] = Buffer.from(Message.encode(Message.fromPartial(data)).finish())
+  }
+
+  before(async () => {
+    bchjs = new BCHJS()
+    scriptPath = `/script/p2pkh/${bchjs.Address.toHash160(ADDR)}`
+
+    server = http.createServer((req, res) => {
+      const chunks = []
+      req.on('data', chunk => chunks.push(chunk))
+      req.on('end', () => {
+        // Broadcasting returns the TXID of the TX.
+        if (req.url === '/broadcast-tx') {
+          const request = proto.BroadcastTxRequest.decode(Buffer.concat(chunks))
+          const rawTx = Buffer.from(request.rawTx).toString('hex')
+          routes.broadcasts.push({ rawTx, skipTokenChecks: request.skipTokenChecks })
+          setRoute(req.url, proto.BroadcastTxResponse, { txid: txidBytes(TXID2) })
+        }
+
+        const body = routes[req.url]
+        if (!body) {
+          res.statusCode = 404
+          res.end(
+            Buffer.from(
+              proto.Error.encode({ msg: `404: ${req.url} not found` }).finish()
+            )
+          )
+          return
+        }
+
+        res.setHeader('Content-Type', 'application/x-protobuf')
+        res.end(body)
+      })
+    })
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    restURL = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(done => {
+    server.close(done)
+  })
+
+  beforeEach(() => {
+    routes = { broadcasts: [] }
+    uut = new ChronikAdapter({ bchjs, restURL })
+
+    setRoute(`/token/${TOKEN_ID}`, proto.TokenInfo, {
+      tokenId: TOKEN_ID,
+      tokenType: { slp: 1 },
+      genesisInfo: {
+        tokenTicker: Buffer.from('TOK-CH'),
+        tokenName: Buffer.from('TokyoCash'),
+        url: Buffer.from('tokyocash.jp'),
+        decimals: 2
+      },
+      block: { height: 639000 }
+    })
+    setRoute(`/token/${GROUP_ID}`, proto.TokenInfo, {
+      tokenId: GROUP_ID,
+      tokenType: { slp: 129 },
+      genesisInfo: { tokenTicker: Buffer.from('GRP'), decimals: 0 }
+    })
+    setRoute(`/token/${NFT_ID}`, proto.TokenInfo, {
+      tokenId: NFT_ID,
+      tokenType: { slp: 65 },
+      genesisInfo: { tokenTicker: Buffer.from('NFT'), decimals: 0 }
+    })
+  })
+
+  const mockUtxos = () => {
+    setRoute(`${scriptPath}/utxos`, proto.ScriptUtxos, {
+      utxos: [
+        {
+          outpoint: { txid: txidBytes(TXID1), outIdx: 0 },
+          blockHeight: 640000,
+          sats: 10000n
+        },
+        {
+          outpoint: { txid: txidBytes(TXID1), outIdx: 1 },
+          blockHeight: -1,
+          sats: 2000n
+        },
+        {
+          outpoint: { txid: txidBytes(TXID2), outIdx: 1 },
+          blockHeight: 640001,
+          sats: 546n,
+          token: { tokenId: TOKEN_ID, tokenType: { slp: 1 }, atoms: 150n }
+        },
+        {
+          outpoint: { txid: txidBytes(TXID2), outIdx: 2 },
+          blockHeight: 640001,
+          sats: 546n,
+          token: { tokenId: TOKEN_ID, tokenType: { slp: 1 }, isMintBaton: true }
+        },
+        {
+          outpoint: { txid: txidBytes(TXID2), outIdx: 3 },
+          blockHeight: 640001,
+          sats: 546n,
+          token: { tokenId: GROUP_ID, tokenType: { slp: 129 }, atoms: 5n }
+        },
+        {
+          outpoint: { txid: txidBytes(TXID2), outIdx: 4 },
+          blockHeight: 640001,
+          sats: 546n,
+          token: { tokenId: NFT_ID, tokenType: { slp: 65 }, atoms: 1n }
+        },
+        {
+          outpoint: { txid: txidBytes(TXID2), outIdx: 5 },
+          blockHeight: 640001,
+          sats: 546n,
+          token: { tokenId: ALP_ID, tokenType: { alp: 0 }, atoms: 10n }
+        }
+      ]
+    })
+  }
+
+  const mockTx = (txid, data = {}) => {
+    setRoute(`/tx/${txid}`, proto.Tx, Object.assign({
+      txid: txidBytes(txid),
+      version: 2,
+      size: 300,
+      timeFirstSeen: 1700000000n
+    }, data))
+  }
+
+  describe('#constructor', () => {
+    it('should throw an error if bch-js is not included', () => {
+      try {
+        uut = new ChronikAdapter({ restURL })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(
+          err.message,
+          'Must pass instance of bch-js when instantiating ChronikAdapter.'
+        )
+      }
+    })
+
+    it('should throw an error if restURL is not included', () => {
+      try {
+        uut = new ChronikAdapter({ bchjs })
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'Must pass the URL of a Chronik server')
+      }
+    })
+
+    it('should accept a URL with a trailing slash, or an array of URLs', async () => {
+      mockUtxos()
+
+      uut = new ChronikAdapter({ bchjs, restURL: `${restURL}/` })
+      const result = await uut.getBalance(ADDR)
+      assert.equal(result.success, true)
+
+      uut = new ChronikAdapter({ bchjs, restURL: [restURL, 'http://127.0.0.1:1'] })
+      assert.equal(uut.chronik.proxyInterface().getEndpointArray().length, 2)
+    })
+
+    it('should be a built-in adapter of the router', () => {
+      const router = new AdapterRouter({ bchjs, interface: 'chronik', restURL })
+
+      assert.instanceOf(router.getAdapter(), ChronikAdapter)
+    })
+  })
+
+  describe('#getBalance', () => {
+    it('should total the confirmed and unconfirmed UTXOs', async () => {
+      mockUtxos()
+
+      const result = await uut.getBalance(ADDR)
+
+      assert.deepEqual(result, {
+        success: true,
+        balance: { confirmed: 10000 + 546 * 5, unconfirmed: 2000 }
+      })
+    })
+  })
+
+  describe('#getUtxos', () => {
+    it('should sort the UTXOs like bch-js', async () => {
+      mockUtxos()
+
+      const result = await uut.getUtxos(ADDR)
+      // console.log(`result: ${JSON.stringify(result, null, 2)}`)
+
+      assert.equal(result.address, ADDR)
+      assert.deepEqual(result.bchUtxos[0], {
+        height: 640000,
+        tx_hash: TXID1,
+        tx_pos: 0,
+        value: 10000,
+        satoshis: 10000,
+        txid: TXID1,
+        vout: 0,
+        address: ADDR,
+        isSlp: false
+      })
+      assert.equal(result.bchUtxos[1].height, 0)
+
+      const token = result.slpUtxos.type1.tokens[0]
+      assert.equal(token.tx_hash, TXID2)
+      assert.equal(token.isSlp, true)
+      assert.equal(token.type, 'token')
+      assert.equal(token.tokenType, 1)
+      assert.equal(token.tokenId, TOKEN_ID)
+      assert.equal(token.ticker, 'TOK-CH')
+      assert.equal(token.name, 'TokyoCash')
+      assert.equal(token.documentUri, 'tokyocash.jp')
+      assert.equal(token.documentHash, '')
+      assert.equal(token.decimals, 2)
+      assert.equal(token.qty, '150')
+      assert.equal(token.qtyStr, '1.5')
+      assert.equal(token.tokenQty, '1.5')
+
+      const baton = result.slpUtxos.type1.mintBatons[0]
+      assert.equal(baton.type, 'baton')
+      assert.notProperty(baton, 'qtyStr')
+
+      assert.equal(result.slpUtxos.group.tokens[0].qtyStr, '5')
+      assert.equal(result.slpUtxos.group.mintBatons.length, 0)
+      assert.equal(result.slpUtxos.nft.tokens[0].tokenId, NFT_ID)
+
+      // ALP tokens are not supported, so they are kept from being spent.
+      assert.equal(result.nullUtxos.length, 1)
+      assert.equal(result.nullUtxos[0].isSlp, null)
+    })
+
+    it('should look up each token once', async () => {
+      mockUtxos()
+      await uut.getUtxos(ADDR)
+
+      delete routes[`/token/${TOKEN_ID}`]
+      const result = await uut.getUtxos(ADDR)
+
+      assert.equal(result.slpUtxos.type1.tokens[0].ticker, 'TOK-CH')
+    })
+
+    it('should throw the errors of the Chronik server', async () => {
+      try {
+        await uut.getUtxos(ADDR)
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'not found')
+      }
+    })
+
+    it('should initialize the UTXO store and list the tokens of the wallet', async () => {
+      mockUtxos()
+      const ar = new AdapterRouter({ bchjs, interface: 'chronik', restURL })
+      const tokens = new Tokens({ bchjs, ar })
+
+      const result = await tokens.listTokensFromAddress(ADDR)
+
+      assert.equal(tokens.utxos.utxoStore.bchUtxos.length, 2)
+      assert.equal(tokens.utxos.utxoStore.bchUtxos[1].unconfirmedAncestors, 1)
+      assert.deepInclude(
+        result.map(x => ({ tokenId: x.tokenId, qty: x.qty })),
+        { tokenId: TOKEN_ID, qty: 1.5 }
+      )
+    })
+  })
+
+  describe('#getTransactions', () => {
+    beforeEach(() => {
+      setRoute(`${scriptPath}/history?page=0&page_size=200`, proto.TxHistoryPage, {
+        txs: [
+          { txid: txidBytes(TXID1) },
+          { txid: txidBytes(TXID2), block: { height: 640001 } }
+        ],
+        numPages: 2
+      })
+      setRoute(`${scriptPath}/history?page=1&page_size=200`, proto.TxHistoryPage, {
+        txs: [{ txid: txidBytes(NFT_ID), block: { height: 639000 } }],
+        numPages: 2
+      })
+      setRoute('/blockchain-info', proto.BlockchainInfo, { tipHeight: 640005 })
+    })
+
+    it('should get every page of the TX history, newest first', async () => {
+      const result = await uut.getTransactions(ADDR)
+
+      assert.deepEqual(result, {
+        success: true,
+        transactions: [
+          { tx_hash: TXID1, height: 640006 },
+          { tx_hash: TXID2, height: 640001 },
+          { tx_hash: NFT_ID, height: 639000 }
+        ]
+      })
+    })
+
+    it('should sort the TX history oldest first', async () => {
+      const result = await uut.getTransactions(ADDR, 'ASCENDING')
+
+      assert.deepEqual(
+        result.transactions.map(x => x.tx_hash),
+        [NFT_ID, TXID2, TXID1]
+      )
+    })
+  })
+
+  describe('#getTxData', () => {
+    it('should convert a token TX to the TX data of bch-js', async () => {
+      const script = Buffer.from(
+        `76a914${bchjs.Address.toHash160(ADDR)}88ac`,
+        'hex'
+      )
+      mockTx(TXID2, {
+        inputs: [
+          {
+            prevOut: { txid: txidBytes(TXID1), outIdx: 1 },
+            inputScript: Buffer.from('00', 'hex'),
+            outputScript: script,
+            sats: 546n,
+            sequenceNo: 4294967295,
+            token: { tokenId: TOKEN_ID, tokenType: { slp: 1 }, atoms: 250n }
+          }
+        ],
+        outputs: [
+          { sats: 0n, outputScript: Buffer.from('6a04534c5000', 'hex') },
+          {
+            sats: 546n,
+            outputScript: script,
+            token: { tokenId: TOKEN_ID, tokenType: { slp: 1 }, atoms: 250n }
+          }
+        ],
+        block: { height: 640001, hash: Buffer.alloc(32, 1), timestamp: 1700000100n },
+        tokenEntries: [
+          { tokenId: TOKEN_ID, tokenType: { slp: 1 }, txType: 3 }
+        ],
+        tokenStatus: 1
+      })
+
+      const result = await uut.getTxData([TXID2])
+      // console.log(`result: ${JSON.stringify(result, null, 2)}`)
+
+      const txData = result[0]
+      assert.equal(txData.txid, TXID2)
+      assert.equal(txData.blockheight, 640001)
+      assert.equal(txData.time, 1700000100)
+      assert.equal(txData.vin[0].txid, TXID1)
+      assert.equal(txData.vin[0].vout, 1)
+      assert.equal(txData.vin[0].address, ADDR)
+      assert.equal(txData.vin[0].value, 0.00000546)
+      assert.equal(txData.vin[0].tokenQtyStr, '2.5')
+      assert.notProperty(txData.vout[0].scriptPubKey, 'addresses')
+      assert.equal(txData.vout[0].tokenQtyStr, '0')
+      assert.deepEqual(txData.vout[1].scriptPubKey.addresses, [ADDR])
+      assert.equal(txData.vout[1].tokenQty, 2.5)
+      assert.equal(txData.isSlpTx, true)
+      assert.equal(txData.tokenTxType, 'SEND')
+      assert.equal(txData.tokenTicker, 'TOK-CH')
+      assert.equal(txData.tokenDecimals, 2)
+      assert.equal(txData.isValidSlp, true)
+    })
+
+    it('should leave out the block data of an unconfirmed TX', async () => {
+      mockTx(TXID1)
+
+      const result = await uut.getTxData([TXID1])
+
+      assert.notProperty(result[0], 'blockheight')
+      assert.equal(result[0].time, 1700000000)
+      assert.equal(result[0].isSlpTx, false)
+    })
+  })
+
+  describe('#sendTx', () => {
+    it('should broadcast the TX and return its TXID', async () => {
+      const result = await uut.sendTx('0200')
+
+      assert.equal(result, TXID2)
+      assert.deepEqual(routes.broadcasts, [{ rawTx: '0200', skipTokenChecks: true }])
+    })
+  })
+
+  describe('#getUsd', () => {
+    it('should throw an error', async () => {
+      try {
+        await uut.getUsd()
+
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'does not provide the price')
+      }
+    })
+  })
+
+  describe('#utxoIsValid', () => {
+    beforeEach(() => {
+      mockTx(TXID1, {
+        outputs: [
+          { sats: 1000n, spentBy: { txid: txidBytes(TXID2), inputIdx: 0 } },
+          { sats: 1000n }
+        ]
+      })
+    })
+
+    it('should return true for an unspent output', async () => {
+      assert.equal(await uut.utxoIsValid({ tx_hash: TXID1, tx_pos: 1 }), true)
+    })
+
+    it('should return false for a spent output', async () => {
+      assert.equal(await uut.utxoIsValid({ txid: TXID1, vout: 0 }), false)
+    })
+
+    it('should return false for an output that does not exist', async () => {
+      assert.equal(await uut.utxoIsValid({ tx_hash: TXID1, tx_pos: 2 }), false)
+      assert.equal(await uut.utxoIsValid({ tx_hash: TXID2, tx_pos: 0 }), false)
+    })
+  })
+
+  describe('#getTokenData', () => {
+    it('should return the genesis data of the token', async () => {
+      const result = await uut.getTokenData(TOKEN_ID)
+
+      assert.deepEqual(result, {
+        genesisData: {
+          type: 1,
+          ticker: 'TOK-CH',
+          name: 'TokyoCash',
+          tokenId: TOKEN_ID,
+          documentUri: 'tokyocash.jp',
+          documentHash: '',
+          decimals: 2,
+          blockCreated: 639000
+        },
+        immutableData: '',
+        mutableData: ''
+      })
+    })
+
+    it('should include the TX history of the token', async () => {
+      setRoute(`/token-id/${TOKEN_ID}/history?page=0&page_size=200`, proto.TxHistoryPage, {
+        txs: [
+          {
+            txid: txidBytes(TOKEN_ID),
+            block: { height: 639000 },
+            tokenEntries: [{ tokenId: TOKEN_ID, tokenType: { slp: 1 }, txType: 2 }]
+          }
+        ],
+        numPages: 1
+      })
+
+      const result = await uut.getTokenData(TOKEN_ID, true)
+
+      assert.deepEqual(result.genesisData.txs, [
+        { txid: TOKEN_ID, height: 639000, type: 'GENESIS' }
+      ])
+    })
+  })
+
+  describe('#getTokenData2', () => {
+    it('should return the token stats without any media', async () => {
+      const result = await uut.getTokenData2(GROUP_ID)
+
+      assert.equal(result.tokenStats.ticker, 'GRP')
+      assert.equal(result.tokenStats.type, 129)
+      assert.equal(result.tokenIcon, '')
+    })
+  })
+})
@@ -92,6 +92,7 @@ const tokenList01 = [
 const countTokenUtxosOut01 = [
   {
     tokenId: 'c85042ab08a2099f27de880a30f9a42874202751d834c42717a20801a00aab0d',
+    tokenType: 1,
     ticker: 'MT2',
     name: 'Mutable Token',
     qty: 1,
@@ -122,6 +123,7 @@ const countTokenUtxosOut01 = [
   },
   {
     tokenId: 'a4fb5c2da1aa064e25018a43f9165040071d9e984ba190c222a7f59053af84b2',
+    tokenType: 1,
     ticker: 'TROUT',
     name: "Trout's test token",
     qty: 2,